@@ -0,0 +1,248 @@
+const cheerio = require('cheerio');
+
+// Elements that never contain article text
+const BOILERPLATE_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form',
+    'nav', 'footer', 'aside', 'header nav', 'button', 'select', 'input',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[aria-hidden="true"]', '[hidden]'
+];
+
+// Class/id hints used by readability-style scoring. Negative hints must be a whole
+// word of a class or id ("ad-slot", "share_bar"), so "metadata", "downloads",
+// "canvas" and "shared-content" don't count.
+const NEGATIVE_HINTS = /(^|[-_\s])(comments?|meta|footer|footnotes?|sidebar|widgets?|sponsor(ed)?|promo(tion)?s?|related|share|sharing|social|subscribe|newsletter|cookies?|banner|breadcrumbs?|pagination|popup|modal|nav(bar|igation)?|menu|masthead|ads?|advert(isement)?s?)(?=[-_\s]|$)/i;
+const POSITIVE_HINTS = /article|body|content|entry|main|page|post|text|blog|story/i;
+
+// Block-level elements whose text we keep, in document order
+const TEXT_BLOCKS = 'p, h1, h2, h3, h4, h5, h6, li, pre, blockquote, figcaption, td';
+
+class ContentExtractor {
+    // Parse an HTML document into { title, author, publishedAt, canonicalUrl, language, content, wordCount, linkDensity, links }
+    static extract(html, url) {
+        const $ = cheerio.load(html);
+        const jsonLd = ContentExtractor.readJsonLd($);
+
+        // Metadata must be read before boilerplate removal (some of it lives in <header>/<footer>)
+        const metadata = {
+            title: ContentExtractor.extractTitle($, jsonLd),
+            author: ContentExtractor.extractAuthor($, jsonLd),
+            publishedAt: ContentExtractor.extractPublishDate($, jsonLd),
+            canonicalUrl: ContentExtractor.extractCanonicalUrl($, url),
+            language: ContentExtractor.extractLanguage($)
+        };
+
+        // Navigation links matter to the crawler, so collect them before they are stripped
+        const links = ContentExtractor.extractLinks($, url);
+
+        $(BOILERPLATE_SELECTORS.join(', ')).remove();
+        $('*').contents().filter((i, node) => node.type === 'comment').remove();
+
+        const mainElement = ContentExtractor.findMainContent($);
+        const content = ContentExtractor.extractText($, mainElement);
+
+        return {
+            ...metadata,
+            content,
+            wordCount: ContentExtractor.countWords(content),
+            linkDensity: Number(ContentExtractor.linkDensity($, mainElement).toFixed(3)),
+            links
+        };
+    }
+
+    static readJsonLd($) {
+        const entries = [];
+        $('script[type="application/ld+json"]').each((i, el) => {
+            try {
+                const parsed = JSON.parse($(el).contents().text());
+                const queue = Array.isArray(parsed) ? parsed : [parsed];
+                while (queue.length > 0) {
+                    const item = queue.shift();
+                    if (!item || typeof item !== 'object') continue;
+                    if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+                    entries.push(item);
+                }
+            } catch (error) {
+                // Malformed JSON-LD is common; ignore it
+            }
+        });
+
+        // Prefer article-like entries
+        const articleTypes = /Article|BlogPosting|NewsArticle|TechArticle|Report|WebPage/;
+        return entries.find(e => articleTypes.test([].concat(e['@type'] || []).join(' '))) || entries[0] || {};
+    }
+
+    static metaContent($, selectors) {
+        for (const selector of selectors) {
+            const value = $(selector).first().attr('content');
+            if (value && value.trim()) return value.trim();
+        }
+        return null;
+    }
+
+    static extractTitle($, jsonLd) {
+        const candidates = [
+            ContentExtractor.metaContent($, ['meta[property="og:title"]', 'meta[name="twitter:title"]']),
+            typeof jsonLd.headline === 'string' ? jsonLd.headline : null,
+            $('article h1').first().text(),
+            $('h1').first().text(),
+            $('title').first().text()
+        ];
+        const title = candidates.map(c => (c || '').replace(/\s+/g, ' ').trim()).find(Boolean);
+        return title || 'Untitled';
+    }
+
+    static extractAuthor($, jsonLd) {
+        const ldAuthor = [].concat(jsonLd.author || [])
+            .map(a => (typeof a === 'string' ? a : a && a.name))
+            .filter(Boolean)
+            .join(', ');
+        if (ldAuthor) return ldAuthor;
+
+        const metaAuthor = ContentExtractor.metaContent($, [
+            'meta[name="author"]',
+            'meta[property="article:author"]',
+            'meta[name="twitter:creator"]',
+            'meta[name="parsely-author"]'
+        ]);
+        if (metaAuthor && !/^https?:\/\//.test(metaAuthor)) return metaAuthor;
+
+        const byline = $('[rel="author"], [itemprop="author"], .author, .byline').first().text()
+            .replace(/\s+/g, ' ')
+            .replace(/^by\s+/i, '')
+            .trim();
+        return byline || null;
+    }
+
+    static extractPublishDate($, jsonLd) {
+        const candidates = [
+            jsonLd.datePublished,
+            ContentExtractor.metaContent($, [
+                'meta[property="article:published_time"]',
+                'meta[name="date"]',
+                'meta[name="pubdate"]',
+                'meta[name="publish-date"]',
+                'meta[itemprop="datePublished"]',
+                'meta[name="dc.date"]'
+            ]),
+            $('[itemprop="datePublished"]').first().attr('datetime'),
+            $('time[datetime]').first().attr('datetime')
+        ];
+
+        for (const candidate of candidates) {
+            if (!candidate) continue;
+            const date = new Date(candidate);
+            if (!isNaN(date.getTime())) return date.toISOString();
+        }
+        return null;
+    }
+
+    static extractCanonicalUrl($, url) {
+        const href = $('link[rel="canonical"]').first().attr('href') ||
+            ContentExtractor.metaContent($, ['meta[property="og:url"]']);
+        if (!href) return url;
+        try {
+            return new URL(href, url).toString();
+        } catch (error) {
+            return url;
+        }
+    }
+
+    static extractLanguage($) {
+        const raw = $('html').attr('lang') ||
+            ContentExtractor.metaContent($, ['meta[http-equiv="content-language"]', 'meta[property="og:locale"]']);
+        if (!raw) return null;
+        // "en_US" / "en-US" -> "en"
+        return raw.trim().split(/[-_]/)[0].toLowerCase() || null;
+    }
+
+    static extractLinks($, url) {
+        const links = new Set();
+        $('a[href]').each((i, el) => {
+            const rel = ($(el).attr('rel') || '').toLowerCase();
+            if (rel.includes('nofollow')) return;
+            try {
+                const link = new URL($(el).attr('href'), url);
+                if (link.protocol !== 'http:' && link.protocol !== 'https:') return;
+                link.hash = '';
+                links.add(link.toString());
+            } catch (error) {
+                // Ignore unparseable hrefs
+            }
+        });
+        return [...links];
+    }
+
+    // Readability-style content density scoring: paragraphs vote for their
+    // parent (full score) and grandparent (half score); candidates are then
+    // penalised by link density and class/id hints.
+    static findMainContent($) {
+        const scores = new Map();
+        const addScore = (el, value) => {
+            if (!el || el.type !== 'tag') return;
+            if (!scores.has(el)) scores.set(el, ContentExtractor.initialScore($, el));
+            scores.set(el, scores.get(el) + value);
+        };
+
+        $('p, pre, td').each((i, el) => {
+            const text = $(el).text().replace(/\s+/g, ' ').trim();
+            if (text.length < 25) return;
+
+            const score = 1 + text.split(',').length + Math.min(3, Math.floor(text.length / 100));
+            addScore(el.parent, score);
+            if (el.parent) addScore(el.parent.parent, score / 2);
+        });
+
+        let best = null;
+        let bestScore = 0;
+        for (const [el, score] of scores) {
+            const adjusted = score * (1 - ContentExtractor.linkDensity($, el));
+            if (adjusted > bestScore) {
+                best = el;
+                bestScore = adjusted;
+            }
+        }
+
+        if (best) return best;
+        return $('article').get(0) || $('main').get(0) || $('body').get(0) || $.root().get(0);
+    }
+
+    static initialScore($, el) {
+        const tagWeights = { article: 10, main: 8, section: 3, div: 5, pre: 3, td: 3, blockquote: 3, form: -3, ul: -3, ol: -3, li: -3, header: -5, h1: -5, h2: -5, h3: -5 };
+        let score = tagWeights[el.name] || 0;
+
+        const hint = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+        if (NEGATIVE_HINTS.test(hint)) score -= 25;
+        if (POSITIVE_HINTS.test(hint)) score += 25;
+        return score;
+    }
+
+    static linkDensity($, el) {
+        const textLength = $(el).text().replace(/\s+/g, ' ').trim().length;
+        if (textLength === 0) return 1;
+        const linkLength = $(el).find('a').text().replace(/\s+/g, ' ').trim().length;
+        return Math.min(1, linkLength / textLength);
+    }
+
+    // Collect block text in document order so paragraph boundaries survive
+    static extractText($, element) {
+        const root = $(element);
+        const blocks = root.find(TEXT_BLOCKS)
+            .filter((i, el) => $(el).parentsUntil(element).filter(TEXT_BLOCKS).length === 0)
+            .map((i, el) => $(el).text().replace(/\s+/g, ' ').trim())
+            .get()
+            .filter(text => text.length > 0);
+
+        const blockText = blocks.join('\n\n');
+        const fullText = root.text().replace(/\s+/g, ' ').trim();
+
+        // Some pages put text directly in <div>s; fall back to the element's full text
+        return blockText.length >= fullText.length * 0.5 ? blockText : fullText;
+    }
+
+    static countWords(text) {
+        return text.split(/\s+/).filter(word => word.length > 0).length;
+    }
+}
+
+module.exports = { ContentExtractor };
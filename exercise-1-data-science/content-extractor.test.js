@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ContentExtractor } = require('./content-extractor');
+
+const paragraph = (text) => `<p>${text} ${'Content words keep the article body dense and readable. '.repeat(4)}</p>`;
+
+const ARTICLE = `<!doctype html>
+<html lang="en-US">
+<head>
+    <title>Fallback Title | Example Blog</title>
+    <meta property="og:title" content="Vector Search in Practice">
+    <meta name="author" content="Ada Lovelace">
+    <meta property="article:published_time" content="2024-03-01T10:00:00Z">
+    <link rel="canonical" href="/posts/vector-search">
+</head>
+<body>
+    <nav><a href="/">Home</a> <a href="/about">About</a></nav>
+    <aside class="sidebar"><p>Subscribe to our newsletter for weekly updates and offers.</p></aside>
+    <article class="post-content">
+        ${paragraph('Embeddings map text to vectors.')}
+        ${paragraph('Nearest neighbours find similar passages.')}
+        <p>Read the <a href="https://example.com/guide#intro">guide</a> or the <a href="/spam" rel="nofollow">ad</a>.</p>
+    </article>
+    <footer><p>Copyright Example Blog. All rights reserved.</p></footer>
+    <script>var tracking = true;</script>
+</body>
+</html>`;
+
+test('extract reads metadata from meta tags and resolves the canonical URL', () => {
+    const result = ContentExtractor.extract(ARTICLE, 'https://example.com/posts/vector-search?utm=x');
+    assert.equal(result.title, 'Vector Search in Practice');
+    assert.equal(result.author, 'Ada Lovelace');
+    assert.equal(result.publishedAt, '2024-03-01T10:00:00.000Z');
+    assert.equal(result.canonicalUrl, 'https://example.com/posts/vector-search');
+    assert.equal(result.language, 'en');
+});
+
+test('extract keeps the article body and drops navigation, sidebars, footers and scripts', () => {
+    const { content, wordCount } = ContentExtractor.extract(ARTICLE, 'https://example.com/posts/vector-search');
+    assert.match(content, /Embeddings map text to vectors\./);
+    assert.match(content, /Nearest neighbours find similar passages\./);
+    assert.doesNotMatch(content, /newsletter|Copyright|tracking|About/);
+    assert.equal(wordCount, ContentExtractor.countWords(content));
+});
+
+test('extract collects followable links without fragments', () => {
+    const { links } = ContentExtractor.extract(ARTICLE, 'https://example.com/posts/vector-search');
+    assert.ok(links.includes('https://example.com/guide'));
+    assert.ok(links.includes('https://example.com/about'));
+    assert.ok(!links.some(link => link.endsWith('/spam')));
+});
+
+test('extract prefers JSON-LD article metadata', () => {
+    const html = `<html><head><script type="application/ld+json">${JSON.stringify({
+        '@graph': [{ '@type': 'Article', headline: 'From JSON-LD', author: { name: 'Grace Hopper' }, datePublished: '2023-12-24' }]
+    })}</script></head><body><article>${paragraph('Body text.')}</article></body></html>`;
+    const result = ContentExtractor.extract(html, 'https://example.com/a');
+    assert.equal(result.title, 'From JSON-LD');
+    assert.equal(result.author, 'Grace Hopper');
+    assert.equal(result.publishedAt, '2023-12-24T00:00:00.000Z');
+    assert.equal(result.canonicalUrl, 'https://example.com/a');
+    assert.equal(result.language, null);
+});
+
+test('negative class hints only count as whole words', () => {
+    const cheerio = require('cheerio');
+    const score = (attrs) => {
+        const $ = cheerio.load(`<div ${attrs}></div>`);
+        return ContentExtractor.initialScore($, $('div').get(0));
+    };
+    const plain = score('');
+
+    for (const name of ['metadata', 'downloads', 'canvas', 'shared', 'navigator']) {
+        assert.equal(score(`class="${name}"`), plain, name);
+    }
+    for (const name of ['ad-slot', 'share_bar', 'comments', 'meta-info', 'site-nav']) {
+        assert.equal(score(`class="${name}"`), plain - 25, name);
+    }
+    assert.equal(score('id="sidebar"'), plain - 25);
+    assert.equal(score('class="shared-content"'), plain + 25, 'content, and no share hint');
+});
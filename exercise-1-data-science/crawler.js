@@ -0,0 +1,384 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+
+// Links to these file types are never HTML articles
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|ico|css|js|json|xml|rss|atom|zip|gz|tar|mp3|mp4|mov|avi|woff2?|ttf|eot)$/i;
+
+// Query parameters that only track clicks and never change content
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|ref_src)$/i;
+
+// Parsed robots.txt rules for a single user-agent group
+class RobotsRules {
+    constructor(rules = [], crawlDelay = null, sitemaps = []) {
+        this.rules = rules; // [{ allow: boolean, pattern: string, regex: RegExp }]
+        this.crawlDelay = crawlDelay; // seconds
+        this.sitemaps = sitemaps;
+    }
+
+    static parse(text, userAgent) {
+        const agentToken = RobotsRules.productToken(userAgent);
+        const groups = [];
+        const sitemaps = [];
+        let current = null;
+        let lastWasAgent = false;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+
+            const field = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (field === 'user-agent') {
+                // Consecutive user-agent lines share one group
+                if (!lastWasAgent) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
+                }
+                current.agents.push(value === '*' ? '*' : RobotsRules.productToken(value));
+                lastWasAgent = true;
+                continue;
+            }
+            lastWasAgent = false;
+
+            if (field === 'sitemap') {
+                sitemaps.push(value);
+            } else if (current && (field === 'allow' || field === 'disallow')) {
+                // An empty Disallow means "allow everything"
+                if (value === '') continue;
+                current.rules.push({
+                    allow: field === 'allow',
+                    pattern: value,
+                    regex: RobotsRules.patternToRegex(value)
+                });
+            } else if (current && field === 'crawl-delay') {
+                const delay = parseFloat(value);
+                if (!isNaN(delay)) current.crawlDelay = delay;
+            }
+        }
+
+        // RFC 9309: the groups naming our product token (compared case-insensitively,
+        // not as a substring, so "User-agent: bot" is not ours) apply, merged into one;
+        // only without any does the wildcard group apply
+        const named = groups.filter(g => g.agents.includes(agentToken));
+        const matching = named.length > 0 ? named : groups.filter(g => g.agents.includes('*'));
+
+        return new RobotsRules(
+            matching.flatMap(g => g.rules),
+            matching.map(g => g.crawlDelay).find(delay => delay !== null) ?? null,
+            sitemaps
+        );
+    }
+
+    // "ExampleBot/2.0 (+https://example.com/bot)" -> "examplebot"
+    static productToken(userAgent) {
+        return userAgent.trim().split(/[\/\s]/)[0].toLowerCase();
+    }
+
+    static patternToRegex(pattern) {
+        const anchored = pattern.endsWith('$');
+        const body = (anchored ? pattern.slice(0, -1) : pattern)
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${body}${anchored ? '$' : ''}`);
+    }
+
+    // Longest matching rule wins; Allow wins a tie
+    isAllowed(url) {
+        const { pathname, search } = new URL(url);
+        const path = pathname + search;
+
+        let match = null;
+        for (const rule of this.rules) {
+            if (!rule.regex.test(path)) continue;
+            if (!match ||
+                rule.pattern.length > match.pattern.length ||
+                (rule.pattern.length === match.pattern.length && rule.allow)) {
+                match = rule;
+            }
+        }
+        return match ? match.allow : true;
+    }
+}
+
+class PoliteCrawler {
+    constructor(options = {}) {
+        this.fetchPage = options.fetchPage; // async (url) => { canonicalUrl, links, ... } | null
+        this.userAgent = options.userAgent || 'LangGraphTutorialBot';
+        this.robotsAgent = options.robotsAgent || 'LangGraphTutorialBot';
+        this.maxDepth = options.maxDepth ?? 1;
+        this.maxPages = options.maxPages ?? 50;
+        this.concurrency = options.concurrency ?? 4;
+        this.perHostConcurrency = options.perHostConcurrency ?? 1;
+        this.defaultDelayMs = options.defaultDelayMs ?? 1000;
+        this.respectRobots = options.respectRobots !== false;
+        this.sameDomain = options.sameDomain !== false;
+        this.includePatterns = options.includePatterns || [];
+        this.excludePatterns = options.excludePatterns || [];
+        this.maxSitemapUrls = options.maxSitemapUrls ?? 500;
+
+        if (typeof this.fetchPage !== 'function') {
+            throw new Error('PoliteCrawler requires a fetchPage(url) function');
+        }
+
+        this.robotsCache = new Map(); // origin -> Promise<RobotsRules>
+        this.hosts = new Map(); // host -> { active, nextAllowedAt }
+    }
+
+    async crawl({ seeds = [], sitemaps = [] } = {}) {
+        this.queue = [];
+        this.seen = new Set();
+        this.seenCanonical = new Set();
+        this.allowedDomains = new Set();
+        this.pages = [];
+        this.stats = {
+            queued: 0,
+            fetched: 0,
+            failed: 0,
+            duplicates: 0,
+            blockedByRobots: 0,
+            outOfScope: 0
+        };
+
+        const startUrls = [...seeds];
+        for (const sitemapUrl of sitemaps) {
+            const urls = await this.readSitemap(sitemapUrl);
+            console.log(`🗺️  Sitemap ${sitemapUrl}: ${urls.length} URLs`);
+            startUrls.push(...urls);
+        }
+
+        for (const url of startUrls) {
+            try {
+                this.allowedDomains.add(PoliteCrawler.domainOf(url));
+            } catch (error) {
+                console.warn(`⚠️  Skipping invalid start URL: ${url}`);
+            }
+        }
+        startUrls.forEach(url => this.enqueue(url, 0));
+
+        this.active = 0;
+        const workers = Array.from({ length: Math.max(1, this.concurrency) }, () => this.worker());
+        await Promise.all(workers);
+
+        console.log(`🕷️  Crawl finished: ${this.stats.fetched} pages fetched, ` +
+            `${this.stats.duplicates} duplicates, ${this.stats.blockedByRobots} blocked by robots.txt, ` +
+            `${this.stats.failed} failed`);
+
+        return { pages: this.pages, stats: this.stats };
+    }
+
+    enqueue(url, depth) {
+        let normalized;
+        try {
+            normalized = PoliteCrawler.normalizeUrl(url);
+        } catch (error) {
+            return;
+        }
+        if (this.seen.has(normalized)) return;
+        this.seen.add(normalized);
+
+        if (!this.isInScope(normalized)) {
+            this.stats.outOfScope++;
+            return;
+        }
+
+        this.queue.push({ url: normalized, depth });
+        this.stats.queued++;
+    }
+
+    isInScope(url) {
+        const { protocol, pathname } = new URL(url);
+        if (protocol !== 'http:' && protocol !== 'https:') return false;
+        if (NON_HTML_EXTENSIONS.test(pathname)) return false;
+        if (this.sameDomain && !this.allowedDomains.has(PoliteCrawler.domainOf(url))) return false;
+        if (this.includePatterns.length > 0 && !this.includePatterns.some(p => new RegExp(p).test(url))) return false;
+        if (this.excludePatterns.some(p => new RegExp(p).test(url))) return false;
+        return true;
+    }
+
+    async worker() {
+        while (this.pages.length + this.active < this.maxPages) {
+            const index = this.queue.findIndex(item => this.hostAvailable(new URL(item.url).host));
+
+            if (index === -1) {
+                // Nothing runnable: either we're done, or every queued host is cooling down / busy
+                if (this.queue.length === 0 && this.active === 0) return;
+                await this.delay(this.nextWakeupMs());
+                continue;
+            }
+
+            const [item] = this.queue.splice(index, 1);
+            const host = new URL(item.url).host;
+            const hostState = this.reserveHost(host);
+            this.active++;
+
+            try {
+                await this.visit(item, hostState);
+            } finally {
+                hostState.active--;
+                this.active--;
+            }
+        }
+    }
+
+    async visit(item, hostState) {
+        const rules = await this.getRobots(item.url);
+        if (!rules.isAllowed(item.url)) {
+            this.stats.blockedByRobots++;
+            // Nothing was requested from the host, so don't make it wait
+            hostState.nextAllowedAt = hostState.previousAllowedAt;
+            return;
+        }
+
+        const delayMs = Math.max(this.defaultDelayMs, (rules.crawlDelay || 0) * 1000);
+        hostState.nextAllowedAt = Date.now() + delayMs;
+
+        const page = await this.fetchPage(item.url);
+        if (!page) {
+            this.stats.failed++;
+            return;
+        }
+
+        this.stats.fetched++;
+        const canonical = PoliteCrawler.normalizeUrl(page.canonicalUrl || item.url);
+        if (this.seenCanonical.has(canonical)) {
+            this.stats.duplicates++;
+            return;
+        }
+        this.seenCanonical.add(canonical);
+        this.seen.add(canonical);
+
+        if (this.pages.length < this.maxPages) {
+            this.pages.push({ ...page, depth: item.depth });
+        }
+
+        if (item.depth < this.maxDepth) {
+            (page.links || []).forEach(link => this.enqueue(link, item.depth + 1));
+        }
+    }
+
+    hostAvailable(host) {
+        const state = this.hosts.get(host);
+        if (!state) return true;
+        return state.active < this.perHostConcurrency && Date.now() >= state.nextAllowedAt;
+    }
+
+    reserveHost(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { active: 0, nextAllowedAt: 0, previousAllowedAt: 0 });
+        }
+        const state = this.hosts.get(host);
+        state.active++;
+        state.previousAllowedAt = state.nextAllowedAt;
+        // Hold the slot until robots.txt tells us the real crawl delay
+        state.nextAllowedAt = Date.now() + this.defaultDelayMs;
+        return state;
+    }
+
+    nextWakeupMs() {
+        const now = Date.now();
+        let wait = 250;
+        for (const item of this.queue) {
+            const state = this.hosts.get(new URL(item.url).host);
+            if (state && state.active < this.perHostConcurrency) {
+                wait = Math.min(wait, Math.max(10, state.nextAllowedAt - now));
+            }
+        }
+        return wait;
+    }
+
+    async getRobots(url) {
+        if (!this.respectRobots) return new RobotsRules();
+
+        const { origin } = new URL(url);
+        if (!this.robotsCache.has(origin)) {
+            this.robotsCache.set(origin, this.fetchRobots(origin));
+        }
+        return this.robotsCache.get(origin);
+    }
+
+    async fetchRobots(origin) {
+        try {
+            const response = await axios.get(`${origin}/robots.txt`, {
+                headers: { 'User-Agent': this.userAgent },
+                timeout: 10000,
+                responseType: 'text',
+                validateStatus: () => true
+            });
+
+            // 4xx means "no restrictions"; 5xx means "assume everything is disallowed"
+            if (response.status >= 500) {
+                console.warn(`⚠️  robots.txt for ${origin} returned ${response.status}, skipping host`);
+                return new RobotsRules([{ allow: false, pattern: '/', regex: /^\// }]);
+            }
+            if (response.status >= 400) return new RobotsRules();
+
+            return RobotsRules.parse(String(response.data), this.robotsAgent);
+        } catch (error) {
+            console.warn(`⚠️  Could not read robots.txt for ${origin}: ${error.message}`);
+            return new RobotsRules();
+        }
+    }
+
+    // Returns page URLs from a sitemap, following sitemap indexes
+    async readSitemap(sitemapUrl, depth = 0) {
+        if (depth > 2) return [];
+
+        try {
+            const response = await axios.get(sitemapUrl, {
+                headers: { 'User-Agent': this.userAgent },
+                timeout: 15000,
+                responseType: 'arraybuffer'
+            });
+
+            let buffer = Buffer.from(response.data);
+            // .xml.gz files are served as binary, not with Content-Encoding
+            if (buffer[0] === 0x1f && buffer[1] === 0x8b) buffer = zlib.gunzipSync(buffer);
+
+            const $ = cheerio.load(buffer.toString('utf8'), { xmlMode: true });
+            const urls = $('urlset > url > loc').map((i, el) => $(el).text().trim()).get();
+            const childSitemaps = $('sitemapindex > sitemap > loc').map((i, el) => $(el).text().trim()).get();
+
+            for (const child of childSitemaps) {
+                if (urls.length >= this.maxSitemapUrls) break;
+                urls.push(...await this.readSitemap(child, depth + 1));
+            }
+
+            return urls.slice(0, this.maxSitemapUrls);
+        } catch (error) {
+            console.warn(`⚠️  Failed to read sitemap ${sitemapUrl}: ${error.message}`);
+            return [];
+        }
+    }
+
+    static normalizeUrl(url) {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        parsed.hostname = parsed.hostname.toLowerCase();
+        if ((parsed.protocol === 'http:' && parsed.port === '80') ||
+            (parsed.protocol === 'https:' && parsed.port === '443')) {
+            parsed.port = '';
+        }
+        for (const key of [...parsed.searchParams.keys()]) {
+            if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+        }
+        parsed.searchParams.sort();
+        if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+            parsed.pathname = parsed.pathname.slice(0, -1);
+        }
+        return parsed.toString();
+    }
+
+    static domainOf(url) {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    }
+
+    async delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = { PoliteCrawler, RobotsRules };
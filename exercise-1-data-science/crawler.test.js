@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { PoliteCrawler, RobotsRules } = require('./crawler');
+
+const ROBOTS = `
+User-agent: OtherBot
+Disallow: /
+
+User-agent: *
+Disallow: /private
+Allow: /private/press
+Disallow: /*.cgi$
+Crawl-delay: 0.5
+Sitemap: https://example.com/sitemap.xml
+`;
+
+// Serves robots.txt and a sitemap; pages themselves come from a fake fetchPage
+async function startServer(t) {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/robots.txt') return res.end('User-agent: *\nDisallow: /private\n');
+        if (req.url === '/sitemap.xml') {
+            const base = `http://127.0.0.1:${server.address().port}`;
+            return res.end(`<?xml version="1.0"?><urlset><url><loc>${base}/</loc></url><url><loc>${base}/private/a</loc></url></urlset>`);
+        }
+        res.statusCode = 404;
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('RobotsRules picks the wildcard group and applies longest-match rules', () => {
+    const rules = RobotsRules.parse(ROBOTS, 'LangGraphTutorialBot');
+    assert.equal(rules.isAllowed('https://example.com/blog/post'), true);
+    assert.equal(rules.isAllowed('https://example.com/private/notes'), false);
+    assert.equal(rules.isAllowed('https://example.com/private/press/release'), true);
+    assert.equal(rules.isAllowed('https://example.com/search.cgi'), false);
+    assert.equal(rules.isAllowed('https://example.com/search.cgi?q=1'), true);
+    assert.equal(rules.crawlDelay, 0.5);
+    assert.deepEqual(rules.sitemaps, ['https://example.com/sitemap.xml']);
+});
+
+test('RobotsRules uses the group naming the crawler', () => {
+    const rules = RobotsRules.parse(ROBOTS, 'OtherBot/2.0');
+    assert.equal(rules.isAllowed('https://example.com/blog/post'), false);
+});
+
+test('RobotsRules matches the whole product token, not a substring', () => {
+    const robots = `
+User-agent: bot
+User-agent: Tutorial
+Disallow: /
+
+User-agent: langgraphtutorialbot
+Disallow: /drafts
+
+User-agent: *
+Disallow: /private
+
+User-agent: LangGraphTutorialBot/1.0
+Disallow: /tmp
+Crawl-delay: 2
+`;
+    const rules = RobotsRules.parse(robots, 'LangGraphTutorialBot/1.0 (+https://example.com/bot)');
+    assert.equal(rules.isAllowed('https://example.com/blog/post'), true, 'not the "bot" group');
+    assert.equal(rules.isAllowed('https://example.com/private/notes'), true, 'not the wildcard group either');
+    assert.equal(rules.isAllowed('https://example.com/drafts/1'), false);
+    assert.equal(rules.isAllowed('https://example.com/tmp/1'), false, 'groups naming the crawler are merged');
+    assert.equal(rules.crawlDelay, 2);
+
+    const other = RobotsRules.parse(robots, 'SearchBot');
+    assert.equal(other.isAllowed('https://example.com/private/notes'), false);
+    assert.equal(other.isAllowed('https://example.com/blog/post'), true);
+});
+
+test('normalizeUrl drops fragments, tracking parameters, default ports and trailing slashes', () => {
+    assert.equal(
+        PoliteCrawler.normalizeUrl('HTTPS://Example.com:443/posts/?utm_source=x&b=2&a=1#top'),
+        'https://example.com/posts?a=1&b=2'
+    );
+});
+
+test('crawl follows links to maxDepth, honors robots.txt and skips canonical duplicates', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const base = await startServer(t);
+    const pages = {
+        '/': { links: [`${base}/a`, `${base}/private/secret`, 'https://elsewhere.example/x', `${base}/file.pdf`] },
+        '/a': { links: [`${base}/b`, `${base}/a-copy`] },
+        '/a-copy': { canonicalUrl: `${base}/a`, links: [] },
+        '/b': { links: [`${base}/c`] }
+    };
+    const fetched = [];
+    const crawler = new PoliteCrawler({
+        maxDepth: 2,
+        defaultDelayMs: 0,
+        fetchPage: async (url) => {
+            const pathname = new URL(url).pathname;
+            fetched.push(pathname);
+            return pages[pathname] ? { title: pathname, ...pages[pathname] } : null;
+        }
+    });
+
+    const { pages: crawled, stats } = await crawler.crawl({ seeds: [`${base}/`] });
+
+    assert.deepEqual(crawled.map(page => page.title).sort(), ['/', '/a', '/b']);
+    assert.ok(!fetched.includes('/private/secret'));
+    assert.ok(!fetched.includes('/c'), 'depth 3 is beyond maxDepth');
+    assert.equal(stats.blockedByRobots, 1);
+    assert.equal(stats.duplicates, 1);
+    assert.equal(stats.outOfScope, 2); // other domain and the PDF
+});
+
+test('crawl starts from the URLs listed in a sitemap', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const base = await startServer(t);
+    const crawler = new PoliteCrawler({
+        maxDepth: 0,
+        defaultDelayMs: 0,
+        fetchPage: async (url) => ({ title: new URL(url).pathname, links: [] })
+    });
+    const { pages } = await crawler.crawl({ sitemaps: [`${base}/sitemap.xml`] });
+    assert.deepEqual(pages.map(page => page.title), ['/']);
+});
@@ -0,0 +1,562 @@
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+const { mean, median, standardDeviation, sampleStandardDeviation, quantile, sum, min, max } = require('simple-statistics');
+
+const isMissing = (value) => value === null || value === undefined || (typeof value === 'number' && isNaN(value));
+
+// Aggregations accepted by groupBy().agg() and pivot()
+const AGGREGATIONS = {
+    count: (values) => values.filter(v => !isMissing(v)).length,
+    sum: (values) => sum(numeric(values)),
+    mean: (values) => (numeric(values).length ? mean(numeric(values)) : null),
+    median: (values) => (numeric(values).length ? median(numeric(values)) : null),
+    std: (values) => (numeric(values).length > 1 ? sampleStandardDeviation(numeric(values)) : null), // n - 1, as in pandas
+    min: (values) => (numeric(values).length ? min(numeric(values)) : null),
+    max: (values) => (numeric(values).length ? max(numeric(values)) : null),
+    first: (values) => values.find(v => !isMissing(v)) ?? null,
+    last: (values) => [...values].reverse().find(v => !isMissing(v)) ?? null,
+    nunique: (values) => new Set(values.filter(v => !isMissing(v))).size
+};
+
+function numeric(values) {
+    return values.filter(v => typeof v === 'number' && !isNaN(v));
+}
+
+function resolveAggregation(agg) {
+    if (typeof agg === 'function') return agg;
+    if (!AGGREGATIONS[agg]) {
+        throw new Error(`Unknown aggregation "${agg}" (expected one of ${Object.keys(AGGREGATIONS).join(', ')})`);
+    }
+    return AGGREGATIONS[agg];
+}
+
+function compareValues(a, b) {
+    // Missing values always sort last, like pandas na_position='last'
+    if (isMissing(a) && isMissing(b)) return 0;
+    if (isMissing(a)) return 1;
+    if (isMissing(b)) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+// Incremental RFC 4180 CSV parser: quoted fields, "" escapes, embedded newlines, CRLF.
+// Feed it chunks with push(); it returns every record completed so far.
+class CsvParser {
+    constructor(delimiter = ',') {
+        this.delimiter = delimiter;
+        this.field = '';
+        this.record = [];
+        this.inQuotes = false;
+        this.quotePending = false; // saw a quote inside a quoted field; next char decides
+        this.started = false;
+    }
+
+    push(chunk) {
+        const records = [];
+        let text = chunk;
+        if (!this.started) {
+            text = text.replace(/^\uFEFF/, ''); // strip UTF-8 BOM
+            this.started = true;
+        }
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (this.quotePending) {
+                this.quotePending = false;
+                if (char === '"') {
+                    this.field += '"';
+                    continue;
+                }
+                this.inQuotes = false;
+            }
+
+            if (this.inQuotes) {
+                if (char === '"') this.quotePending = true;
+                else this.field += char;
+            } else if (char === '"' && this.field === '') {
+                this.inQuotes = true;
+            } else if (char === this.delimiter) {
+                this.record.push(this.field);
+                this.field = '';
+            } else if (char === '\n') {
+                this.record.push(this.field.replace(/\r$/, ''));
+                records.push(this.record);
+                this.record = [];
+                this.field = '';
+            } else {
+                this.field += char;
+            }
+        }
+        return records;
+    }
+
+    end() {
+        if (this.inQuotes && !this.quotePending) {
+            throw new Error('Unterminated quoted field at end of CSV input');
+        }
+        if (this.field !== '' || this.record.length > 0) {
+            this.record.push(this.field.replace(/\r$/, ''));
+            const last = this.record;
+            this.record = [];
+            this.field = '';
+            return [last];
+        }
+        return [];
+    }
+}
+
+// Per-cell type inference: numbers, booleans, empty -> null, JSON arrays/objects.
+// Numbers with leading zeros ("00123") stay strings so IDs and zip codes survive.
+function inferValue(raw) {
+    const value = raw.trim();
+    if (value === '') return null;
+    if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(value)) return Number(value);
+    if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+    if ((value.startsWith('[') && value.endsWith(']')) || (value.startsWith('{') && value.endsWith('}'))) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return raw;
+        }
+    }
+    return raw;
+}
+
+function formatCell(value) {
+    if (isMissing(value)) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function csvEscape(value, delimiter, formulaGuard = false) {
+    const text = formatCell(value);
+    // Quote anything that would otherwise be misread
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text);
+    // formulaGuard: prefix ' to text a spreadsheet would run as a formula. This changes
+    // the value (fromCSV doesn't strip it), so it is only for files meant for spreadsheets.
+    const safe = formulaGuard && typeof value !== 'number' && /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return needsQuotes ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+// Turns header + value arrays into row objects
+function recordToRow(header, record, inferTypes) {
+    const row = {};
+    header.forEach((column, i) => {
+        const raw = record[i] ?? '';
+        row[column] = inferTypes ? inferValue(raw) : raw;
+    });
+    return row;
+}
+
+async function writeLines(filePath, lines) {
+    const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+    for (const line of lines) {
+        // Respect backpressure so huge frames don't buffer entirely in memory
+        if (!stream.write(line)) await once(stream, 'drain');
+    }
+    stream.end();
+    await once(stream, 'finish');
+}
+
+class DataAnalysisTools {
+    // JavaScript equivalent of pandas basic operations
+    static createDataFrame(data = []) {
+        const rows = Array.isArray(data) ? data : (data.data || []);
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const wrap = (newRows) => DataAnalysisTools.createDataFrame(newRows);
+        const columnList = (cols) => (Array.isArray(cols[0]) ? cols[0] : cols);
+
+        return {
+            data: rows,
+            length: rows.length,
+            columns: columns,
+
+            // Basic statistics (like pandas describe()); numeric columns get
+            // quantiles and the sample std (n - 1, null for a single value; before
+            // it was the population std, which numpy.std still gives), other
+            // columns get count/unique/top/freq
+            describe(column) {
+                if (column === undefined) {
+                    const summary = {};
+                    columns.forEach(col => { summary[col] = this.describe(col); });
+                    return summary;
+                }
+
+                const present = rows.map(row => row[column]).filter(v => !isMissing(v));
+                const values = numeric(present);
+
+                if (values.length > 0 && values.length === present.length) {
+                    return {
+                        count: values.length,
+                        mean: mean(values),
+                        median: median(values),
+                        std: values.length > 1 ? sampleStandardDeviation(values) : null,
+                        min: min(values),
+                        '25%': quantile(values, 0.25),
+                        '50%': quantile(values, 0.5),
+                        '75%': quantile(values, 0.75),
+                        max: max(values)
+                    };
+                }
+
+                if (present.length === 0) {
+                    return { count: 0, mean: null, median: null, std: null, min: null, max: null };
+                }
+
+                const counts = new Map();
+                present.forEach(v => {
+                    const key = typeof v === 'object' ? JSON.stringify(v) : v;
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                });
+                const [top, freq] = [...counts.entries()].sort(([, a], [, b]) => b - a)[0];
+                return { count: present.length, unique: counts.size, top, freq };
+            },
+
+            // Group by one or more columns. As before, the result maps each key to its rows
+            // (grouped[value]; "a,b" for several columns), but object keys are strings, so
+            // null, 'null' and undefined land together there. The non-enumerable .groups
+            // lists { key: { column: value }, rows } in first-seen order with keys compared
+            // by value (nested Maps), and get(...values) looks one up. A group named like
+            // one of the methods (agg, get, groups, keys, size) is only reachable through those.
+            groupBy(by) {
+                const keys = Array.isArray(by) ? by : [by];
+                const index = new Map(); // first key value -> ... -> last key value -> group
+                const groups = [];
+                const grouped = {};
+                rows.forEach(row => {
+                    let level = index;
+                    keys.slice(0, -1).forEach(k => {
+                        if (!level.has(row[k])) level.set(row[k], new Map());
+                        level = level.get(row[k]);
+                    });
+                    const last = row[keys[keys.length - 1]];
+                    if (!level.has(last)) {
+                        const group = { key: Object.fromEntries(keys.map(k => [k, row[k]])), rows: [] };
+                        level.set(last, group);
+                        groups.push(group);
+                    }
+                    level.get(last).rows.push(row);
+
+                    const name = String(keys.map(k => row[k]));
+                    (grouped[name] = grouped[name] || []).push(row);
+                });
+
+                const methods = {
+                    groups: groups,
+                    keys: () => groups.map(group => group.key),
+                    get: (...values) => values.reduce((level, value) => level?.get(value), index)?.rows || [],
+                    size: () => wrap(groups.map(group => ({ ...group.key, size: group.rows.length }))),
+
+                    // spec: { column: 'mean' | ['mean', 'max'] | (values, rows) => value }
+                    agg(spec) {
+                        return wrap(groups.map(group => {
+                            const result = { ...group.key };
+                            Object.entries(spec).forEach(([column, aggs]) => {
+                                const values = group.rows.map(row => row[column]);
+                                if (Array.isArray(aggs)) {
+                                    aggs.forEach(agg => {
+                                        const name = typeof agg === 'function' ? agg.name || 'custom' : agg;
+                                        result[`${column}_${name}`] = resolveAggregation(agg)(values, group.rows);
+                                    });
+                                } else {
+                                    result[column] = resolveAggregation(aggs)(values, group.rows);
+                                }
+                            });
+                            return result;
+                        }));
+                    }
+                };
+                Object.entries(methods).forEach(([name, value]) => {
+                    Object.defineProperty(grouped, name, { value, enumerable: false, writable: true, configurable: true });
+                });
+                return grouped;
+            },
+
+            // Filter functionality
+            filter(predicate) {
+                return wrap(rows.filter(predicate));
+            },
+
+            select(...cols) {
+                const selected = columnList(cols);
+                return wrap(rows.map(row => Object.fromEntries(selected.map(col => [col, row[col]]))));
+            },
+
+            // sortBy('score') / sortBy(['domain', 'score'], { ascending: [true, false] })
+            sortBy(by, { ascending = true } = {}) {
+                const keys = Array.isArray(by) ? by : [by];
+                const directions = keys.map((_, i) => (Array.isArray(ascending) ? ascending[i] !== false : ascending));
+                const sorted = [...rows].sort((a, b) => {
+                    for (let i = 0; i < keys.length; i++) {
+                        const cmp = compareValues(a[keys[i]], b[keys[i]]);
+                        // Keep missing values last regardless of direction
+                        if (cmp !== 0) {
+                            if (isMissing(a[keys[i]]) || isMissing(b[keys[i]])) return cmp;
+                            return directions[i] ? cmp : -cmp;
+                        }
+                    }
+                    return 0;
+                });
+                return wrap(sorted);
+            },
+
+            head(n = 5) {
+                return wrap(rows.slice(0, n));
+            },
+
+            tail(n = 5) {
+                return wrap(n > 0 ? rows.slice(-n) : []);
+            },
+
+            // SQL-style join on a key column: how = 'inner' | 'left' | 'right' | 'outer'
+            join(other, on, { how = 'inner', suffixes = ['_x', '_y'] } = {}) {
+                const otherRows = Array.isArray(other) ? other : other.data;
+                const [leftKey, rightKey] = Array.isArray(on) ? on : [on, on];
+                const otherColumns = [...new Set(otherRows.flatMap(row => Object.keys(row)))];
+                const overlapping = new Set(columns.filter(c => c !== leftKey && otherColumns.includes(c)));
+
+                const index = new Map();
+                otherRows.forEach(row => {
+                    const key = row[rightKey];
+                    if (!index.has(key)) index.set(key, []);
+                    index.get(key).push(row);
+                });
+
+                const merge = (left, right) => {
+                    const merged = {};
+                    columns.forEach(col => {
+                        merged[overlapping.has(col) ? col + suffixes[0] : col] = left ? left[col] : undefined;
+                    });
+                    otherColumns.forEach(col => {
+                        if (col === rightKey && rightKey === leftKey) {
+                            merged[leftKey] = left ? left[leftKey] : right[rightKey];
+                            return;
+                        }
+                        merged[overlapping.has(col) ? col + suffixes[1] : col] = right ? right[col] : undefined;
+                    });
+                    return merged;
+                };
+
+                const result = [];
+                const matchedRight = new Set();
+                rows.forEach(left => {
+                    const matches = isMissing(left[leftKey]) ? [] : (index.get(left[leftKey]) || []);
+                    matches.forEach(right => {
+                        matchedRight.add(right);
+                        result.push(merge(left, right));
+                    });
+                    if (matches.length === 0 && (how === 'left' || how === 'outer')) {
+                        result.push(merge(left, null));
+                    }
+                });
+                if (how === 'right' || how === 'outer') {
+                    otherRows.filter(right => !matchedRight.has(right))
+                        .forEach(right => result.push(merge(null, right)));
+                }
+                return wrap(result);
+            },
+
+            // Frequency of each value (like pandas value_counts()), most common first
+            valueCounts(column, { normalize = false, dropna = true } = {}) {
+                const counts = new Map();
+                rows.forEach(row => {
+                    const value = row[column];
+                    if (dropna && isMissing(value)) return;
+                    counts.set(value, (counts.get(value) || 0) + 1);
+                });
+                const total = [...counts.values()].reduce((a, b) => a + b, 0) || 1;
+                return wrap([...counts.entries()]
+                    .sort(([, a], [, b]) => b - a)
+                    .map(([value, count]) => ({ [column]: value, [normalize ? 'proportion' : 'count']: normalize ? count / total : count })));
+            },
+
+            // Spreadsheet-style pivot table (like pandas pivot_table())
+            pivot({ index, columns: pivotColumn, values, aggfunc = 'mean', fillValue = null }) {
+                const aggregate = resolveAggregation(aggfunc);
+                // Like pandas, rows with a missing index or column value are dropped
+                const pivotRows = rows.filter(row => !isMissing(row[index]) && !isMissing(row[pivotColumn]));
+                const columnValues = [...new Set(pivotRows.map(row => row[pivotColumn]))];
+                const cells = new Map(); // index value -> column value -> values[]
+
+                pivotRows.forEach(row => {
+                    const rowKey = row[index];
+                    if (!cells.has(rowKey)) cells.set(rowKey, new Map());
+                    const byColumn = cells.get(rowKey);
+                    if (!byColumn.has(row[pivotColumn])) byColumn.set(row[pivotColumn], []);
+                    byColumn.get(row[pivotColumn]).push(row[values]);
+                });
+
+                return wrap([...cells.entries()].map(([rowKey, byColumn]) => {
+                    const result = { [index]: rowKey };
+                    columnValues.forEach(col => {
+                        result[col] = byColumn.has(col) ? aggregate(byColumn.get(col)) : fillValue;
+                    });
+                    return result;
+                }));
+            },
+
+            // Derived columns: assign({ wordsPerMinute: row => row.wordCount / 200, source: 'web' })
+            assign(derived) {
+                return wrap(rows.map((row, i) => {
+                    const result = { ...row };
+                    Object.entries(derived).forEach(([column, value]) => {
+                        result[column] = typeof value === 'function' ? value(result, i) : value;
+                    });
+                    return result;
+                }));
+            },
+
+            // Drop rows with missing values: how = 'any' | 'all' over subset (default: all columns)
+            dropna({ subset = columns, how = 'any' } = {}) {
+                return wrap(rows.filter(row => {
+                    const missing = subset.filter(col => isMissing(row[col])).length;
+                    return how === 'all' ? missing < subset.length : missing === 0;
+                }));
+            },
+
+            // fillna(0) fills every column; fillna({ author: 'unknown' }) fills per column
+            fillna(value) {
+                const perColumn = value !== null && typeof value === 'object' && !Array.isArray(value);
+                return wrap(rows.map(row => {
+                    const result = { ...row };
+                    const targets = perColumn ? Object.keys(value) : columns;
+                    targets.forEach(col => {
+                        if (isMissing(result[col])) result[col] = perColumn ? value[col] : value;
+                    });
+                    return result;
+                }));
+            },
+
+            toArray() {
+                return rows.map(row => ({ ...row }));
+            },
+
+            // CSV text with a header row; arrays/objects are written as JSON.
+            // formulaGuard: true neutralizes =, +, -, @ at the start of text cells
+            toCSV({ delimiter = ',', columns: cols = columns, formulaGuard = false } = {}) {
+                return [...this.csvLines({ delimiter, columns: cols, formulaGuard })].join('');
+            },
+
+            *csvLines({ delimiter = ',', columns: cols = columns, formulaGuard = false } = {}) {
+                yield cols.map(col => csvEscape(col, delimiter, formulaGuard)).join(delimiter) + '\n';
+                for (const row of rows) {
+                    yield cols.map(col => csvEscape(row[col], delimiter, formulaGuard)).join(delimiter) + '\n';
+                }
+            },
+
+            toJSONL() {
+                return rows.map(row => JSON.stringify(row) + '\n').join('');
+            },
+
+            // Streams rows to disk instead of building one big string
+            async writeCSV(filePath, options = {}) {
+                await writeLines(filePath, this.csvLines(options));
+                return filePath;
+            },
+
+            async writeJSONL(filePath) {
+                await writeLines(filePath, rows.map(row => JSON.stringify(row) + '\n'));
+                return filePath;
+            },
+
+            // GitHub-flavoured Markdown table for reports and PR comments
+            toMarkdownTable({ columns: cols = columns, maxWidth = 60, precision = 2, limit = Infinity } = {}) {
+                const cell = (value) => {
+                    let text = typeof value === 'number' && !Number.isInteger(value)
+                        ? value.toFixed(precision)
+                        : formatCell(value);
+                    text = text.replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+                    return text.length > maxWidth ? `${text.slice(0, maxWidth - 1)}…` : text;
+                };
+                const numericColumn = (col) => rows.length > 0 && rows.every(row => isMissing(row[col]) || typeof row[col] === 'number');
+
+                const lines = [
+                    `| ${cols.map(cell).join(' | ')} |`,
+                    `| ${cols.map(col => (numericColumn(col) ? '---:' : '---')).join(' | ')} |`,
+                    ...rows.slice(0, limit).map(row => `| ${cols.map(col => cell(row[col])).join(' | ')} |`)
+                ];
+                if (rows.length > limit) lines.push(`\n_${rows.length - limit} more rows not shown_`);
+                return lines.join('\n');
+            }
+        };
+    }
+
+    // Parse CSV text into a DataFrame (header row required)
+    static parseCSV(text, { delimiter = ',', inferTypes = true } = {}) {
+        const parser = new CsvParser(delimiter);
+        const records = [...parser.push(text), ...parser.end()];
+        if (records.length === 0) return DataAnalysisTools.createDataFrame([]);
+
+        const [header, ...body] = records;
+        const columns = header.map(h => h.trim());
+        return DataAnalysisTools.createDataFrame(
+            body.filter(r => !(r.length === 1 && r[0] === '')).map(r => recordToRow(columns, r, inferTypes))
+        );
+    }
+
+    // Stream rows from a CSV file without holding the raw text in memory
+    static async *streamCSV(filePath, { delimiter = ',', inferTypes = true } = {}) {
+        const parser = new CsvParser(delimiter);
+        let header = null;
+
+        const toRows = function* (records) {
+            for (const record of records) {
+                if (!header) {
+                    header = record.map(h => h.trim());
+                    continue;
+                }
+                if (record.length === 1 && record[0] === '') continue; // blank line
+                yield recordToRow(header, record, inferTypes);
+            }
+        };
+
+        for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+            yield* toRows(parser.push(chunk));
+        }
+        yield* toRows(parser.end());
+    }
+
+    // Stream rows from a JSON Lines file (one JSON object per line)
+    static async *streamJSONL(filePath) {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        let lineNumber = 0;
+        for await (const line of lines) {
+            lineNumber++;
+            if (line.trim() === '') continue;
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${filePath}:${lineNumber}: invalid JSON (${error.message})`);
+            }
+        }
+    }
+
+    static async fromCSV(filePath, options = {}) {
+        const rows = [];
+        for await (const row of DataAnalysisTools.streamCSV(filePath, options)) rows.push(row);
+        return DataAnalysisTools.createDataFrame(rows);
+    }
+
+    static async fromJSONL(filePath) {
+        const rows = [];
+        for await (const row of DataAnalysisTools.streamJSONL(filePath)) rows.push(row);
+        return DataAnalysisTools.createDataFrame(rows);
+    }
+
+    // JavaScript equivalent of numpy operations
+    static numpy = {
+        array: (data) => data,
+        mean: (arr) => mean(arr),
+        std: (arr) => standardDeviation(arr), // population (ddof=0), like numpy
+        unique: (arr) => [...new Set(arr)],
+        countNonZero: (arr) => arr.filter(x => x !== 0 && x !== null && x !== undefined).length
+    };
+}
+
+module.exports = { DataAnalysisTools };
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataAnalysisTools } = require('./data-analysis-tools');
+
+const articles = () => DataAnalysisTools.createDataFrame([
+    { domain: 'a.com', lang: 'en', score: 8, words: 1200 },
+    { domain: 'b.com', lang: 'en', score: 5, words: 300 },
+    { domain: 'a.com', lang: 'de', score: 6, words: null },
+    { domain: 'c.com', lang: 'en', score: null, words: 900 }
+]);
+
+test('describe reports sample std, quantiles and categorical summaries', () => {
+    const df = DataAnalysisTools.createDataFrame([{ x: 2 }, { x: 4 }, { x: 4 }, { x: 4 }, { x: 5 }, { x: 5 }, { x: 7 }, { x: 9 }]);
+    const stats = df.describe('x');
+    assert.equal(stats.count, 8);
+    assert.equal(stats.mean, 5);
+    assert.equal(Number(stats.std.toFixed(4)), 2.1381, 'n - 1, like pandas');
+    assert.equal(DataAnalysisTools.numpy.std(df.data.map(r => r.x)), 2, 'numpy stays population');
+    assert.equal(DataAnalysisTools.createDataFrame([{ x: 3 }]).describe('x').std, null);
+
+    assert.deepEqual(articles().describe('lang'), { count: 4, unique: 2, top: 'en', freq: 3 });
+    assert.deepEqual(DataAnalysisTools.createDataFrame([]).describe('x'),
+        { count: 0, mean: null, median: null, std: null, min: null, max: null });
+
+    const large = DataAnalysisTools.createDataFrame(Array.from({ length: 200000 }, (_, i) => ({ x: i % 100, g: i % 2 })));
+    assert.equal(large.describe('x').max, 99, 'more rows than fit on the call stack');
+    assert.deepEqual(large.groupBy('g').agg({ x: ['min', 'max'] }).toArray()[1], { g: 1, x_min: 1, x_max: 99 });
+});
+
+test('groupBy keeps values that stringify alike in separate groups', () => {
+    const df = DataAnalysisTools.createDataFrame([
+        { a: 'x|y', b: 'z', n: 1 },
+        { a: 'x', b: 'y|z', n: 2 },
+        { a: 1, b: null, n: 3 },
+        { a: '1', b: null, n: 4 },
+        { a: '1', b: undefined, n: 5 },
+        { a: '1', b: '', n: 6 }
+    ]);
+    const grouped = df.groupBy(['a', 'b']);
+
+    assert.equal(grouped.groups.length, 6);
+    assert.deepEqual(grouped.get(1, null).map(r => r.n), [3]);
+    assert.deepEqual(grouped.get('1', undefined).map(r => r.n), [5]);
+    assert.deepEqual(grouped.keys()[0], { a: 'x|y', b: 'z' });
+    assert.deepEqual(grouped.get('missing', 'group'), []);
+});
+
+test('groupBy still maps each key to its rows like a plain object', () => {
+    const grouped = articles().groupBy('domain');
+
+    assert.deepEqual(Object.keys(grouped), ['a.com', 'b.com', 'c.com']);
+    assert.deepEqual(grouped['a.com'].map(r => r.score), [8, 6]);
+    assert.equal(JSON.parse(JSON.stringify(grouped))['c.com'].length, 1);
+    assert.equal(typeof grouped.agg, 'function');
+    assert.deepEqual(Object.keys(DataAnalysisTools.createDataFrame([{ a: 1, b: 2 }]).groupBy(['a', 'b'])), ['1,2']);
+});
+
+test('groupBy().agg() supports named, multiple and custom aggregations', () => {
+    const result = articles().groupBy('domain').agg({
+        score: ['mean', 'count'],
+        words: (values, rows) => rows.length
+    }).toArray();
+
+    assert.deepEqual(result[0], { domain: 'a.com', score_mean: 7, score_count: 2, words: 2 });
+    assert.deepEqual(result[2], { domain: 'c.com', score_mean: null, score_count: 0, words: 1 });
+    assert.throws(() => articles().groupBy('domain').agg({ score: 'mode' }), /Unknown aggregation "mode"/);
+});
+
+test('sortBy puts missing values last in both directions', () => {
+    const ascending = articles().sortBy('score').data.map(r => r.score);
+    const descending = articles().sortBy('score', { ascending: false }).data.map(r => r.score);
+    assert.deepEqual(ascending, [5, 6, 8, null]);
+    assert.deepEqual(descending, [8, 6, 5, null]);
+    assert.deepEqual(articles().sortBy(['lang', 'score'], { ascending: [true, false] }).data.map(r => r.score), [6, 8, 5, null]);
+});
+
+test('join supports inner, left and outer joins with suffixes', () => {
+    const owners = [{ domain: 'a.com', owner: 'Ana', score: 1 }, { domain: 'z.com', owner: 'Zed', score: 2 }];
+
+    const inner = articles().join(owners, 'domain').toArray();
+    assert.equal(inner.length, 2);
+    assert.equal(inner[0].owner, 'Ana');
+    assert.equal(inner[0].score_x, 8);
+    assert.equal(inner[0].score_y, 1);
+
+    assert.equal(articles().join(owners, 'domain', { how: 'left' }).length, 4);
+    const outer = articles().join(owners, 'domain', { how: 'outer' }).toArray();
+    assert.equal(outer.length, 5);
+    assert.deepEqual(outer[4], { domain: 'z.com', lang: undefined, score_x: undefined, words: undefined, owner: 'Zed', score_y: 2 });
+});
+
+test('valueCounts, pivot, assign and missing-value helpers', () => {
+    assert.deepEqual(articles().valueCounts('domain').data[0], { domain: 'a.com', count: 2 });
+    assert.equal(articles().valueCounts('domain', { normalize: true }).data[0].proportion, 0.5);
+
+    const pivot = articles().pivot({ index: 'domain', columns: 'lang', values: 'score', aggfunc: 'max', fillValue: 0 }).toArray();
+    assert.deepEqual(pivot[0], { domain: 'a.com', en: 8, de: 6 });
+    assert.deepEqual(pivot[1], { domain: 'b.com', en: 5, de: 0 });
+
+    const derived = articles().assign({ minutes: row => row.words / 200, source: 'web' }).data[0];
+    assert.equal(derived.minutes, 6);
+    assert.equal(derived.source, 'web');
+
+    assert.equal(articles().dropna().length, 2);
+    assert.equal(articles().dropna({ subset: ['score'] }).length, 3);
+    assert.deepEqual(articles().fillna({ score: 0 }).data.map(r => r.score), [8, 5, 6, 0]);
+    assert.deepEqual(articles().select('domain').head(1).toArray(), [{ domain: 'a.com' }]);
+    assert.deepEqual(articles().tail(1).data.map(r => r.domain), ['c.com']);
+});
+
+test('CSV export and import round-trip quoting, types and JSON cells', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataframe-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const rows = [
+        { id: '00123', title: 'Hello, "world"', body: 'line one\nline two', score: 7.5, ok: true, tags: ['a', 'b'], note: null },
+        { id: '00124', title: ' padded ', body: '=SUM(A1)', score: -2, ok: false, tags: [], note: 'x' }
+    ];
+    const df = DataAnalysisTools.createDataFrame(rows);
+    const file = path.join(dir, 'rows.csv');
+    await df.writeCSV(file);
+
+    assert.deepEqual((await DataAnalysisTools.fromCSV(file)).toArray(), rows);
+    assert.deepEqual(DataAnalysisTools.parseCSV(df.toCSV()).toArray(), rows);
+
+    const semicolon = df.toCSV({ delimiter: ';' });
+    assert.deepEqual(DataAnalysisTools.parseCSV(semicolon, { delimiter: ';' }).toArray(), rows);
+    assert.equal(DataAnalysisTools.parseCSV('a,b\r\n1,x\r\n\r\n', { inferTypes: false }).data[0].a, '1');
+});
+
+test('the formula guard is opt-in and leaves numbers alone', () => {
+    const df = DataAnalysisTools.createDataFrame([{ cell: '=SUM(A1)', n: -5 }, { cell: '@user', n: 3 }]);
+    assert.equal(df.toCSV(), 'cell,n\n=SUM(A1),-5\n@user,3\n');
+    assert.equal(df.toCSV({ formulaGuard: true }), "cell,n\n'=SUM(A1),-5\n'@user,3\n");
+});
+
+test('JSONL export and import round-trip and report the bad line', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataframe-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const df = articles();
+    const file = path.join(dir, 'rows.jsonl');
+    await df.writeJSONL(file);
+    assert.equal(fs.readFileSync(file, 'utf8'), df.toJSONL());
+    assert.deepEqual((await DataAnalysisTools.fromJSONL(file)).toArray(), df.toArray());
+
+    fs.appendFileSync(file, '\n{not json}\n');
+    await assert.rejects(DataAnalysisTools.fromJSONL(file), /rows\.jsonl:6: invalid JSON/);
+});
+
+test('toMarkdownTable escapes pipes, right-aligns numbers and truncates', () => {
+    const table = DataAnalysisTools.createDataFrame([
+        { name: 'a|b', score: 1.234 },
+        { name: 'x'.repeat(10), score: 2 },
+        { name: 'extra', score: 3 }
+    ]).toMarkdownTable({ maxWidth: 5, limit: 2 });
+
+    assert.equal(table, [
+        '| name | score |',
+        '| --- | ---: |',
+        '| a\\|b | 1.23 |',
+        '| xxxx… | 2 |',
+        '',
+        '_1 more rows not shown_'
+    ].join('\n'));
+});
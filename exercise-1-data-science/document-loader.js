@@ -0,0 +1,412 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pathToFileURL } = require('url');
+const { ContentExtractor } = require('./content-extractor');
+
+const SOURCE_TYPES = {
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'text',
+    '.html': 'html',
+    '.htm': 'html',
+    '.pdf': 'pdf'
+};
+
+const SKIP_DIRECTORIES = new Set(['node_modules', '.git', '.fetch-cache', 'chroma_db']);
+
+// Loads local files (Markdown, plain text, HTML, text-layer PDFs) into the same
+// record shape fetchWebContent() produces, with file:// URLs as the source
+class DocumentLoader {
+    static isSupported(filePath) {
+        return Object.prototype.hasOwnProperty.call(SOURCE_TYPES, path.extname(filePath).toLowerCase());
+    }
+
+    // Supported files under dir, sorted so runs are reproducible
+    static listFiles(dir, { recursive = true } = {}) {
+        const files = [];
+        const walk = (current) => {
+            const entries = fs.readdirSync(current, { withFileTypes: true })
+                .sort((a, b) => a.name.localeCompare(b.name));
+            for (const entry of entries) {
+                const full = path.join(current, entry.name);
+                if (entry.isDirectory()) {
+                    if (recursive && !entry.name.startsWith('.') && !SKIP_DIRECTORIES.has(entry.name)) walk(full);
+                } else if (entry.isFile() && DocumentLoader.isSupported(full)) {
+                    files.push(full);
+                }
+            }
+        };
+        walk(path.resolve(dir));
+        return files;
+    }
+
+    // Returns { url, finalUrl, canonicalUrl, title, author, publishedAt, language, content,
+    // wordCount, linkDensity, links, metadata, sourceType, path, modifiedAt }
+    static load(filePath) {
+        const absolute = path.resolve(filePath);
+        const sourceType = SOURCE_TYPES[path.extname(absolute).toLowerCase()];
+        if (!sourceType) {
+            throw new Error(`Unsupported file type: ${path.extname(absolute) || '(none)'}`);
+        }
+
+        const url = pathToFileURL(absolute).href;
+        const buffer = fs.readFileSync(absolute);
+        const stats = fs.statSync(absolute);
+
+        let document;
+        if (sourceType === 'html') {
+            document = ContentExtractor.extract(buffer.toString('utf8'), url);
+            document.metadata = {};
+        } else if (sourceType === 'pdf') {
+            document = DocumentLoader.fromPdf(buffer);
+        } else {
+            document = DocumentLoader.fromMarkdown(buffer.toString('utf8'), url);
+        }
+
+        const metadata = document.metadata || {};
+        return {
+            url,
+            finalUrl: url,
+            canonicalUrl: DocumentLoader.frontMatterUrl(metadata) || document.canonicalUrl || url,
+            title: metadata.title || document.title || path.basename(absolute, path.extname(absolute)),
+            author: DocumentLoader.frontMatterAuthor(metadata) || document.author || null,
+            publishedAt: DocumentLoader.frontMatterDate(metadata) || document.publishedAt || null,
+            language: metadata.lang || metadata.language || document.language || null,
+            content: document.content,
+            wordCount: ContentExtractor.countWords(document.content),
+            linkDensity: document.linkDensity || 0,
+            links: document.links || [],
+            metadata,
+            sourceType,
+            path: absolute,
+            modifiedAt: stats.mtime.toISOString()
+        };
+    }
+
+    static frontMatterUrl(metadata) {
+        const value = metadata.canonical_url || metadata.canonicalUrl || metadata.url;
+        return typeof value === 'string' && /^https?:\/\//.test(value) ? value : null;
+    }
+
+    static frontMatterAuthor(metadata) {
+        const value = metadata.author || metadata.authors;
+        if (Array.isArray(value)) return value.join(', ') || null;
+        return typeof value === 'string' ? value : null;
+    }
+
+    static frontMatterDate(metadata) {
+        const value = metadata.date || metadata.published || metadata.publishedAt;
+        if (!value) return null;
+        const time = Date.parse(value);
+        return isNaN(time) ? null : new Date(time).toISOString();
+    }
+
+    // Splits a leading "---" YAML block from the body. Handles the subset docs
+    // actually use: scalars, quoted strings, [inline, lists] and "- item" lists.
+    static parseFrontMatter(text) {
+        const match = text.match(/^﻿?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+        if (!match) return { data: {}, body: text };
+
+        const data = {};
+        let listKey = null;
+        for (const line of match[1].split(/\r?\n/)) {
+            if (line.trim() === '' || line.trim().startsWith('#')) continue;
+
+            const item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+            if (item && listKey) {
+                data[listKey].push(DocumentLoader.yamlScalar(item[1]));
+                continue;
+            }
+
+            const pair = line.match(/^([A-Za-z0-9_-]+)\s*:\s*(.*)$/);
+            if (!pair) continue;
+            const [, key, raw] = pair;
+            if (raw === '') {
+                // Either a block list follows or the value is empty
+                data[key] = [];
+                listKey = key;
+                continue;
+            }
+            listKey = null;
+            if (raw.startsWith('[') && raw.endsWith(']')) {
+                data[key] = raw.slice(1, -1).split(',').map(v => v.trim()).filter(Boolean).map(DocumentLoader.yamlScalar);
+            } else {
+                data[key] = DocumentLoader.yamlScalar(raw);
+            }
+        }
+
+        // Empty keys that never got list items are just empty values
+        for (const [key, value] of Object.entries(data)) {
+            if (Array.isArray(value) && value.length === 0) data[key] = null;
+        }
+
+        return { data, body: text.slice(match[0].length) };
+    }
+
+    static yamlScalar(raw) {
+        const value = raw.replace(/\s+#.*$/, '').trim();
+        if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+        if (value === 'true' || value === 'false') return value === 'true';
+        if (value === 'null' || value === '~') return null;
+        if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+        return value;
+    }
+
+    // Markdown (or plain text, which is a subset) → plain paragraphs joined by blank lines
+    static fromMarkdown(text, url) {
+        const { data, body } = DocumentLoader.parseFrontMatter(text);
+        const links = [];
+        let linkWords = 0;
+
+        const inline = (line) => line
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images → alt text
+            .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (_, label, href) => {
+                try {
+                    links.push(new URL(href, url).href);
+                } catch (error) {
+                    // Not a resolvable link, keep the label only
+                }
+                linkWords += ContentExtractor.countWords(label);
+                return label;
+            })
+            .replace(/<[^>]+>/g, '')
+            .replace(/`([^`]+)`/g, '$1')
+            // Emphasis markers, but not the underscores inside snake_case identifiers
+            .replace(/(^|[^\w*])(\*\*|__)(?!\s)(.+?)\2(?![\w*])/g, '$1$3')
+            .replace(/(^|[^\w*])([*_])(?!\s)(.+?)\2(?![\w*])/g, '$1$3')
+            .replace(/~~(.+?)~~/g, '$1');
+
+        const blocks = [];
+        let paragraph = [];
+        let title = null;
+        let inFence = false;
+        const flush = () => {
+            if (paragraph.length > 0) blocks.push(paragraph.join(' ').replace(/\s+/g, ' ').trim());
+            paragraph = [];
+        };
+
+        for (const rawLine of body.split(/\r?\n/)) {
+            if (/^\s*(```|~~~)/.test(rawLine)) {
+                flush();
+                inFence = !inFence;
+                continue;
+            }
+            if (inFence) {
+                // Keep code as its own block, one line each
+                if (rawLine.trim()) blocks.push(rawLine.trim());
+                continue;
+            }
+
+            const line = rawLine.trim();
+            if (line === '' || /^([-*_]\s*){3,}$/.test(line) || /^\|?\s*:?-{3,}/.test(line)) {
+                flush();
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+            if (heading) {
+                flush();
+                const text = inline(heading[2]);
+                if (!title && heading[1].length === 1) title = text;
+                blocks.push(text);
+                continue;
+            }
+
+            if (/^([-*+]|\d+[.)])\s+/.test(line)) {
+                // Each list item stands on its own
+                flush();
+                paragraph.push(inline(line.replace(/^([-*+]|\d+[.)])\s+/, '')));
+                flush();
+                continue;
+            }
+
+            paragraph.push(inline(line.replace(/^>\s?/, '').replace(/^\||\|$/g, '').replace(/\s*\|\s*/g, ' ')));
+        }
+        flush();
+
+        const content = blocks.filter(Boolean).join('\n\n');
+        const words = ContentExtractor.countWords(content);
+        return {
+            title,
+            content,
+            metadata: data,
+            links: [...new Set(links)],
+            linkDensity: words > 0 ? linkWords / words : 0
+        };
+    }
+
+    // Minimal text-layer PDF reader: inflates content streams and collects the strings
+    // shown by Tj/TJ/'/" operators. Scanned PDFs (images only) yield no text.
+    static fromPdf(buffer) {
+        const raw = buffer.toString('latin1');
+        const lines = [];
+
+        const streamPattern = /<<([\s\S]*?)>>\s*stream\r?\n/g;
+        let match;
+        while ((match = streamPattern.exec(raw)) !== null) {
+            const start = match.index + match[0].length;
+            const end = raw.indexOf('endstream', start);
+            if (end === -1) break;
+            const dictionary = match[1];
+            streamPattern.lastIndex = end;
+
+            // Fonts, images and other binary streams have no text operators worth reading
+            if (/\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType)|\/Length[123]\b/.test(dictionary)) continue;
+
+            let data = buffer.subarray(start, end);
+            if (/\/FlateDecode/.test(dictionary)) {
+                try {
+                    data = zlib.inflateSync(data);
+                } catch (error) {
+                    try {
+                        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+                    } catch (retryError) {
+                        continue;
+                    }
+                }
+            } else if (/\/Filter/.test(dictionary)) {
+                continue; // other encodings (DCT, LZW, ...) aren't text
+            }
+
+            lines.push(...DocumentLoader.pdfTextOperators(data.toString('latin1')));
+        }
+
+        // Join wrapped lines back into paragraphs; blank lines separate them
+        const content = lines.join('\n')
+            .replace(/-\n(?=[a-z])/g, '')
+            .split(/\n{2,}/)
+            .map(p => p.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n\n');
+
+        const info = DocumentLoader.pdfInfo(raw);
+        return {
+            title: info.Title || null,
+            author: info.Author || null,
+            publishedAt: info.CreationDate || null,
+            content,
+            metadata: {}
+        };
+    }
+
+    static pdfTextOperators(stream) {
+        const lines = [];
+        let current = '';
+        let pendingBreak = null;
+        const push = (text) => {
+            if (pendingBreak) {
+                lines.push(current);
+                if (pendingBreak === 'paragraph') lines.push('');
+                current = '';
+                pendingBreak = null;
+            }
+            current += text;
+        };
+
+        // Tokens: literal strings, hex strings, arrays, operators/operands
+        const tokenPattern = /\(|<[0-9A-Fa-f\s]*>|\[|\]|[^\s()<>[\]\/]+|\/[^\s()<>[\]\/]+/g;
+        let operands = [];
+        let array = null;
+        let token;
+        while ((token = tokenPattern.exec(stream)) !== null) {
+            const value = token[0];
+            if (value === '(') {
+                const end = DocumentLoader.literalEnd(stream, token.index);
+                (array || operands).push({ text: DocumentLoader.pdfLiteral(stream.slice(token.index, end)) });
+                tokenPattern.lastIndex = end;
+            } else if (value.startsWith('<')) {
+                (array || operands).push({ text: DocumentLoader.pdfHex(value) });
+            } else if (value === '[') {
+                array = [];
+            } else if (value === ']') {
+                operands.push({ array: array || [] });
+                array = null;
+            } else if (array) {
+                // Kerning adjustments; large negative gaps are word spaces
+                const offset = Number(value);
+                if (!isNaN(offset) && offset < -200) array.push({ text: ' ' });
+            } else if (/^(Tj|'|")$/.test(value)) {
+                if (value !== 'Tj') pendingBreak = pendingBreak || 'line';
+                const last = operands.filter(o => o.text !== undefined).pop();
+                if (last) push(last.text);
+                operands = [];
+            } else if (value === 'TJ') {
+                const last = operands.filter(o => o.array).pop();
+                if (last) push(last.array.map(o => o.text).join(''));
+                operands = [];
+            } else if (value === 'Td' || value === 'TD') {
+                // Vertical moves start a new line; big ones a new paragraph
+                const dy = Number(operands[operands.length - 1]?.value);
+                if (current) pendingBreak = Math.abs(dy) > 20 ? 'paragraph' : (dy !== 0 ? 'line' : pendingBreak);
+                if (dy === 0 && current) current += ' ';
+                operands = [];
+            } else if (value === 'T*' || value === 'Tm') {
+                if (current) pendingBreak = pendingBreak || 'line';
+                operands = [];
+            } else if (value === 'ET') {
+                if (current) pendingBreak = pendingBreak || 'line';
+                operands = [];
+            } else if (/^[a-zA-Z*]+$/.test(value) && !/^(true|false|null)$/.test(value)) {
+                operands = [];
+            } else {
+                operands.push({ value });
+            }
+        }
+        if (current) lines.push(current);
+        return lines;
+    }
+
+    // Literal strings may contain balanced, unescaped parentheses
+    static literalEnd(text, start) {
+        let depth = 0;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')' && --depth === 0) {
+                return i + 1;
+            }
+        }
+        return text.length;
+    }
+
+    static pdfLiteral(token) {
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        return token.slice(1, -1).replace(/\\(\d{1,3}|\r?\n|[\s\S])/g, (_, escape) => {
+            if (/^\d/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+            if (escape.startsWith('\n') || escape.startsWith('\r')) return '';
+            return escapes[escape] ?? escape;
+        });
+    }
+
+    static pdfHex(token) {
+        const hex = token.slice(1, -1).replace(/\s+/g, '');
+        const bytes = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+        // Two-byte strings starting with a BOM are UTF-16BE; others are treated as single-byte
+        if (bytes[0] === 0xfe && bytes[1] === 0xff) return bytes.subarray(2).swap16().toString('utf16le');
+        return bytes.toString('latin1');
+    }
+
+    // Title/Author/CreationDate from an uncompressed /Info dictionary, when present
+    static pdfInfo(raw) {
+        const info = {};
+        for (const key of ['Title', 'Author', 'CreationDate']) {
+            const match = raw.match(new RegExp(`/${key}\\s*(\\(|<[0-9A-Fa-f\\s]*>)`));
+            if (!match) continue;
+            const start = match.index + match[0].length - match[1].length;
+            const value = match[1] === '('
+                ? DocumentLoader.pdfLiteral(raw.slice(start, DocumentLoader.literalEnd(raw, start)))
+                : DocumentLoader.pdfHex(match[1]);
+            info[key] = value.replace(/^﻿/, '').trim() || undefined;
+        }
+        // D:YYYYMMDDHHmmSS → ISO date
+        const date = info.CreationDate && info.CreationDate.match(/D:(\d{4})(\d{2})?(\d{2})?/);
+        info.CreationDate = date ? new Date(Date.UTC(date[1], (date[2] || 1) - 1, date[3] || 1)).toISOString() : undefined;
+        return info;
+    }
+}
+
+module.exports = { DocumentLoader, SOURCE_TYPES };
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { DocumentLoader } = require('./document-loader');
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'document-loader-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+// Smallest PDF the reader needs: one content stream plus an /Info dictionary
+function pdf(content, { compress = false } = {}) {
+    const data = compress ? zlib.deflateSync(Buffer.from(content, 'latin1')) : Buffer.from(content, 'latin1');
+    return Buffer.concat([
+        Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Length ${data.length}${compress ? ' /Filter /FlateDecode' : ''} >>\nstream\n`, 'latin1'),
+        data,
+        Buffer.from('\nendstream\nendobj\n2 0 obj\n<< /Title (Vector Search) /Author (Ana) /CreationDate (D:20240315120000Z) >>\nendobj\n%%EOF\n', 'latin1')
+    ]);
+}
+
+test('parseFrontMatter reads scalars, quoted strings and both list styles', () => {
+    const { data, body } = DocumentLoader.parseFrontMatter([
+        '---',
+        'title: "Chunking: a guide"',
+        'draft: false',
+        'weight: 3 # comment',
+        'tags: [rag, embeddings]',
+        'authors:',
+        '  - Ana',
+        '  - Bo',
+        'summary:',
+        '---',
+        'Body text'
+    ].join('\n'));
+
+    assert.deepEqual(data, {
+        title: 'Chunking: a guide',
+        draft: false,
+        weight: 3,
+        tags: ['rag', 'embeddings'],
+        authors: ['Ana', 'Bo'],
+        summary: null
+    });
+    assert.equal(body, 'Body text');
+    assert.deepEqual(DocumentLoader.parseFrontMatter('No front matter').data, {});
+});
+
+test('fromMarkdown strips syntax, keeps code blocks and resolves links', () => {
+    const doc = DocumentLoader.fromMarkdown([
+        '# Retrieval **basics**',
+        '',
+        'Read the [guide](./guide.md) and keep snake_case_names intact.',
+        'This line wraps into the same paragraph.',
+        '',
+        '- first item',
+        '- second item',
+        '',
+        '```js',
+        'const x = 1;',
+        '```'
+    ].join('\n'), 'file:///docs/intro.md');
+
+    assert.equal(doc.title, 'Retrieval basics');
+    assert.equal(doc.content, [
+        'Retrieval basics',
+        'Read the guide and keep snake_case_names intact. This line wraps into the same paragraph.',
+        'first item',
+        'second item',
+        'const x = 1;'
+    ].join('\n\n'));
+    assert.deepEqual(doc.links, ['file:///docs/guide.md']);
+    assert.ok(doc.linkDensity > 0 && doc.linkDensity < 0.1);
+});
+
+test('load maps front matter onto the fetch record shape', (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'post.md');
+    fs.writeFileSync(file, '---\ntitle: From front matter\nauthor: [Ana, Bo]\ndate: 2024-01-02\ncanonical_url: https://example.com/post\nlang: de\n---\nHallo Welt.\n');
+
+    const doc = DocumentLoader.load(file);
+    assert.equal(doc.url, `file://${file}`);
+    assert.equal(doc.canonicalUrl, 'https://example.com/post');
+    assert.equal(doc.title, 'From front matter');
+    assert.equal(doc.author, 'Ana, Bo');
+    assert.equal(doc.publishedAt, '2024-01-02T00:00:00.000Z');
+    assert.equal(doc.language, 'de');
+    assert.equal(doc.wordCount, 2);
+    assert.equal(doc.sourceType, 'markdown');
+
+    fs.writeFileSync(path.join(dir, 'data.json'), '{}');
+    assert.throws(() => DocumentLoader.load(path.join(dir, 'data.json')), /Unsupported file type: \.json/);
+});
+
+test('listFiles walks directories in order and skips hidden and tool directories', (t) => {
+    const dir = tempDir(t);
+    for (const file of ['b.md', 'a.txt', 'notes.json', 'sub/c.html', 'node_modules/x.md', '.hidden/y.md']) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), 'text');
+    }
+
+    assert.deepEqual(DocumentLoader.listFiles(dir).map(f => path.relative(dir, f)), ['a.txt', 'b.md', path.join('sub', 'c.html')]);
+    assert.deepEqual(DocumentLoader.listFiles(dir, { recursive: false }).map(f => path.basename(f)), ['a.txt', 'b.md']);
+});
+
+test('fromPdf reads text operators from plain and Flate-compressed streams', () => {
+    const stream = 'BT /F1 12 Tf 72 720 Td (Vector search finds) Tj 0 -14 Td [(near) -300 (est)] TJ ( neighbours.) Tj ' +
+        '0 -40 Td <FEFF00480069> Tj ET';
+
+    for (const compress of [false, true]) {
+        const doc = DocumentLoader.fromPdf(pdf(stream, { compress }));
+        assert.equal(doc.content, 'Vector search finds near est neighbours.\n\nHi');
+        assert.equal(doc.title, 'Vector Search');
+        assert.equal(doc.author, 'Ana');
+        assert.equal(doc.publishedAt, '2024-03-15T00:00:00.000Z');
+    }
+
+    assert.equal(DocumentLoader.fromPdf(pdf('q 100 0 0 100 0 0 cm /Im1 Do Q')).content, '', 'image-only pages have no text');
+});
@@ -0,0 +1,148 @@
+const { TextAnalysis } = require('./text-analysis');
+
+// 32-bit FNV-1a string hash
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// MurmurHash3 finalizer: cheap, well-mixed 32-bit permutation
+function mix(x) {
+    x ^= x >>> 16;
+    x = Math.imul(x, 0x85ebca6b);
+    x ^= x >>> 13;
+    x = Math.imul(x, 0xc2b2ae35);
+    x ^= x >>> 16;
+    return x >>> 0;
+}
+
+// Near-duplicate detection with MinHash signatures and LSH banding,
+// plus detection of paragraphs repeated across many documents (templates, footers, CTAs)
+class DuplicateDetector {
+    constructor(options = {}) {
+        this.shingleSize = options.shingleSize ?? 5; // words per shingle
+        this.numHashes = options.numHashes ?? 128;
+        this.bands = options.bands ?? 16; // 16 bands x 8 rows ≈ 0.7 similarity candidate threshold
+        this.threshold = options.threshold ?? 0.8; // estimated Jaccard to count as duplicate
+        this.boilerplateMinDocs = options.boilerplateMinDocs ?? 3;
+        this.boilerplateMinLength = options.boilerplateMinLength ?? 30;
+
+        if (this.numHashes % this.bands !== 0) {
+            throw new Error('numHashes must be divisible by bands');
+        }
+        this.rows = this.numHashes / this.bands;
+
+        // Fixed seeds so signatures are reproducible between runs
+        this.seeds = Array.from({ length: this.numHashes }, (_, i) => mix(i + 0x9e3779b9));
+    }
+
+    shingles(text) {
+        const tokens = TextAnalysis.tokenize(text);
+        const shingles = new Set();
+        if (tokens.length === 0) return shingles;
+        if (tokens.length < this.shingleSize) {
+            shingles.add(fnv1a(tokens.join(' ')));
+            return shingles;
+        }
+        for (let i = 0; i + this.shingleSize <= tokens.length; i++) {
+            shingles.add(fnv1a(tokens.slice(i, i + this.shingleSize).join(' ')));
+        }
+        return shingles;
+    }
+
+    signature(text) {
+        const signature = new Uint32Array(this.numHashes).fill(0xffffffff);
+        for (const shingle of this.shingles(text)) {
+            for (let i = 0; i < this.numHashes; i++) {
+                const h = mix(shingle ^ this.seeds[i]);
+                if (h < signature[i]) signature[i] = h;
+            }
+        }
+        return signature;
+    }
+
+    // Fraction of matching MinHash slots estimates Jaccard similarity of the shingle sets
+    static similarity(a, b) {
+        let equal = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === b[i]) equal++;
+        }
+        return equal / a.length;
+    }
+
+    // Returns clusters of near-duplicate documents: [{ members: [index...], pairs: [{ a, b, similarity }] }]
+    findClusters(texts) {
+        const signatures = texts.map(text => this.signature(text));
+
+        // LSH: documents sharing any identical band are candidate pairs
+        const candidates = new Set();
+        for (let band = 0; band < this.bands; band++) {
+            const buckets = new Map();
+            signatures.forEach((sig, index) => {
+                const key = Array.from(sig.subarray(band * this.rows, (band + 1) * this.rows)).join(',');
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(index);
+            });
+            for (const members of buckets.values()) {
+                for (let i = 0; i < members.length; i++) {
+                    for (let j = i + 1; j < members.length; j++) {
+                        candidates.add(`${members[i]}:${members[j]}`);
+                    }
+                }
+            }
+        }
+
+        // Union-find over verified pairs
+        const parent = texts.map((_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const pairs = [];
+
+        for (const key of candidates) {
+            const [a, b] = key.split(':').map(Number);
+            const similarity = DuplicateDetector.similarity(signatures[a], signatures[b]);
+            if (similarity >= this.threshold) {
+                pairs.push({ a, b, similarity: Number(similarity.toFixed(3)) });
+                parent[find(a)] = find(b);
+            }
+        }
+
+        const clusters = new Map();
+        texts.forEach((_, i) => {
+            const root = find(i);
+            if (!clusters.has(root)) clusters.set(root, { members: [], pairs: [] });
+            clusters.get(root).members.push(i);
+        });
+        pairs.forEach(pair => clusters.get(find(pair.a)).pairs.push(pair));
+
+        return [...clusters.values()].filter(cluster => cluster.members.length > 1);
+    }
+
+    static paragraphs(text, minLength) {
+        return text.split(/\n+/)
+            .map(p => p.replace(/\s+/g, ' ').trim())
+            .filter(p => p.length >= minLength);
+    }
+
+    // Paragraphs that appear verbatim (after normalization) in at least boilerplateMinDocs documents
+    findBoilerplate(texts) {
+        const occurrences = new Map(); // normalized -> { text, documents: Set }
+        texts.forEach((text, index) => {
+            for (const paragraph of DuplicateDetector.paragraphs(text, this.boilerplateMinLength)) {
+                const key = paragraph.toLowerCase();
+                if (!occurrences.has(key)) occurrences.set(key, { text: paragraph, documents: new Set() });
+                occurrences.get(key).documents.add(index);
+            }
+        });
+
+        return [...occurrences.values()]
+            .filter(entry => entry.documents.size >= this.boilerplateMinDocs)
+            .map(entry => ({ text: entry.text, documents: [...entry.documents] }))
+            .sort((a, b) => b.documents.length - a.documents.length);
+    }
+}
+
+module.exports = { DuplicateDetector };
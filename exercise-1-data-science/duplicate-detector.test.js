@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DuplicateDetector } = require('./duplicate-detector');
+
+const base = 'Vector databases index embeddings so that similar documents can be retrieved quickly. ' +
+    'Approximate nearest neighbour search trades a little recall for large speedups on big collections. ' +
+    'Popular index types include HNSW graphs, inverted files and product quantization.';
+
+test('similarity estimates Jaccard from MinHash signatures', () => {
+    const detector = new DuplicateDetector();
+    const a = detector.signature(base);
+    assert.equal(a.length, 128);
+    assert.deepEqual(detector.signature(base), a, 'signatures are reproducible');
+    assert.equal(DuplicateDetector.similarity(a, a), 1);
+    assert.ok(DuplicateDetector.similarity(a, detector.signature('Completely unrelated text about cooking pasta at home tonight.')) < 0.1);
+});
+
+test('findClusters groups near-duplicates and leaves distinct documents alone', () => {
+    const detector = new DuplicateDetector();
+    const texts = [
+        base,
+        'Kubernetes schedules containers across a cluster of machines and restarts them when they fail.',
+        `${base} Read more on our blog.`,
+        `${base} Subscribe for more.`
+    ];
+    const clusters = detector.findClusters(texts);
+
+    assert.equal(clusters.length, 1);
+    assert.deepEqual([...clusters[0].members].sort(), [0, 2, 3]);
+    assert.ok(clusters[0].pairs.every(pair => pair.similarity >= 0.8));
+});
+
+test('findBoilerplate reports paragraphs repeated across enough documents', () => {
+    const detector = new DuplicateDetector({ boilerplateMinDocs: 2 });
+    const footer = 'Subscribe to our newsletter for weekly updates on AI.';
+    const texts = [
+        `First article body about transformers.\n${footer}`,
+        `Second article body about pipelines.\n\n${footer.toUpperCase()}`,
+        'Third article with no footer at all, just content.'
+    ];
+    const boilerplate = detector.findBoilerplate(texts);
+
+    assert.equal(boilerplate.length, 1);
+    assert.equal(boilerplate[0].text, footer);
+    assert.deepEqual(boilerplate[0].documents, [0, 1]);
+});
+
+test('numHashes must split evenly into bands', () => {
+    assert.throws(() => new DuplicateDetector({ numHashes: 100, bands: 16 }), /divisible by bands/);
+});
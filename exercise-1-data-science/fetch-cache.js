@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// On-disk HTTP response cache: one JSON file per URL, named by the URL's hash
+class FetchCache {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(__dirname, '.fetch-cache');
+        this.enabled = options.enabled !== false;
+
+        if (this.enabled && !fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    static hash(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+
+    fileFor(url) {
+        return path.join(this.dir, `${FetchCache.hash(url)}.json`);
+    }
+
+    get(url) {
+        if (!this.enabled) return null;
+
+        const file = this.fileFor(url);
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+            // Guard against hash collisions and hand-edited files
+            return entry.url === url ? entry : null;
+        } catch (error) {
+            console.warn(`⚠️  Ignoring corrupt cache entry for ${url}: ${error.message}`);
+            return null;
+        }
+    }
+
+    set(url, entry) {
+        if (!this.enabled) return;
+
+        const record = { ...entry, url, cachedAt: new Date().toISOString() };
+        // Write to a temp file first so an interrupted run never leaves half an entry
+        const file = this.fileFor(url);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(record));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    // Headers for a conditional GET against a cached entry
+    static validatorsFor(entry) {
+        const headers = {};
+        if (!entry) return headers;
+        if (entry.etag) headers['If-None-Match'] = entry.etag;
+        if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+        return headers;
+    }
+}
+
+module.exports = { FetchCache };
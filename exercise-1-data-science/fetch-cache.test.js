@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { FetchCache } = require('./fetch-cache');
+const { WebContentAnalyzer } = require('./starter-code');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const PAGE = (text) => `<html><body><article><p>${text} ${'Enough words to count as an article body here. '.repeat(5)}</p></article></body></html>`;
+
+test('get returns what set stored, keyed by URL', (t) => {
+    const cache = new FetchCache({ dir: tempDir(t) });
+    cache.set('https://example.com/a', { etag: '"v1"', body: '<p>a</p>' });
+    const entry = cache.get('https://example.com/a');
+    assert.equal(entry.etag, '"v1"');
+    assert.equal(entry.url, 'https://example.com/a');
+    assert.ok(entry.cachedAt);
+    assert.equal(cache.get('https://example.com/b'), null);
+});
+
+test('a disabled cache stores nothing', (t) => {
+    const dir = path.join(tempDir(t), 'never-created');
+    const cache = new FetchCache({ dir, enabled: false });
+    cache.set('https://example.com/a', { body: 'x' });
+    assert.equal(cache.get('https://example.com/a'), null);
+    assert.equal(fs.existsSync(dir), false);
+});
+
+test('corrupt entries are ignored', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const cache = new FetchCache({ dir: tempDir(t) });
+    fs.writeFileSync(cache.fileFor('https://example.com/a'), '{not json');
+    assert.equal(cache.get('https://example.com/a'), null);
+});
+
+test('validatorsFor builds conditional request headers', () => {
+    assert.deepEqual(FetchCache.validatorsFor(null), {});
+    assert.deepEqual(FetchCache.validatorsFor({ etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' }), {
+        'If-None-Match': '"v1"',
+        'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT'
+    });
+});
+
+test('the analyzer re-validates cached pages and tracks content changes', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    let text = 'First version.';
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.headers['if-none-match'] || null);
+        const etag = `"${Buffer.from(text).toString('hex')}"`;
+        if (req.headers['if-none-match'] === etag) {
+            res.statusCode = 304;
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html', ETag: etag });
+        res.end(PAGE(text));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}/post`;
+    const analyzer = new WebContentAnalyzer({ cache: { dir: tempDir(t) } });
+
+    assert.equal((await analyzer.fetchWebContent(url)).changeStatus, 'new');
+    const revalidated = await analyzer.fetchWebContent(url);
+    assert.equal(revalidated.changeStatus, 'unchanged');
+    assert.match(revalidated.content, /First version\./);
+    text = 'Second version.';
+    assert.equal((await analyzer.fetchWebContent(url)).changeStatus, 'changed');
+
+    assert.equal(requests[0], null);
+    assert.ok(requests[1], 'second request is conditional');
+});
+
+test('a 304 refreshes the cached entry\'s fetch time and validators', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const server = http.createServer((req, res) => {
+        if (req.headers['if-none-match'] === '"v1"') {
+            res.writeHead(304, { ETag: '"v1"', 'Last-Modified': 'Tue, 02 Jan 2024 00:00:00 GMT', 'Cache-Control': 'max-age=60' });
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html', ETag: '"v1"' });
+        res.end(PAGE('Stable page.'));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}/post`;
+    const analyzer = new WebContentAnalyzer({ cache: { dir: tempDir(t) } });
+
+    await analyzer.fetchWebContent(url);
+    const first = analyzer.cache.get(url);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal((await analyzer.fetchWebContent(url)).changeStatus, 'unchanged');
+
+    const refreshed = analyzer.cache.get(url);
+    assert.ok(refreshed.fetchedAt > first.fetchedAt);
+    assert.equal(refreshed.lastModified, 'Tue, 02 Jan 2024 00:00:00 GMT');
+    assert.equal(refreshed.headers['cache-control'], 'max-age=60');
+    assert.equal(refreshed.headers['content-type'], 'text/html');
+    assert.equal(refreshed.body, first.body);
+    assert.equal(refreshed.contentHash, first.contentHash);
+});
@@ -0,0 +1,249 @@
+const axios = require('axios');
+
+// Statuses worth retrying: rate limiting and transient server errors
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN']);
+
+const HTML_CONTENT_TYPES = /text\/html|application\/xhtml\+xml/i;
+
+// Failure reasons written into fetch records
+const FAILURE_REASONS = {
+    DNS_FAILURE: 'dns_failure',
+    CONNECTION_REFUSED: 'connection_refused',
+    CONNECTION_RESET: 'connection_reset',
+    TLS_ERROR: 'tls_error',
+    TIMEOUT: 'timeout',
+    NOT_FOUND: 'not_found',
+    GONE: 'gone',
+    ACCESS_DENIED: 'access_denied',
+    CLIENT_ERROR: 'client_error',
+    RATE_LIMITED: 'rate_limited',
+    SERVER_ERROR: 'server_error',
+    NON_HTML: 'non_html',
+    TOO_LARGE: 'too_large',
+    TOO_MANY_REDIRECTS: 'too_many_redirects',
+    NO_CONTENT: 'no_content',
+    PARSE_ERROR: 'parse_error',
+    UNKNOWN: 'unknown'
+};
+
+class HttpFetcher {
+    constructor(options = {}) {
+        this.userAgent = options.userAgent || 'LangGraphTutorialBot';
+        this.timeoutMs = options.timeoutMs ?? 15000;
+        this.retries = options.retries ?? 3;
+        this.backoffBaseMs = options.backoffBaseMs ?? 500;
+        this.maxBackoffMs = options.maxBackoffMs ?? 30000;
+        this.maxRedirects = options.maxRedirects ?? 5;
+        this.maxBytes = options.maxBytes ?? 5 * 1024 * 1024;
+        this.acceptedContentTypes = options.acceptedContentTypes || HTML_CONTENT_TYPES;
+    }
+
+    // Resolves to { ok: true, url, finalUrl, status, headers, body, ... } or
+    // { ok: false, url, reason, status, message, ... }; never throws.
+    async fetch(url, extraHeaders = {}) {
+        const startTime = Date.now();
+        let attempts = 0;
+        let lastFailure = null;
+
+        while (attempts <= this.retries) {
+            attempts++;
+            const result = await this.attempt(url, extraHeaders);
+
+            if (result.ok || !result.retryable || attempts > this.retries) {
+                const { retryable, retryAfterMs, ...record } = result;
+                return { ...record, url, attempts, durationMs: Date.now() - startTime };
+            }
+
+            lastFailure = result;
+            const backoff = this.backoffDelay(attempts, result.retryAfterMs);
+            console.warn(`⚠️  ${url}: ${result.reason}${result.status ? ` (${result.status})` : ''}, ` +
+                `retrying in ${Math.round(backoff)}ms (attempt ${attempts}/${this.retries})`);
+            await this.delay(backoff);
+        }
+
+        // Only reached if retries is negative
+        const { retryable, retryAfterMs, ...record } = lastFailure;
+        return { ...record, url, attempts, durationMs: Date.now() - startTime };
+    }
+
+    // A single attempt, following redirects manually so every hop is recorded
+    async attempt(url, extraHeaders) {
+        const redirects = [];
+        let currentUrl = url;
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeoutMs);
+
+        try {
+            for (;;) {
+                const response = await axios.get(currentUrl, {
+                    headers: {
+                        'User-Agent': this.userAgent,
+                        'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+                        'Accept-Language': 'en;q=0.9,*;q=0.5',
+                        ...extraHeaders
+                    },
+                    maxRedirects: 0,
+                    responseType: 'stream',
+                    signal: controller.signal,
+                    validateStatus: () => true
+                });
+
+                const { status, headers } = response;
+
+                if (status >= 300 && status < 400 && status !== 304 && headers.location) {
+                    response.data.destroy();
+                    const nextUrl = new URL(headers.location, currentUrl).toString();
+                    redirects.push({ from: currentUrl, to: nextUrl, status });
+                    if (redirects.length > this.maxRedirects) {
+                        return this.failure(FAILURE_REASONS.TOO_MANY_REDIRECTS, {
+                            status, finalUrl: nextUrl, redirects,
+                            message: `More than ${this.maxRedirects} redirects`
+                        });
+                    }
+                    currentUrl = nextUrl;
+                    continue;
+                }
+
+                if (status === 304) {
+                    response.data.destroy();
+                    return { ok: true, status, finalUrl: currentUrl, redirects, headers, body: null, bytes: 0 };
+                }
+
+                if (status >= 400) {
+                    response.data.destroy();
+                    return this.failure(HttpFetcher.reasonForStatus(status), {
+                        status, finalUrl: currentUrl, redirects,
+                        message: `HTTP ${status}`,
+                        retryable: RETRYABLE_STATUSES.has(status),
+                        retryAfterMs: HttpFetcher.parseRetryAfter(headers['retry-after'])
+                    });
+                }
+
+                const contentType = headers['content-type'] || '';
+                if (contentType && !this.acceptedContentTypes.test(contentType)) {
+                    response.data.destroy();
+                    return this.failure(FAILURE_REASONS.NON_HTML, {
+                        status, finalUrl: currentUrl, redirects, contentType,
+                        message: `Unsupported content type: ${contentType}`
+                    });
+                }
+
+                const declaredLength = parseInt(headers['content-length'], 10);
+                if (declaredLength > this.maxBytes) {
+                    response.data.destroy();
+                    return this.failure(FAILURE_REASONS.TOO_LARGE, {
+                        status, finalUrl: currentUrl, redirects, contentType,
+                        message: `Content-Length ${declaredLength} exceeds ${this.maxBytes} bytes`
+                    });
+                }
+
+                const body = await this.readBody(response.data);
+                if (body === null) {
+                    return this.failure(FAILURE_REASONS.TOO_LARGE, {
+                        status, finalUrl: currentUrl, redirects, contentType,
+                        message: `Body exceeds ${this.maxBytes} bytes`
+                    });
+                }
+
+                return {
+                    ok: true,
+                    status,
+                    finalUrl: currentUrl,
+                    redirects,
+                    headers,
+                    contentType,
+                    body: body.toString('utf8'),
+                    bytes: body.length
+                };
+            }
+        } catch (error) {
+            return this.failure(timedOut ? FAILURE_REASONS.TIMEOUT : HttpFetcher.reasonForError(error), {
+                finalUrl: currentUrl,
+                redirects,
+                message: timedOut ? `No complete response within ${this.timeoutMs}ms` : error.message,
+                retryable: timedOut || RETRYABLE_ERROR_CODES.has(error.code)
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Reads a response stream, giving up (null) once maxBytes is exceeded
+    readBody(stream) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            stream.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.maxBytes) {
+                    stream.destroy();
+                    resolve(null);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            stream.on('end', () => resolve(Buffer.concat(chunks)));
+            stream.on('error', reject);
+        });
+    }
+
+    failure(reason, details) {
+        return {
+            ok: false,
+            reason,
+            status: null,
+            retryable: false,
+            retryAfterMs: null,
+            ...details
+        };
+    }
+
+    backoffDelay(attempt, retryAfterMs) {
+        if (retryAfterMs !== null && retryAfterMs !== undefined) {
+            return Math.min(this.maxBackoffMs, retryAfterMs);
+        }
+        const exponential = this.backoffBaseMs * Math.pow(2, attempt - 1);
+        const jitter = Math.random() * this.backoffBaseMs;
+        return Math.min(this.maxBackoffMs, exponential + jitter);
+    }
+
+    static reasonForStatus(status) {
+        if (status === 404) return FAILURE_REASONS.NOT_FOUND;
+        if (status === 410) return FAILURE_REASONS.GONE;
+        if (status === 401 || status === 403) return FAILURE_REASONS.ACCESS_DENIED;
+        if (status === 429) return FAILURE_REASONS.RATE_LIMITED;
+        if (status >= 500) return FAILURE_REASONS.SERVER_ERROR;
+        return FAILURE_REASONS.CLIENT_ERROR;
+    }
+
+    static reasonForError(error) {
+        const code = error.code || error.cause?.code;
+        if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') return FAILURE_REASONS.DNS_FAILURE;
+        if (code === 'ECONNREFUSED') return FAILURE_REASONS.CONNECTION_REFUSED;
+        if (code === 'ECONNRESET' || code === 'EPIPE') return FAILURE_REASONS.CONNECTION_RESET;
+        if (code === 'ETIMEDOUT' || code === 'ECONNABORTED') return FAILURE_REASONS.TIMEOUT;
+        if (typeof code === 'string' && /CERT|SSL|TLS/.test(code)) return FAILURE_REASONS.TLS_ERROR;
+        return FAILURE_REASONS.UNKNOWN;
+    }
+
+    // Retry-After is either delta-seconds or an HTTP date
+    static parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return seconds * 1000;
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    async delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = { HttpFetcher, FAILURE_REASONS };
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { HttpFetcher, FAILURE_REASONS } = require('./http-fetcher');
+
+// routes: { [path]: (req, res, hits) => void }, hits counts requests per path
+async function startServer(t, routes) {
+    const hits = {};
+    const server = http.createServer((req, res) => {
+        hits[req.url] = (hits[req.url] || 0) + 1;
+        const route = routes[req.url];
+        if (!route) {
+            res.statusCode = 404;
+            return res.end();
+        }
+        route(req, res, hits[req.url]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { base: `http://127.0.0.1:${server.address().port}`, hits };
+}
+
+const html = (res, body = '<p>Hello</p>') => {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(body);
+};
+
+// No real waiting between attempts
+const fetcher = (options = {}) => new HttpFetcher({ backoffBaseMs: 1, maxBackoffMs: 5, ...options });
+
+test('fetch follows redirects and records every hop', async (t) => {
+    const { base } = await startServer(t, {
+        '/old': (req, res) => { res.writeHead(301, { Location: '/new' }); res.end(); },
+        '/new': (req, res) => html(res)
+    });
+    const result = await fetcher().fetch(`${base}/old`);
+    assert.equal(result.ok, true);
+    assert.equal(result.body, '<p>Hello</p>');
+    assert.equal(result.finalUrl, `${base}/new`);
+    assert.deepEqual(result.redirects, [{ from: `${base}/old`, to: `${base}/new`, status: 301 }]);
+});
+
+test('fetch retries transient server errors, then succeeds', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { base, hits } = await startServer(t, {
+        '/flaky': (req, res, hit) => {
+            if (hit < 3) {
+                res.statusCode = 503;
+                return res.end();
+            }
+            html(res);
+        }
+    });
+    const result = await fetcher({ retries: 3 }).fetch(`${base}/flaky`);
+    assert.equal(result.ok, true);
+    assert.equal(result.attempts, 3);
+    assert.equal(hits['/flaky'], 3);
+});
+
+test('fetch classifies dead links without retrying them', async (t) => {
+    const { base, hits } = await startServer(t, {
+        '/gone': (req, res) => { res.statusCode = 410; res.end(); },
+        '/secret': (req, res) => { res.statusCode = 403; res.end(); }
+    });
+    const missing = await fetcher().fetch(`${base}/missing`);
+    assert.equal(missing.ok, false);
+    assert.equal(missing.reason, FAILURE_REASONS.NOT_FOUND);
+    assert.equal(missing.attempts, 1);
+    assert.equal((await fetcher().fetch(`${base}/gone`)).reason, FAILURE_REASONS.GONE);
+    assert.equal((await fetcher().fetch(`${base}/secret`)).reason, FAILURE_REASONS.ACCESS_DENIED);
+    assert.equal(hits['/secret'], 1);
+});
+
+test('fetch gives up on rate limiting after the configured retries', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { base, hits } = await startServer(t, {
+        '/busy': (req, res) => { res.writeHead(429, { 'Retry-After': '0' }); res.end(); }
+    });
+    const result = await fetcher({ retries: 2 }).fetch(`${base}/busy`);
+    assert.equal(result.reason, FAILURE_REASONS.RATE_LIMITED);
+    assert.equal(result.attempts, 3);
+    assert.equal(hits['/busy'], 3);
+});
+
+test('fetch rejects non-HTML, oversized and slow responses', async (t) => {
+    const { base } = await startServer(t, {
+        '/data.json': (req, res) => { res.setHeader('Content-Type', 'application/json'); res.end('{}'); },
+        '/big': (req, res) => html(res, 'x'.repeat(2048)),
+        '/slow': (req, res) => setTimeout(() => html(res), 500)
+    });
+    assert.equal((await fetcher().fetch(`${base}/data.json`)).reason, FAILURE_REASONS.NON_HTML);
+    assert.equal((await fetcher({ maxBytes: 1024 }).fetch(`${base}/big`)).reason, FAILURE_REASONS.TOO_LARGE);
+    const slow = await fetcher({ timeoutMs: 50, retries: 0 }).fetch(`${base}/slow`);
+    assert.equal(slow.reason, FAILURE_REASONS.TIMEOUT);
+});
+
+test('fetch reports refused connections', async () => {
+    // A port that was free a moment ago
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    const result = await fetcher({ retries: 0 }).fetch(`http://127.0.0.1:${port}/`);
+    assert.equal(result.ok, false);
+    assert.equal(result.reason, FAILURE_REASONS.CONNECTION_REFUSED);
+});
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+    assert.equal(HttpFetcher.parseRetryAfter('2'), 2000);
+    assert.equal(HttpFetcher.parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+    assert.equal(HttpFetcher.parseRetryAfter('soon'), null);
+    assert.equal(HttpFetcher.parseRetryAfter(undefined), null);
+});
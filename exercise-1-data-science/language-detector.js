@@ -0,0 +1,94 @@
+const { STOPWORD_SETS } = require('./stopwords');
+
+// Scripts that identify a language (or a close family) on their own
+const SCRIPTS = [
+    { language: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+    { language: 'ko', pattern: /\p{Script=Hangul}/gu },
+    { language: 'zh', pattern: /\p{Script=Han}/gu },
+    { language: 'ru', pattern: /\p{Script=Cyrillic}/gu },
+    { language: 'ar', pattern: /\p{Script=Arabic}/gu },
+    { language: 'he', pattern: /\p{Script=Hebrew}/gu },
+    { language: 'el', pattern: /\p{Script=Greek}/gu },
+    { language: 'hi', pattern: /\p{Script=Devanagari}/gu },
+    { language: 'th', pattern: /\p{Script=Thai}/gu }
+];
+
+const LATIN = /\p{Script=Latin}/gu;
+const SAMPLE_CHARS = 20000; // plenty for a confident guess, keeps long pages cheap
+
+// Lightweight language identification: Unicode script first, then stopword
+// profiles to tell Latin-script languages apart. Returns ISO 639-1 codes.
+class LanguageDetector {
+    static detect(text) {
+        const sample = (text || '').slice(0, SAMPLE_CHARS);
+        const letters = (sample.match(/\p{L}/gu) || []).length;
+        if (letters < 20) {
+            return { language: 'und', confidence: 0, method: 'too-short' };
+        }
+
+        const scriptCounts = SCRIPTS.map(({ language, pattern }) => ({
+            language,
+            count: (sample.match(pattern) || []).length
+        }));
+        const latin = (sample.match(LATIN) || []).length;
+
+        // Japanese mixes Han with kana, so any real amount of kana means Japanese
+        const kana = scriptCounts.find(s => s.language === 'ja').count;
+        const han = scriptCounts.find(s => s.language === 'zh').count;
+        if (kana > 0 && kana >= (kana + han) * 0.1 && kana + han > latin) {
+            return { language: 'ja', confidence: LanguageDetector.round((kana + han) / letters), method: 'script' };
+        }
+
+        const dominant = scriptCounts.sort((a, b) => b.count - a.count)[0];
+        if (dominant.count > latin) {
+            return { language: dominant.language, confidence: LanguageDetector.round(dominant.count / letters), method: 'script' };
+        }
+
+        return LanguageDetector.detectLatin(sample);
+    }
+
+    // Share of tokens that are stopwords of each language; the best profile wins
+    static detectLatin(text) {
+        const tokens = text.toLowerCase().normalize('NFC').match(/\p{L}+(?:'\p{L}+)?/gu) || [];
+        if (tokens.length === 0) return { language: 'und', confidence: 0, method: 'stopwords' };
+
+        const scores = [...STOPWORD_SETS.entries()].map(([language, stopwords]) => ({
+            language,
+            score: tokens.filter(token => stopwords.has(token)).length / tokens.length
+        })).sort((a, b) => b.score - a.score);
+
+        const [best, runnerUp] = scores;
+        if (best.score < 0.05) {
+            return { language: 'und', confidence: 0, method: 'stopwords' };
+        }
+        // Confidence is how clearly the winner beats the next-best profile
+        const confidence = LanguageDetector.round((best.score - (runnerUp?.score || 0)) / best.score);
+        return { language: best.language, confidence, method: 'stopwords' };
+    }
+
+    // "en-US", "EN_gb", "pt-BR" → "en", "en", "pt"
+    static normalizeCode(code) {
+        if (!code || typeof code !== 'string') return null;
+        const base = code.trim().toLowerCase().split(/[-_]/)[0];
+        return /^[a-z]{2,3}$/.test(base) ? base : null;
+    }
+
+    // Prefer detection when it is confident; otherwise trust the page's declared language
+    static resolve(text, declared) {
+        const detected = LanguageDetector.detect(text);
+        const declaredCode = LanguageDetector.normalizeCode(declared);
+        if (detected.language !== 'und' && (detected.confidence >= 0.5 || !declaredCode)) {
+            return { ...detected, declared: declaredCode };
+        }
+        if (declaredCode) {
+            return { language: declaredCode, confidence: detected.language === declaredCode ? detected.confidence : 0.5, method: 'declared', declared: declaredCode };
+        }
+        return { ...detected, declared: null };
+    }
+
+    static round(n) {
+        return Number(n.toFixed(2));
+    }
+}
+
+module.exports = { LanguageDetector };
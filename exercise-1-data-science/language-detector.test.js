@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LanguageDetector } = require('./language-detector');
+
+test('detect tells Latin-script languages apart by their stopwords', () => {
+    const samples = {
+        en: 'The model is trained on a large corpus of text and it is evaluated on the held-out data.',
+        de: 'Das Modell wird auf einem großen Korpus trainiert und dann mit den Testdaten bewertet.',
+        fr: 'Le modèle est entraîné sur un grand corpus de textes et il est évalué sur les données de test.',
+        es: 'El modelo se entrena con un gran corpus de textos y se evalúa con los datos de prueba.'
+    };
+    for (const [language, text] of Object.entries(samples)) {
+        const result = LanguageDetector.detect(text);
+        assert.equal(result.language, language, text);
+        assert.equal(result.method, 'stopwords');
+        assert.ok(result.confidence > 0);
+    }
+});
+
+test('detect uses the dominant script and recognises Japanese by its kana', () => {
+    assert.equal(LanguageDetector.detect('Модель обучается на большом корпусе текстов и затем оценивается.').language, 'ru');
+    assert.equal(LanguageDetector.detect('向量数据库用于存储嵌入向量并支持快速的相似度搜索和检索功能').language, 'zh');
+    const japanese = LanguageDetector.detect('ベクトルデータベースは埋め込みを保存し、類似検索を高速に行います。');
+    assert.equal(japanese.language, 'ja');
+    assert.equal(japanese.method, 'script');
+});
+
+test('short text is undetermined', () => {
+    assert.deepEqual(LanguageDetector.detect('Hi there'), { language: 'und', confidence: 0, method: 'too-short' });
+    assert.equal(LanguageDetector.detect('').language, 'und');
+});
+
+test('resolve prefers confident detection and falls back to the declared language', () => {
+    const english = 'The model is trained on a large corpus of text and it is evaluated on the held-out data.';
+    assert.deepEqual(LanguageDetector.resolve(english, 'de-DE'), { ...LanguageDetector.detect(english), declared: 'de' });
+
+    const short = LanguageDetector.resolve('Kurzer Text', 'de_AT');
+    assert.equal(short.language, 'de');
+    assert.equal(short.method, 'declared');
+    assert.equal(LanguageDetector.resolve('Kurzer Text', null).language, 'und');
+});
+
+test('normalizeCode reduces locale tags to ISO 639 codes', () => {
+    assert.equal(LanguageDetector.normalizeCode('en-US'), 'en');
+    assert.equal(LanguageDetector.normalizeCode('PT_br'), 'pt');
+    assert.equal(LanguageDetector.normalizeCode('english'), null);
+    assert.equal(LanguageDetector.normalizeCode(undefined), null);
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'quality-config.json');
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+
+// Trapezoid: 0 below min, ramps up to 1 at idealMin, flat to idealMax, ramps down to 0 at max
+function rangeScore(value, { min, idealMin, idealMax, max }) {
+    if (value <= min || value >= max) return 0;
+    if (value < idealMin) return (value - min) / (idealMin - min);
+    if (value > idealMax) return (max - value) / (max - idealMax);
+    return 1;
+}
+
+function hostnameOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Built-in features. Each returns { value, normalized (0-1), explanation }.
+const FEATURES = new Map();
+
+FEATURES.set('length', (article, options) => {
+    const value = article.wordCount || 0;
+    const normalized = rangeScore(value, options);
+    let explanation = `${value} words is within the ideal ${options.idealMin}-${options.idealMax} range`;
+    if (value < options.idealMin) explanation = `${value} words is short (ideal ${options.idealMin}+)`;
+    if (value > options.idealMax) explanation = `${value} words is long (ideal up to ${options.idealMax})`;
+    return { value, normalized, explanation };
+});
+
+FEATURES.set('readability', (article, options) => {
+    const metric = options.metric || 'fleschKincaidGrade';
+    const value = article.readability?.[metric];
+    if (typeof value !== 'number') {
+        const explanation = article.language && article.language !== 'en'
+            ? `readability formulas are calibrated for English, not "${article.language}"`
+            : 'readability not available';
+        return { value: null, normalized: 0.5, explanation };
+    }
+    const normalized = rangeScore(value, options);
+    let explanation = `${metric} ${value} is in the ideal ${options.idealMin}-${options.idealMax} band`;
+    if (value < options.idealMin) explanation = `${metric} ${value} suggests thin or fragmented text`;
+    if (value > options.idealMax) explanation = `${metric} ${value} suggests overly dense text`;
+    return { value, normalized, explanation };
+});
+
+FEATURES.set('keywordDensity', (article, options) => {
+    const value = article.keywordDensity ?? 0;
+    const normalized = rangeScore(value, options);
+    let explanation = `top terms make up ${Math.round(value * 100)}% of content words`;
+    if (value > options.idealMax) explanation += ' (possible keyword stuffing)';
+    if (value < options.idealMin) explanation += ' (unfocused)';
+    return { value: round(value, 3), normalized, explanation };
+});
+
+FEATURES.set('linkDensity', (article, options) => {
+    const value = article.linkDensity ?? 0;
+    const normalized = Math.max(0, 1 - value / options.max);
+    return {
+        value: round(value, 3),
+        normalized,
+        explanation: `${Math.round(value * 100)}% of body text is link text`
+    };
+});
+
+FEATURES.set('duplicateRatio', (article, options) => {
+    const value = article.duplicateRatio ?? 0;
+    const normalized = Math.max(0, 1 - value / options.max);
+    return {
+        value: round(value, 3),
+        normalized,
+        explanation: `${Math.round(value * 100)}% of paragraphs are repeated`
+    };
+});
+
+FEATURES.set('freshness', (article, options) => {
+    const published = article.publishedAt ? Date.parse(article.publishedAt) : NaN;
+    if (isNaN(published)) {
+        return { value: null, normalized: options.unknownScore ?? 0.5, explanation: 'publish date unknown' };
+    }
+    const ageDays = Math.max(0, (Date.now() - published) / (24 * 60 * 60 * 1000));
+    // Exponential decay: half the score every halfLifeDays
+    const normalized = Math.pow(0.5, ageDays / options.halfLifeDays);
+    return { value: Math.round(ageDays), normalized, explanation: `published ${Math.round(ageDays)} days ago` };
+});
+
+FEATURES.set('domainAllowlist', (article, options) => {
+    const host = hostnameOf(article.canonicalUrl || article.url);
+    const matches = (list) => (list || []).some(domain => host === domain || (host && host.endsWith(`.${domain}`)));
+
+    if (host && matches(options.block)) {
+        return { value: host, normalized: 0, explanation: `${host} is blocklisted` };
+    }
+    if (host && matches(options.allow)) {
+        return { value: host, normalized: 1, explanation: `${host} is allowlisted` };
+    }
+    return { value: host, normalized: options.defaultScore ?? 0.5, explanation: `${host || 'unknown host'} is not on the allowlist` };
+});
+
+FEATURES.set('topicRelevance', (article, options) => {
+    const text = (article.content || '').toLowerCase();
+    const found = (options.terms || []).filter(term => text.includes(term.toLowerCase()));
+    const normalized = Math.min(1, found.length / (options.target || 1));
+    return {
+        value: found.length,
+        normalized,
+        explanation: found.length > 0 ? `mentions ${found.join(', ')}` : 'no topic terms found'
+    };
+});
+
+// Weighted, explainable quality score. Each configured feature contributes
+// weight * normalized; the weighted average is mapped onto a 1-10 scale.
+class QualityScorer {
+    constructor(config = QualityScorer.loadConfig()) {
+        this.config = config;
+        this.minQualityScore = config.minQualityScore ?? 6;
+        this.features = Object.entries(config.features || {}).filter(([name, options]) => {
+            if (!FEATURES.has(name)) {
+                console.warn(`⚠️  Unknown quality feature "${name}" in config, ignoring`);
+                return false;
+            }
+            if (typeof options.weight !== 'number' || options.weight < 0) {
+                throw new Error(`Quality feature "${name}" needs a non-negative numeric weight`);
+            }
+            return options.weight > 0;
+        });
+    }
+
+    // Accepts a path to a JSON config, a config object, or nothing (the bundled default)
+    static loadConfig(source = DEFAULT_CONFIG_PATH) {
+        if (source && typeof source === 'object') return source;
+        return JSON.parse(fs.readFileSync(source, 'utf8'));
+    }
+
+    // Add a custom feature: fn(article, options) => { value, normalized, explanation }
+    static registerFeature(name, fn) {
+        FEATURES.set(name, fn);
+    }
+
+    score(article) {
+        const totalWeight = this.features.reduce((sum, [, options]) => sum + options.weight, 0) || 1;
+
+        const breakdown = this.features.map(([name, options]) => {
+            const result = FEATURES.get(name)(article, options);
+            const normalized = Math.min(1, Math.max(0, result.normalized));
+            return {
+                feature: name,
+                value: result.value,
+                normalized: round(normalized),
+                weight: options.weight,
+                // Points out of 10 this feature contributed
+                contribution: round((normalized * options.weight / totalWeight) * 9),
+                explanation: result.explanation
+            };
+        });
+
+        const weighted = breakdown.reduce((sum, f) => sum + f.normalized * f.weight, 0) / totalWeight;
+        return {
+            score: round(1 + 9 * weighted, 1),
+            breakdown
+        };
+    }
+}
+
+module.exports = { QualityScorer, rangeScore };
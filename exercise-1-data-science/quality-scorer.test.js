@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QualityScorer, rangeScore } = require('./quality-scorer');
+
+const band = { min: 0, idealMin: 10, idealMax: 20, max: 40 };
+
+test('rangeScore ramps up to the ideal band and back down', () => {
+    assert.equal(rangeScore(0, band), 0);
+    assert.equal(rangeScore(5, band), 0.5);
+    assert.equal(rangeScore(15, band), 1);
+    assert.equal(rangeScore(30, band), 0.5);
+    assert.equal(rangeScore(40, band), 0);
+});
+
+test('score is a weighted 1-10 average with an explained breakdown', () => {
+    const scorer = new QualityScorer({
+        features: {
+            length: { weight: 3, min: 100, idealMin: 500, idealMax: 2000, max: 5000 },
+            linkDensity: { weight: 1, max: 0.5 }
+        }
+    });
+
+    const good = scorer.score({ wordCount: 1000, linkDensity: 0 });
+    assert.equal(good.score, 10);
+    assert.deepEqual(good.breakdown.map(f => f.feature), ['length', 'linkDensity']);
+    assert.equal(good.breakdown[0].contribution, 6.75);
+    assert.match(good.breakdown[0].explanation, /within the ideal 500-2000 range/);
+
+    const linky = scorer.score({ wordCount: 1000, linkDensity: 0.5 });
+    assert.equal(linky.score, 7.8);
+    assert.equal(linky.breakdown[1].normalized, 0);
+    assert.match(linky.breakdown[1].explanation, /50% of body text is link text/);
+});
+
+test('domainAllowlist matches subdomains and blocklist wins', () => {
+    const scorer = new QualityScorer({
+        features: { domainAllowlist: { weight: 1, allow: ['example.com'], block: ['spam.example.com'], defaultScore: 0.5 } }
+    });
+    const normalizedFor = url => scorer.score({ url }).breakdown[0].normalized;
+
+    assert.equal(normalizedFor('https://www.example.com/a'), 1);
+    assert.equal(normalizedFor('https://docs.example.com/a'), 1);
+    assert.equal(normalizedFor('https://spam.example.com/a'), 0);
+    assert.equal(normalizedFor('https://other.org/a'), 0.5);
+});
+
+test('readability falls back to neutral for non-English articles', () => {
+    const scorer = new QualityScorer({
+        features: { readability: { weight: 1, min: 3, idealMin: 7, idealMax: 15, max: 22 } }
+    });
+    const [feature] = scorer.score({ language: 'de', readability: { fleschKincaidGrade: null } }).breakdown;
+    assert.equal(feature.value, null);
+    assert.equal(feature.normalized, 0.5);
+    assert.match(feature.explanation, /calibrated for English/);
+});
+
+test('config validation ignores unknown features and rejects bad weights', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const scorer = new QualityScorer({ features: { sparkle: { weight: 1 }, duplicateRatio: { weight: 0, max: 0.3 } } });
+    assert.equal(scorer.features.length, 0);
+    assert.equal(warn.mock.callCount(), 1);
+
+    assert.throws(
+        () => new QualityScorer({ features: { length: { weight: -1 } } }),
+        /non-negative numeric weight/
+    );
+});
+
+test('registerFeature adds custom features and the bundled config loads', () => {
+    QualityScorer.registerFeature('hasTitle', article => ({
+        value: Boolean(article.title),
+        normalized: article.title ? 1 : 0,
+        explanation: article.title ? 'has a title' : 'missing title'
+    }));
+    const scorer = new QualityScorer({ features: { hasTitle: { weight: 1 } } });
+    assert.equal(scorer.score({ title: 'Hello' }).score, 10);
+    assert.equal(scorer.score({}).score, 1);
+
+    const bundled = new QualityScorer();
+    assert.equal(bundled.minQualityScore, 6);
+    assert.ok(bundled.features.length >= 8);
+});
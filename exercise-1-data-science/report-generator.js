@@ -0,0 +1,377 @@
+const fs = require('fs');
+const path = require('path');
+const { DataAnalysisTools } = require('./data-analysis-tools');
+
+const COLORS = {
+    bar: '#4f7cac',
+    good: '#3c9d5d',
+    warn: '#d08c2f',
+    bad: '#c2473a',
+    axis: '#666',
+    grid: '#e5e5e5'
+};
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const round = (n, digits = 1) => (typeof n === 'number' ? Number(n.toFixed(digits)) : n);
+
+// Stakeholder-facing report for an analysis run: a self-contained HTML page
+// (inline SVG charts, no external assets) and a Markdown variant with text charts
+class ReportGenerator {
+    // data: { insights, results, fetchLog, minQualityScore, duplicateGroups, boilerplateParagraphs }
+    constructor(data) {
+        this.insights = data.insights || {};
+        this.results = data.results || [];
+        this.fetchFailures = (data.fetchLog || []).filter(f => !f.ok);
+        this.minQualityScore = data.minQualityScore ?? 6;
+        this.duplicateGroups = data.duplicateGroups || [];
+        this.boilerplateParagraphs = data.boilerplateParagraphs || [];
+    }
+
+    // Writes <base>.html and/or <base>.md; returns the paths written
+    write(basePath, formats = ['html', 'md']) {
+        fs.mkdirSync(path.dirname(basePath), { recursive: true });
+        return formats.map(format => {
+            const file = `${basePath}.${format}`;
+            fs.writeFileSync(file, format === 'html' ? this.toHtml() : this.toMarkdown());
+            return file;
+        });
+    }
+
+    // Equal-width buckets over [min, max); values outside are clamped into the end buckets
+    static histogram(values, { min, max, bucketSize, format = (n) => n }) {
+        const bars = [];
+        for (let start = min; start < max; start += bucketSize) {
+            bars.push({ label: `${format(start)}–${format(start + bucketSize)}`, start, value: 0 });
+        }
+        values.filter(v => typeof v === 'number' && !isNaN(v)).forEach(value => {
+            const index = Math.min(bars.length - 1, Math.max(0, Math.floor((value - min) / bucketSize)));
+            bars[index].value++;
+        });
+        return bars;
+    }
+
+    // Adds up the per-article histograms from TextAnalysis.distribution()
+    static mergeHistograms(histograms) {
+        const merged = new Map();
+        histograms.filter(Boolean).forEach(histogram => {
+            Object.entries(histogram).forEach(([label, count]) => {
+                merged.set(label, (merged.get(label) || 0) + count);
+            });
+        });
+        return [...merged.entries()].map(([label, value]) => ({ label, value }));
+    }
+
+    // Vertical bar chart as an inline SVG string. bars: [{ label, value, color? }];
+    // marker: { at: bar index (fractional ok), label } draws a dashed threshold line
+    static barChart(bars, { title = '', width = 520, height = 220, color = COLORS.bar, marker = null } = {}) {
+        const margin = { top: 28, right: 12, bottom: 46, left: 40 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const maxValue = Math.max(1, ...bars.map(b => b.value));
+        const slot = plotWidth / Math.max(1, bars.length);
+        const barWidth = Math.max(2, slot * 0.8);
+        const y = (value) => margin.top + plotHeight - (value / maxValue) * plotHeight;
+
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">`,
+            `<text x="${width / 2}" y="16" text-anchor="middle" font-size="13" font-weight="600">${escapeHtml(title)}</text>`
+        ];
+
+        // Horizontal grid lines at quarters of the max
+        for (let i = 0; i <= 4; i++) {
+            const value = (maxValue * i) / 4;
+            const gy = y(value);
+            parts.push(`<line x1="${margin.left}" x2="${width - margin.right}" y1="${gy}" y2="${gy}" stroke="${COLORS.grid}"/>`);
+            parts.push(`<text x="${margin.left - 6}" y="${gy + 4}" text-anchor="end" font-size="10" fill="${COLORS.axis}">${round(value)}</text>`);
+        }
+
+        bars.forEach((bar, i) => {
+            const x = margin.left + i * slot + (slot - barWidth) / 2;
+            const top = y(bar.value);
+            parts.push(`<rect x="${x.toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(margin.top + plotHeight - top).toFixed(1)}" fill="${bar.color || color}"><title>${escapeHtml(bar.label)}: ${bar.value}</title></rect>`);
+            if (bar.value > 0) {
+                parts.push(`<text x="${(x + barWidth / 2).toFixed(1)}" y="${(top - 3).toFixed(1)}" text-anchor="middle" font-size="10">${bar.value}</text>`);
+            }
+            // Rotate labels when there are many bars so they don't collide
+            const lx = x + barWidth / 2;
+            const ly = margin.top + plotHeight + 14;
+            const rotate = bars.length > 8 ? ` transform="rotate(-35 ${lx.toFixed(1)} ${ly})"` : '';
+            parts.push(`<text x="${lx.toFixed(1)}" y="${ly}" text-anchor="${rotate ? 'end' : 'middle'}" font-size="10" fill="${COLORS.axis}"${rotate}>${escapeHtml(bar.label)}</text>`);
+        });
+
+        parts.push(`<line x1="${margin.left}" x2="${width - margin.right}" y1="${margin.top + plotHeight}" y2="${margin.top + plotHeight}" stroke="${COLORS.axis}"/>`);
+
+        if (marker) {
+            const mx = margin.left + marker.at * slot;
+            parts.push(`<line x1="${mx.toFixed(1)}" x2="${mx.toFixed(1)}" y1="${margin.top}" y2="${margin.top + plotHeight}" stroke="${COLORS.bad}" stroke-dasharray="4 3"/>`);
+            parts.push(`<text x="${(mx + 4).toFixed(1)}" y="${margin.top + 10}" font-size="10" fill="${COLORS.bad}">${escapeHtml(marker.label)}</text>`);
+        }
+
+        parts.push('</svg>');
+        return parts.join('');
+    }
+
+    // Markdown has no inline SVG that renders everywhere, so charts become text bars
+    static textChart(bars, { title = '', width = 30 } = {}) {
+        const maxValue = Math.max(1, ...bars.map(b => b.value));
+        const labelWidth = Math.max(...bars.map(b => String(b.label).length), 1);
+        const lines = bars.map(bar => {
+            const length = Math.round((bar.value / maxValue) * width);
+            return `${String(bar.label).padEnd(labelWidth)} | ${'█'.repeat(length)}${bar.value > 0 ? ` ${bar.value}` : ''}`;
+        });
+        return [`**${title}**`, '', '```', ...lines, '```'].join('\n');
+    }
+
+    status(article) {
+        if (article.isCanonical === false) return 'duplicate';
+        return article.qualityScore >= this.minQualityScore ? 'exported' : 'below threshold';
+    }
+
+    // Chart data shared by the HTML and Markdown renderers
+    charts() {
+        const quality = ReportGenerator.histogram(this.results.map(r => r.qualityScore), { min: 1, max: 10, bucketSize: 1 })
+            .map(bar => ({
+                ...bar,
+                color: bar.start + 1 <= this.minQualityScore ? COLORS.warn : COLORS.good
+            }));
+
+        const grades = this.results.map(r => r.readability?.fleschKincaidGrade).filter(g => typeof g === 'number');
+        const gradeBars = ReportGenerator.histogram(grades, { min: 0, max: 24, bucketSize: 2 });
+        const sentenceBars = ReportGenerator.mergeHistograms(this.results.map(r => r.readability?.sentenceLength?.histogram));
+
+        const maxWords = Math.max(1000, ...this.results.map(r => r.wordCount || 0));
+        const wordBucket = Math.max(250, Math.ceil(maxWords / 10 / 250) * 250);
+        const wordBars = ReportGenerator.histogram(this.results.map(r => r.wordCount), {
+            min: 0,
+            max: wordBucket * Math.ceil((maxWords + 1) / wordBucket),
+            bucketSize: wordBucket
+        });
+
+        const languageBars = Object.entries(this.insights.languages || {}).map(([label, value]) => ({ label, value }));
+        const topicBars = (this.insights.topics || []).map(topic => ({ label: `#${topic.id}`, value: topic.size }));
+
+        return {
+            quality: { title: 'Quality score distribution', bars: quality, marker: { at: this.minQualityScore - 1, label: `export threshold ${this.minQualityScore}` } },
+            grades: { title: 'Flesch-Kincaid grade (English articles)', bars: gradeBars },
+            sentences: { title: 'Sentence length (words), all articles', bars: sentenceBars },
+            words: { title: 'Article length (words)', bars: wordBars },
+            languages: { title: 'Articles per language', bars: languageBars },
+            topics: { title: 'Articles per topic', bars: topicBars }
+        };
+    }
+
+    articleRows() {
+        return this.results.map(r => ({
+            title: r.title || r.url,
+            url: r.url,
+            language: r.language,
+            words: r.wordCount,
+            quality: r.qualityScore,
+            grade: r.readability?.fleschKincaidGrade ?? null,
+            topic: r.topicId ?? null,
+            keywords: (r.topKeywords || []).slice(0, 5).join(', '),
+            status: this.status(r),
+            duplicateOf: r.duplicateOf || null
+        }));
+    }
+
+    summaryItems() {
+        const exported = this.results.filter(r => this.status(r) === 'exported').length;
+        return [
+            ['Articles analyzed', this.insights.totalArticles ?? this.results.length],
+            ['Exported for embedding', `${exported} (quality ≥ ${this.minQualityScore})`],
+            ['Average length', `${this.insights.avgWordCount ?? '–'} words`],
+            ['Average quality', `${this.insights.avgQualityScore ?? '–'}/10`],
+            ['Fetch success', this.insights.fetchStats
+                ? `${this.insights.fetchStats.succeeded}/${this.insights.fetchStats.attempted}`
+                : '–'],
+            ['Duplicates', `${this.insights.duplicates?.duplicateArticles ?? 0} articles in ${this.insights.duplicates?.groups ?? 0} groups`]
+        ];
+    }
+
+    toHtml() {
+        const charts = this.charts();
+        const chart = (key) => (charts[key].bars.length > 0
+            ? `<figure>${ReportGenerator.barChart(charts[key].bars, { title: charts[key].title, marker: charts[key].marker })}</figure>`
+            : '');
+        const table = (headers, rows) => [
+            '<table>',
+            `<thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>`,
+            '<tbody>',
+            ...rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`),
+            '</tbody></table>'
+        ].join('\n');
+
+        const readability = this.insights.readability || {};
+        const topics = this.insights.topics || [];
+        const generatedAt = this.insights.generatedAt || new Date().toISOString();
+
+        const sections = [];
+
+        sections.push(`<section><h2>Summary</h2><dl class="summary">${this.summaryItems()
+            .map(([label, value]) => `<div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`).join('')}</dl>
+<p class="recommendation"><strong>Recommendation:</strong> ${escapeHtml(this.insights.recommendation || '–')}</p>
+<p><strong>Top terms:</strong> ${escapeHtml((this.insights.topTopics || []).join(', ') || '–')}</p></section>`);
+
+        sections.push(`<section><h2>Quality</h2><div class="charts">${chart('quality')}${chart('words')}</div></section>`);
+
+        sections.push(`<section><h2>Readability</h2>
+<p>Corpus averages: Flesch reading ease ${escapeHtml(readability.fleschReadingEase ?? '–')}, Flesch-Kincaid grade ${escapeHtml(readability.fleschKincaidGrade ?? '–')}, Gunning Fog ${escapeHtml(readability.gunningFog ?? '–')}, SMOG ${escapeHtml(readability.smogIndex ?? '–')}; ${escapeHtml(readability.avgSentenceLength ?? '–')} words per sentence.</p>
+<div class="charts">${chart('grades')}${chart('sentences')}</div></section>`);
+
+        if (topics.length > 0) {
+            sections.push(`<section><h2>Topics</h2><div class="charts">${chart('topics')}${chart('languages')}</div>
+${table(['ID', 'Label', 'Articles', 'Top terms', 'Members'], topics.map(topic => [
+        topic.id,
+        escapeHtml(topic.label),
+        topic.size,
+        escapeHtml(topic.terms.join(', ')),
+        topic.articles.map(a => `<a href="${escapeHtml(a.url)}">${escapeHtml(a.title || a.url)}</a>`).join('<br>')
+    ]))}</section>`);
+        }
+
+        sections.push(`<section><h2>Articles</h2>
+${table(['Title', 'Lang', 'Words', 'Quality', 'FK grade', 'Topic', 'Keywords', 'Status'], this.articleRows().map(row => [
+        `<a href="${escapeHtml(row.url)}">${escapeHtml(row.title)}</a>`,
+        escapeHtml(row.language),
+        row.words,
+        `<span class="${row.quality >= this.minQualityScore ? 'good' : 'warn'}">${row.quality}</span>`,
+        escapeHtml(row.grade ?? '–'),
+        escapeHtml(row.topic ?? '–'),
+        escapeHtml(row.keywords),
+        row.duplicateOf
+            ? `duplicate of <a href="${escapeHtml(row.duplicateOf)}">${escapeHtml(row.duplicateOf)}</a>`
+            : escapeHtml(row.status)
+    ]))}</section>`);
+
+        if (this.duplicateGroups.length > 0 || this.boilerplateParagraphs.length > 0) {
+            sections.push(`<section><h2>Duplicates &amp; boilerplate</h2>
+${this.duplicateGroups.length > 0 ? table(['Kept', 'Dropped copies'], this.duplicateGroups.map(group => [
+        `<a href="${escapeHtml(group.canonical)}">${escapeHtml(group.title || group.canonical)}</a>`,
+        group.duplicates.map(d => `${escapeHtml(d.url)} (${round(d.similarity * 100, 0)}% similar)`).join('<br>')
+    ])) : ''}
+${this.boilerplateParagraphs.length > 0 ? table(['Repeated paragraph', 'Articles'], this.boilerplateParagraphs.map(b => [
+        escapeHtml(b.text),
+        b.occurrences
+    ])) : ''}</section>`);
+        }
+
+        sections.push(`<section><h2>Fetch failures</h2>${this.fetchFailures.length === 0
+            ? '<p>None 🎉</p>'
+            : table(['URL', 'Reason', 'Status', 'Message'], this.fetchFailures.map(f => [
+                escapeHtml(f.url),
+                `<code>${escapeHtml(f.reason)}</code>`,
+                escapeHtml(f.status ?? '–'),
+                escapeHtml(f.message)
+            ]))}</section>`);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Web Content Analysis Report</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #222; }
+h1 { margin-bottom: 0.2rem; }
+.meta { color: #666; margin-top: 0; }
+section { margin-top: 2rem; }
+.summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 0.75rem; }
+.summary div { background: #f5f7fa; border-radius: 6px; padding: 0.6rem 0.8rem; }
+.summary dt { font-size: 0.8rem; color: #666; }
+.summary dd { margin: 0.2rem 0 0; font-size: 1.1rem; font-weight: 600; }
+.charts { display: flex; flex-wrap: wrap; gap: 1rem; }
+figure { margin: 0; }
+table { border-collapse: collapse; width: 100%; font-size: 0.85rem; margin-top: 0.75rem; }
+th, td { border-bottom: 1px solid #e5e5e5; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+th { background: #f5f7fa; }
+.good { color: ${COLORS.good}; font-weight: 600; }
+.warn { color: ${COLORS.warn}; font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>Web Content Analysis Report</h1>
+<p class="meta">Generated ${escapeHtml(generatedAt)}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    toMarkdown() {
+        const charts = this.charts();
+        const chart = (key) => (charts[key].bars.length > 0 ? ReportGenerator.textChart(charts[key].bars, { title: charts[key].title }) : '');
+        const readability = this.insights.readability || {};
+        const topics = this.insights.topics || [];
+        const lines = [];
+
+        lines.push('# Web Content Analysis Report', '', `_Generated ${this.insights.generatedAt || new Date().toISOString()}_`, '');
+
+        lines.push('## Summary', '');
+        this.summaryItems().forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+        lines.push(`- **Recommendation:** ${this.insights.recommendation || '–'}`);
+        lines.push(`- **Top terms:** ${(this.insights.topTopics || []).join(', ') || '–'}`, '');
+
+        lines.push('## Quality', '', chart('quality'), '', `Export threshold: ${this.minQualityScore}`, '', chart('words'), '');
+
+        lines.push('## Readability', '');
+        lines.push(`Corpus averages: Flesch reading ease ${readability.fleschReadingEase ?? '–'}, ` +
+            `Flesch-Kincaid grade ${readability.fleschKincaidGrade ?? '–'}, Gunning Fog ${readability.gunningFog ?? '–'}, ` +
+            `SMOG ${readability.smogIndex ?? '–'}; ${readability.avgSentenceLength ?? '–'} words per sentence.`, '');
+        lines.push(chart('grades'), '', chart('sentences'), '');
+
+        if (topics.length > 0) {
+            lines.push('## Topics', '');
+            lines.push(DataAnalysisTools.createDataFrame(topics.map(topic => ({
+                id: topic.id,
+                label: topic.label,
+                articles: topic.size,
+                terms: topic.terms.join(', ')
+            }))).toMarkdownTable({ maxWidth: 120 }), '');
+            lines.push(chart('languages'), '');
+        }
+
+        lines.push('## Articles', '');
+        lines.push(DataAnalysisTools.createDataFrame(this.articleRows().map(row => ({
+            title: `[${row.title.replace(/[[\]]/g, '')}](${row.url})`,
+            lang: row.language,
+            words: row.words,
+            quality: row.quality,
+            grade: row.grade,
+            topic: row.topic,
+            status: row.duplicateOf ? `duplicate of ${row.duplicateOf}` : row.status
+        }))).toMarkdownTable({ maxWidth: 200 }), '');
+
+        if (this.duplicateGroups.length > 0) {
+            lines.push('## Duplicates', '');
+            this.duplicateGroups.forEach(group => {
+                lines.push(`- Kept ${group.canonical}; dropped ${group.duplicates.map(d => `${d.url} (${round(d.similarity * 100, 0)}%)`).join(', ')}`);
+            });
+            lines.push('');
+        }
+
+        lines.push('## Fetch failures', '');
+        if (this.fetchFailures.length === 0) {
+            lines.push('None.', '');
+        } else {
+            lines.push(DataAnalysisTools.createDataFrame(this.fetchFailures.map(f => ({
+                url: f.url,
+                reason: f.reason,
+                status: f.status,
+                message: f.message
+            }))).toMarkdownTable({ maxWidth: 120 }), '');
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = { ReportGenerator };
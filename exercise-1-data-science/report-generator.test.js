@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReportGenerator } = require('./report-generator');
+
+const data = () => ({
+    insights: { totalArticles: 3, avgWordCount: 900, avgQualityScore: 6.5, recommendation: 'Ship it', generatedAt: '2024-05-01T00:00:00.000Z' },
+    results: [
+        { url: 'https://a.com/1', title: 'Good <b>article</b>', language: 'en', wordCount: 1200, qualityScore: 8.2, readability: { fleschKincaidGrade: 9 }, isCanonical: true },
+        { url: 'https://a.com/2', title: 'Thin article', language: 'en', wordCount: 200, qualityScore: 3.1, isCanonical: true },
+        { url: 'https://b.com/1', title: 'Copy', language: 'en', wordCount: 1190, qualityScore: 8, isCanonical: false, duplicateOf: 'https://a.com/1' }
+    ],
+    fetchLog: [
+        { url: 'https://a.com/1', ok: true },
+        { url: 'https://c.com/x', ok: false, reason: 'not_found', status: 404, message: 'Not Found' }
+    ],
+    minQualityScore: 6,
+    duplicateGroups: [{ canonical: 'https://a.com/1', title: 'Good article', duplicates: [{ url: 'https://b.com/1', similarity: 0.93 }] }]
+});
+
+test('histogram clamps values into equal-width buckets', () => {
+    const bars = ReportGenerator.histogram([0, 1.5, 2, 9, 42, null], { min: 0, max: 6, bucketSize: 2 });
+    assert.deepEqual(bars.map(b => b.label), ['0–2', '2–4', '4–6']);
+    assert.deepEqual(bars.map(b => b.value), [2, 1, 2]);
+    assert.deepEqual(ReportGenerator.mergeHistograms([{ '1-5': 2 }, null, { '1-5': 1, '6-10': 4 }]),
+        [{ label: '1-5', value: 3 }, { label: '6-10', value: 4 }]);
+});
+
+test('status separates exported, below-threshold and duplicate articles', () => {
+    const report = new ReportGenerator(data());
+    assert.deepEqual(report.articleRows().map(r => r.status), ['exported', 'below threshold', 'duplicate']);
+    assert.deepEqual(report.summaryItems()[1], ['Exported for embedding', '1 (quality ≥ 6)']);
+});
+
+test('HTML report is self-contained and escapes scraped text', () => {
+    const html = new ReportGenerator(data()).toHtml();
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<svg xmlns="http:\/\/www.w3.org\/2000\/svg"[^>]*aria-label="Quality score distribution"/);
+    assert.match(html, /Good &lt;b&gt;article&lt;\/b&gt;/);
+    assert.ok(!html.includes('<b>article</b>'));
+    assert.match(html, /duplicate of <a href="https:\/\/a.com\/1">/);
+    assert.match(html, /<code>not_found<\/code>/);
+    assert.ok(!/<(script|link)\b/.test(html), 'no external assets');
+});
+
+test('Markdown report uses text charts and tables', () => {
+    const md = new ReportGenerator(data()).toMarkdown();
+    assert.match(md, /^# Web Content Analysis Report/);
+    assert.match(md, /\*\*Quality score distribution\*\*\n\n```\n/);
+    assert.match(md, /█/);
+    assert.match(md, /\| \[Thin article\]\(https:\/\/a.com\/2\) \| en \| 200 \| 3\.10 \|/);
+    assert.match(md, /- Kept https:\/\/a.com\/1; dropped https:\/\/b.com\/1 \(93%\)/);
+    assert.match(md, /\| https:\/\/c.com\/x \| not_found \| 404 \| Not Found \|/);
+});
+
+test('write creates the requested formats next to the base path', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const base = path.join(dir, 'nested', 'out.report');
+    assert.deepEqual(new ReportGenerator(data()).write(base), [`${base}.html`, `${base}.md`]);
+    assert.ok(fs.readFileSync(`${base}.md`, 'utf8').startsWith('# Web Content Analysis Report'));
+    assert.deepEqual(new ReportGenerator({}).write(base, ['md']), [`${base}.md`]);
+    assert.match(fs.readFileSync(`${base}.md`, 'utf8'), /## Fetch failures\n\nNone\./);
+});
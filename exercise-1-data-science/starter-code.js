@@ -1,184 +1,337 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
-const { mean, median, standardDeviation } = require('simple-statistics');
 const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { DataAnalysisTools } = require('./data-analysis-tools');
+const { ContentExtractor } = require('./content-extractor');
+const { PoliteCrawler } = require('./crawler');
+const { HttpFetcher, FAILURE_REASONS } = require('./http-fetcher');
+const { FetchCache } = require('./fetch-cache');
+const { TextAnalysis } = require('./text-analysis');
+const { QualityScorer } = require('./quality-scorer');
+const { DuplicateDetector } = require('./duplicate-detector');
+const { DocumentLoader } = require('./document-loader');
+const { LanguageDetector } = require('./language-detector');
+const { TopicModel } = require('./topic-model');
+const { ReportGenerator } = require('./report-generator');
+const { Handoff, HANDOFF_SCHEMA_VERSION } = require('../shared/handoff');
 
-// Sample URLs for testing (feel free to add more)
-const SAMPLE_URLS = [
-    // bad link below
-    'https://blog.openai.com/gpt-4',
-    'https://aws.amazon.com/blogs/machine-learning/',
-    'https://developers.googleblog.com/2023/05/introducing-palm-2.html',
-    // bad link above
-    // Add more URLs as needed
-];
+const USER_AGENT = 'Mozilla/5.0 (compatible; LangGraphTutorialBot/1.0; +https://github.com/scmurdock/data-scientist-engineer-developer)';
 
-class DataAnalysisTools {
-    // JavaScript equivalent of pandas basic operations
-    static createDataFrame(data) {
-        return {
-            data: data,
-            length: data.length,
-            columns: Object.keys(data[0] || {}),
-            
-            // Basic statistics
-            describe(column) {
-                const values = data.map(row => row[column]).filter(v => typeof v === 'number');
-                return {
-                    count: values.length,
-                    mean: mean(values),
-                    median: median(values),
-                    std: standardDeviation(values),
-                    min: Math.min(...values),
-                    max: Math.max(...values)
-                };
-            },
-            
-            // Group by functionality
-            groupBy(column) {
-                const groups = {};
-                data.forEach(row => {
-                    const key = row[column];
-                    if (!groups[key]) groups[key] = [];
-                    groups[key].push(row);
-                });
-                return groups;
-            },
-            
-            // Filter functionality  
-            filter(predicate) {
-                return DataAnalysisTools.createDataFrame(data.filter(predicate));
-            }
-        };
-    }
-    
-    // JavaScript equivalent of numpy operations
-    static numpy = {
-        array: (data) => data,
-        mean: (arr) => mean(arr),
-        std: (arr) => standardDeviation(arr),
-        unique: (arr) => [...new Set(arr)],
-        countNonZero: (arr) => arr.filter(x => x !== 0 && x !== null && x !== undefined).length
-    };
-}
+// Defaults for the command line (see `node starter-code.js --help`)
+const DEFAULT_URLS_FILE = path.join(__dirname, 'urls.txt');
+const DEFAULT_OUTPUT_PATH = path.join(__dirname, '..', 'exercise-2-data-engineering', 'data-science-output.json');
+// CSV is for people: it never goes to the handoff path Exercise 2 reads
+const DEFAULT_CSV_OUTPUT_PATH = path.join(__dirname, 'data-science-output.csv');
+
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1, // bad arguments or unexpected failure
+    INSUFFICIENT_CONTENT: 2 // ran fine, but too few articles passed the quality threshold
+};
 
 class WebContentAnalyzer {
-    constructor() {
+    constructor(options = {}) {
         this.results = [];
         this.insights = {};
+        this.fetchLog = []; // one record per URL attempted, successful or not
+        this.termStats = new Map(); // url -> term counts, for corpus-level TF-IDF
+        // Fetch options: timeoutMs, retries, backoffBaseMs, maxBackoffMs, maxRedirects, maxBytes
+        this.fetcher = new HttpFetcher({ userAgent: USER_AGENT, ...options.fetch });
+        // Cache options: dir, enabled
+        this.cache = new FetchCache(options.cache);
+        // Quality scoring config: path to a JSON file or a config object (default: quality-config.json)
+        this.scorer = new QualityScorer(QualityScorer.loadConfig(options.qualityConfig));
+        if (typeof options.minQualityScore === 'number') {
+            this.scorer.minQualityScore = options.minQualityScore;
+        }
+        // Where exportForDataEngineering() writes: { path, format: 'json' | 'csv' }
+        this.output = { format: 'json', ...options.output };
+        if (!this.output.path) {
+            this.output.path = this.output.format === 'csv' ? DEFAULT_CSV_OUTPUT_PATH : DEFAULT_OUTPUT_PATH;
+        }
+        // HTML/Markdown report written next to the export: { enabled, formats: ['html', 'md'] }
+        this.report = { enabled: true, formats: ['html', 'md'], ...options.report };
+        this.exportSummary = null;
+        // Dedup options: shingleSize, numHashes, bands, threshold, boilerplateMinDocs
+        this.duplicateDetector = new DuplicateDetector(options.dedup);
+        this.duplicateGroups = [];
+        this.boilerplateParagraphs = [];
+        // Topic options: k (default: about sqrt(articles / 2)), maxTopics, topTerms, seed
+        this.topicModel = new TopicModel(options.topics);
+        this.topics = [];
     }
 
     async fetchWebContent(url) {
-        // TODO: Implement web content fetching
-        // Hints:
-        // 1. Use axios to fetch the URL
-        // 2. Handle errors gracefully (try/catch)
-        // 3. Return null if fetch fails
-        // 4. Use cheerio to parse HTML and extract text
+        console.log(`Fetching content from: ${url}`);
+        
+        // Re-validate cached pages with If-None-Match / If-Modified-Since
+        const cached = this.cache.get(url);
+        const response = await this.fetcher.fetch(url, FetchCache.validatorsFor(cached));
+        
+        if (!response.ok) {
+            console.error(`Failed to fetch ${url}: ${response.reason} - ${response.message}`);
+            this.recordFetch(response);
+            return null;
+        }
         
+        const notModified = response.status === 304 && cached;
+        if (response.status === 304 && !cached) {
+            this.recordFetch({ ...response, ok: false, reason: FAILURE_REASONS.UNKNOWN, message: '304 Not Modified without a cached copy' });
+            return null;
+        }
+        if (notModified) {
+            console.log(`♻️  Not modified since ${cached.fetchedAt}, using cached copy`);
+        }
+        
+        const body = notModified ? cached.body : response.body;
+        const finalUrl = notModified ? cached.finalUrl : response.finalUrl;
+        
+        let extracted;
         try {
-            console.log(`Fetching content from: ${url}`);
-            
-            // TODO: Add axios.get() call with proper headers
-            
-            // TODO: Parse HTML with cheerio
-            
-            // TODO: Extract text content (remove scripts, styles)
-            
-            // TODO: Return structured data
-            return {
-                url: url,
-                title: 'Sample Title', // Replace with actual title
-                content: 'Sample content...', // Replace with actual content
-                wordCount: 100, // Replace with actual word count
+            // Parse HTML, strip boilerplate and pick the main article body
+            extracted = ContentExtractor.extract(body, finalUrl);
+        } catch (error) {
+            console.error(`Failed to parse ${url}:`, error.message);
+            this.recordFetch({ ...response, ok: false, reason: FAILURE_REASONS.PARSE_ERROR, message: error.message });
+            return null;
+        }
+        
+        if (extracted.wordCount === 0) {
+            console.warn(`⚠️  No readable content found at ${url}`);
+            this.recordFetch({ ...response, ok: false, reason: FAILURE_REASONS.NO_CONTENT, message: 'No readable text extracted' });
+            return null;
+        }
+        
+        // Compare extracted text rather than raw HTML so rotating ads/nonces don't count as changes
+        const contentHash = FetchCache.hash(extracted.content);
+        let changeStatus = 'new';
+        if (cached) {
+            changeStatus = cached.contentHash === contentHash ? 'unchanged' : 'changed';
+        }
+        
+        if (notModified) {
+            // The copy is confirmed current as of now, and a 304 may carry newer validators
+            this.cache.set(url, {
+                ...cached,
+                headers: {
+                    ...cached.headers,
+                    'cache-control': response.headers['cache-control'] || cached.headers?.['cache-control'] || null
+                },
+                etag: response.headers.etag || cached.etag,
+                lastModified: response.headers['last-modified'] || cached.lastModified,
                 fetchedAt: new Date().toISOString()
-            };
-            
+            });
+        } else {
+            this.cache.set(url, {
+                finalUrl,
+                status: response.status,
+                headers: {
+                    'content-type': response.headers['content-type'] || null,
+                    'cache-control': response.headers['cache-control'] || null
+                },
+                etag: response.headers.etag || null,
+                lastModified: response.headers['last-modified'] || null,
+                body,
+                contentHash,
+                fetchedAt: new Date().toISOString()
+            });
+        }
+        
+        this.recordFetch(response);
+        
+        return {
+            url: url,
+            finalUrl: finalUrl,
+            canonicalUrl: extracted.canonicalUrl,
+            title: extracted.title,
+            author: extracted.author,
+            publishedAt: extracted.publishedAt,
+            language: extracted.language,
+            content: extracted.content,
+            wordCount: extracted.wordCount,
+            linkDensity: extracted.linkDensity,
+            links: extracted.links,
+            contentHash: contentHash,
+            changeStatus: changeStatus,
+            fetchedAt: new Date().toISOString()
+        };
+    }
+    
+    loadLocalDocument(url) {
+        // file:// counterpart of fetchWebContent(): same record shape, plus front-matter metadata
+        const filePath = fileURLToPath(url);
+        console.log(`Loading local document: ${filePath}`);
+        const startedAt = Date.now();
+        const logEntry = { url, finalUrl: url, status: null, attempts: 1 };
+        
+        let document;
+        try {
+            document = DocumentLoader.load(filePath);
         } catch (error) {
-            console.error(`Failed to fetch ${url}:`, error.message);
+            const reason = error.code === 'ENOENT' ? FAILURE_REASONS.NOT_FOUND : FAILURE_REASONS.PARSE_ERROR;
+            console.error(`Failed to load ${filePath}: ${error.message}`);
+            this.recordFetch({ ...logEntry, ok: false, reason, message: error.message, durationMs: Date.now() - startedAt });
             return null;
         }
+        
+        if (document.wordCount === 0) {
+            const message = document.sourceType === 'pdf' ? 'No text layer found (scanned PDF?)' : 'No readable text extracted';
+            console.warn(`⚠️  ${message}: ${filePath}`);
+            this.recordFetch({ ...logEntry, ok: false, reason: FAILURE_REASONS.NO_CONTENT, message, durationMs: Date.now() - startedAt });
+            return null;
+        }
+        
+        // Same change tracking as web pages, keyed by the file:// URL
+        const cached = this.cache.get(url);
+        const contentHash = FetchCache.hash(document.content);
+        let changeStatus = 'new';
+        if (cached) {
+            changeStatus = cached.contentHash === contentHash ? 'unchanged' : 'changed';
+        }
+        this.cache.set(url, { finalUrl: url, contentHash, modifiedAt: document.modifiedAt, fetchedAt: new Date().toISOString() });
+        
+        this.recordFetch({ ...logEntry, ok: true, durationMs: Date.now() - startedAt });
+        
+        return {
+            ...document,
+            contentHash: contentHash,
+            changeStatus: changeStatus,
+            fetchedAt: new Date().toISOString()
+        };
+    }
+    
+    recordFetch(response) {
+        // Keep the structured outcome (minus body/headers) for the export and per-domain stats
+        this.fetchLog.push({
+            url: response.url,
+            domain: new URL(response.url).hostname || 'local files',
+            ok: response.ok,
+            status: response.status ?? null,
+            reason: response.ok ? null : response.reason,
+            message: response.ok ? null : response.message,
+            finalUrl: response.finalUrl || response.url,
+            redirects: response.redirects || [],
+            attempts: response.attempts,
+            durationMs: response.durationMs,
+            fetchedAt: new Date().toISOString()
+        });
     }
 
     analyzeTextContent(contentData) {
-        // TODO: Implement text analysis (pandas-like operations)
-        // Hints:
-        // 1. Calculate word frequency
-        // 2. Extract keywords/topics
-        // 3. Measure readability
-        // 4. Generate statistics
-        
         console.log(`Analyzing: ${contentData.title}`);
         
-        // TODO: Tokenize and analyze text
-        const words = contentData.content.toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .split(/\s+/)
-            .filter(word => word.length > 3);
-            
-        // TODO: Calculate word frequency (like pandas value_counts())
+        // Detect the language from the text, falling back to <html lang> / front matter
+        const detected = LanguageDetector.resolve(contentData.content, contentData.language);
+        // Undetermined (very short) text is processed with the English defaults
+        const language = detected.language === 'und' ? 'en' : detected.language;
+        
+        // Tokenize, drop stopwords, stem, and count unigrams + bigram/trigram phrases
+        const tokens = TextAnalysis.tokenize(contentData.content, language);
+        const terms = TextAnalysis.termCounts(contentData.content, { language });
+        this.termStats.set(contentData.url, terms);
+        const wordCount = TextAnalysis.isSegmentedLanguage(language) ? tokens.length : contentData.wordCount;
+        
+        // Word frequency (like pandas value_counts()) over content words
         const wordFreq = {};
+        tokens.filter(token => TextAnalysis.isContentToken(token, language)).forEach(token => {
+            wordFreq[token] = (wordFreq[token] || 0) + 1;
+        });
+        const topWords = Object.entries(wordFreq)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 10)
+            .map(([word, count]) => ({ word, count }));
         
-        // TODO: Find top keywords
+        // Recurring multi-word phrases
+        const topPhrases = [...terms.counts.entries()]
+            .filter(([term, count]) => term.includes(' ') && count >= 2)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 10)
+            .map(([term]) => TextAnalysis.displayForm(term, terms.surfaceForms));
+        
+        // Single-document keywords; replaced with corpus TF-IDF keywords in generateInsights()
+        const { idf } = TextAnalysis.inverseDocumentFrequency([terms]);
+        const topKeywords = TextAnalysis.topTerms(TextAnalysis.tfidf(terms, idf), terms.surfaceForms, 10);
 
-        // TODO: Calculate readability metrics
-        const sentences = contentData.content.split(/[.!?]+/).length;
-        const avgWordsPerSentence = contentData.wordCount / Math.max(sentences, 1);
+        // Flesch, Flesch-Kincaid, Gunning Fog, SMOG + sentence/word length distributions
+        const readability = TextAnalysis.readability(contentData.content, { language });
+        
+        const quality = this.calculateQualityScore({
+            ...contentData,
+            language: detected.language,
+            wordCount,
+            readability,
+            keywordDensity: this.keywordDensity(terms),
+            duplicateRatio: this.duplicateRatio(contentData.content)
+        });
         
         return {
             url: contentData.url,
+            canonicalUrl: contentData.canonicalUrl,
             title: contentData.title,
-            wordCount: contentData.wordCount,
-            uniqueWords: 50, // TODO: Calculate actual unique words
-            topKeywords: ['sample', 'keywords'], // TODO: Replace with actual top words
-            readabilityScore: Math.min(10, avgWordsPerSentence / 2), // Simple metric
-            qualityScore: this.calculateQualityScore(contentData),
+            author: contentData.author,
+            publishedAt: contentData.publishedAt,
+            language: detected.language, // ISO 639-1 ("und" if undetermined)
+            declaredLanguage: detected.declared,
+            languageConfidence: detected.confidence,
+            sourceType: contentData.sourceType || 'web',
+            metadata: contentData.metadata || {}, // front matter for local documents
+            content: contentData.content,
+            contentHash: contentData.contentHash,
+            changeStatus: contentData.changeStatus,
+            wordCount: wordCount,
+            uniqueWords: new Set(tokens).size,
+            topWords: topWords,
+            topKeywords: topKeywords,
+            topPhrases: topPhrases,
+            readability: readability,
+            qualityScore: quality.score,
+            qualityBreakdown: quality.breakdown,
             analyzedAt: new Date().toISOString()
         };
     }
     
-    calculateQualityScore(content) {
-        // Simple quality scoring based on content characteristics
-        let score = 5; // Base score
-        
-        // Length bonus
-        if (content.wordCount > 500) score += 2;
-        if (content.wordCount > 1000) score += 1;
-        
-        // Title quality
-        if (content.title && content.title.length > 20) score += 1;
-        
-        // Content depth (simple heuristic)
-        const technicalWords = ['algorithm', 'model', 'data', 'analysis', 'machine', 'learning'];
-        const techWordCount = technicalWords.filter(word => 
-            content.content.toLowerCase().includes(word)
-        ).length;
-        score += Math.min(2, techWordCount * 0.5);
-        
-        return Math.min(10, Math.max(1, score));
+    calculateQualityScore(article) {
+        // Weighted features from quality-config.json; returns { score, breakdown }
+        // where breakdown explains each feature's contribution
+        return this.scorer.score(article);
+    }
+    
+    keywordDensity(terms) {
+        // Share of content words taken up by the ten most frequent terms
+        const topCounts = [...terms.counts.entries()]
+            .filter(([term]) => !term.includes(' '))
+            .map(([, count]) => count)
+            .sort((a, b) => b - a)
+            .slice(0, 10);
+        return topCounts.reduce((sum, c) => sum + c, 0) / Math.max(1, terms.contentTokens);
+    }
+    
+    duplicateRatio(content) {
+        // Share of paragraphs that repeat an earlier paragraph verbatim (templated text)
+        const paragraphs = content.split(/\n+/)
+            .map(p => p.toLowerCase().replace(/\s+/g, ' ').trim())
+            .filter(p => p.length >= 20);
+        if (paragraphs.length === 0) return 0;
+        return (paragraphs.length - new Set(paragraphs).size) / paragraphs.length;
     }
 
     generateInsights() {
-        // TODO: Generate insights using DataAnalysisTools (pandas-like analysis)
-        // Hints:
-        // 1. Create DataFrame from results
-        // 2. Calculate summary statistics
-        // 3. Identify content patterns
-        // 4. Make recommendations for data engineering
-        
         console.log('\n=== GENERATING INSIGHTS ===');
         
         if (this.results.length === 0) {
             console.log('No data to analyze. Run fetchAndAnalyze() first.');
+            if (this.fetchLog.length > 0) {
+                this.displayFetchSummary(this.summarizeFetches());
+            }
             return;
         }
         
-        // TODO: Use DataAnalysisTools to create DataFrame
-        const df = DataAnalysisTools.createDataFrame(this.results);
-        
-        // TODO: Calculate statistics (like pandas.describe())
+        this.applyCorpusKeywords();
+        this.detectDuplicates();
+        this.discoverTopics();
         
-        // TODO: Find patterns and trends
+        const df = DataAnalysisTools.createDataFrame(this.results);
         
         this.insights = {
             totalArticles: this.results.length,
@@ -189,27 +342,226 @@ class WebContentAnalyzer {
                 this.results.map(r => r.qualityScore)
             ).toFixed(1)),
             topTopics: this.extractTopTopics(),
+            topics: this.topics.map(({ id, label, terms, size, articles }) => ({ id, label, terms, size, articles })),
+            // Article count per detected language, e.g. { en: 12, de: 3 }
+            languages: Object.fromEntries(df.valueCounts('language').toArray().map(r => [r.language, r.count])),
+            readability: this.summarizeReadability(),
+            fetchStats: this.summarizeFetches(),
+            changeSummary: this.summarizeChanges(),
+            duplicates: {
+                groups: this.duplicateGroups.length,
+                duplicateArticles: this.results.filter(r => !r.isCanonical).length,
+                boilerplateParagraphs: this.boilerplateParagraphs.length
+            },
             recommendation: this.generateRecommendation(),
             generatedAt: new Date().toISOString()
         };
         
         this.displayInsights();
         this.exportForDataEngineering();
+        return this.insights;
+    }
+    
+    applyCorpusKeywords() {
+        // Corpus-level TF-IDF (like sklearn's TfidfVectorizer) so each article's
+        // keywords are what distinguishes it, not just what it repeats
+        const documents = this.results
+            .map(r => this.termStats.get(r.url))
+            .filter(Boolean);
+        if (documents.length === 0) return;
+        
+        const { idf, documentFrequency } = TextAnalysis.inverseDocumentFrequency(documents);
+        this.corpusIdf = idf;
+        this.corpusDocumentFrequency = documentFrequency;
+        
+        this.results.forEach(result => {
+            const terms = this.termStats.get(result.url);
+            if (!terms) return;
+            result.topKeywords = TextAnalysis.topTerms(TextAnalysis.tfidf(terms, idf), terms.surfaceForms, 10);
+        });
+    }
+    
+    detectDuplicates() {
+        // MinHash near-duplicate clusters (syndicated copies, mirrors, print views)
+        const texts = this.results.map(r => r.content || '');
+        const clusters = this.duplicateDetector.findClusters(texts);
+        
+        this.results.forEach(r => {
+            r.isCanonical = true;
+            r.duplicateOf = null;
+        });
+        
+        this.duplicateGroups = clusters.map(cluster => {
+            const members = cluster.members.map(i => this.results[i]);
+            const canonical = [...members].sort((a, b) => this.compareCanonical(a, b))[0];
+            const canonicalIndex = this.results.indexOf(canonical);
+            
+            const duplicates = members.filter(m => m !== canonical).map(member => {
+                const memberIndex = this.results.indexOf(member);
+                member.isCanonical = false;
+                member.duplicateOf = canonical.url;
+                // Prefer the direct similarity to the canonical; fall back to the best link in the cluster
+                const pairs = cluster.pairs.filter(p => p.a === memberIndex || p.b === memberIndex);
+                const direct = pairs.find(p => p.a === canonicalIndex || p.b === canonicalIndex);
+                return {
+                    url: member.url,
+                    title: member.title,
+                    similarity: direct ? direct.similarity : Math.max(...pairs.map(p => p.similarity))
+                };
+            });
+            
+            return { canonical: canonical.url, title: canonical.title, duplicates };
+        });
+        
+        // Paragraphs repeated across many articles are template text, not content
+        const boilerplate = this.duplicateDetector.findBoilerplate(texts);
+        const boilerplateKeys = new Set(boilerplate.map(b => b.text.toLowerCase()));
+        this.boilerplateParagraphs = boilerplate.map(b => ({
+            text: b.text.length > 200 ? `${b.text.slice(0, 200)}…` : b.text,
+            occurrences: b.documents.length,
+            urls: b.documents.map(i => this.results[i].url)
+        }));
+        
+        this.results.forEach(r => {
+            r.boilerplateParagraphCount = DuplicateDetector
+                .paragraphs(r.content || '', this.duplicateDetector.boilerplateMinLength)
+                .filter(p => boilerplateKeys.has(p.toLowerCase()))
+                .length;
+        });
+    }
+    
+    discoverTopics() {
+        // NMF over the corpus TF-IDF matrix (like sklearn's NMF on TfidfVectorizer output).
+        // Each article gets the topic it loads on most; each topic gets a label from its top terms.
+        const documents = this.results.map(result => {
+            const terms = this.termStats.get(result.url);
+            return terms && this.corpusIdf ? TextAnalysis.tfidf(terms, this.corpusIdf) : new Map();
+        });
+        const model = this.topicModel.fit(documents);
+        
+        const surfaceForms = new Map();
+        this.results.forEach(result => {
+            const terms = this.termStats.get(result.url);
+            if (!terms) return;
+            for (const [term, forms] of terms.surfaceForms) {
+                if (!surfaceForms.has(term)) surfaceForms.set(term, forms);
+            }
+        });
+        
+        this.topics = model.topics.map(topic => {
+            const labels = TextAnalysis.topTerms(new Map(topic.terms.map(t => [t.term, t.weight])), surfaceForms, this.topicModel.topTerms);
+            return {
+                id: topic.id,
+                label: labels.slice(0, 3).join(' / ') || `topic ${topic.id}`,
+                terms: labels,
+                size: topic.size,
+                articles: []
+            };
+        });
+        
+        this.results.forEach((result, i) => {
+            const assignment = model.assignments[i];
+            const topic = assignment.topicId === null ? null : this.topics[assignment.topicId];
+            result.topicId = topic ? topic.id : null;
+            result.topicLabel = topic ? topic.label : null;
+            result.topicConfidence = assignment.confidence;
+            if (topic) topic.articles.push({ url: result.url, title: result.title, confidence: assignment.confidence });
+        });
+        
+        return this.topics;
+    }
+    
+    compareCanonical(a, b) {
+        // Best representative: highest quality, then the self-canonical URL, then earliest published, then longest
+        if (b.qualityScore !== a.qualityScore) return b.qualityScore - a.qualityScore;
+        const selfCanonical = (r) => (r.canonicalUrl && r.canonicalUrl === r.url ? 1 : 0);
+        if (selfCanonical(b) !== selfCanonical(a)) return selfCanonical(b) - selfCanonical(a);
+        const published = (r) => (r.publishedAt ? Date.parse(r.publishedAt) : Infinity);
+        if (published(a) !== published(b)) return published(a) - published(b);
+        return b.wordCount - a.wordCount;
     }
     
     extractTopTopics() {
-        // TODO: Implement topic extraction across all articles
-        const allKeywords = this.results.flatMap(r => r.topKeywords);
-        const keywordCount = {};
+        // Aggregate TF-IDF weight per term across the corpus, preferring terms
+        // that appear in more than one article (shared topics, not one-offs)
+        const corpusWeights = new Map();
+        const surfaceForms = new Map();
+        
+        this.results.forEach(result => {
+            const terms = this.termStats.get(result.url);
+            if (!terms || !this.corpusIdf) return;
+            
+            for (const [term, weight] of TextAnalysis.tfidf(terms, this.corpusIdf)) {
+                corpusWeights.set(term, (corpusWeights.get(term) || 0) + weight);
+            }
+            for (const [term, forms] of terms.surfaceForms) {
+                if (!surfaceForms.has(term)) surfaceForms.set(term, new Map());
+                const merged = surfaceForms.get(term);
+                forms.forEach((count, form) => merged.set(form, (merged.get(form) || 0) + count));
+            }
+        });
+        
+        const shared = new Map([...corpusWeights].filter(([term]) =>
+            this.corpusDocumentFrequency.get(term) >= 2
+        ));
+        const candidates = this.results.length > 1 && shared.size >= 5 ? shared : corpusWeights;
+        
+        return TextAnalysis.topTerms(candidates, surfaceForms, 5);
+    }
+    
+    summarizeFetches() {
+        // Success rates per domain (like pandas groupby().agg())
+        const fetchDf = DataAnalysisTools.createDataFrame(this.fetchLog);
+        const summarize = (records) => {
+            const succeeded = records.filter(r => r.ok).length;
+            const failureReasons = {};
+            records.filter(r => !r.ok).forEach(r => {
+                failureReasons[r.reason] = (failureReasons[r.reason] || 0) + 1;
+            });
+            return {
+                attempted: records.length,
+                succeeded,
+                failed: records.length - succeeded,
+                successRate: Number((succeeded / Math.max(1, records.length)).toFixed(2)),
+                failureReasons
+            };
+        };
         
-        allKeywords.forEach(keyword => {
-            keywordCount[keyword] = (keywordCount[keyword] || 0) + 1;
+        const byDomain = {};
+        fetchDf.groupBy('domain').groups.forEach(({ key, rows: records }) => {
+            byDomain[key.domain] = summarize(records);
         });
         
-        return Object.entries(keywordCount)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 5)
-            .map(([keyword]) => keyword);
+        return { ...summarize(this.fetchLog), byDomain };
+    }
+    
+    summarizeReadability() {
+        // Corpus averages for each readability formula (formulas are English-only,
+        // so non-English articles only contribute to the length averages)
+        const df = DataAnalysisTools.createDataFrame(this.results.map(r => ({
+            fleschReadingEase: r.readability.fleschReadingEase,
+            fleschKincaidGrade: r.readability.fleschKincaidGrade,
+            gunningFog: r.readability.gunningFog,
+            smogIndex: r.readability.smogIndex,
+            avgSentenceLength: r.readability.sentenceLength.mean,
+            avgWordLength: r.readability.wordLength.mean
+        })));
+        
+        const summary = {};
+        df.columns.forEach(column => {
+            const { mean } = df.describe(column);
+            summary[column] = mean === null ? null : Number(mean.toFixed(1));
+        });
+        return summary;
+    }
+    
+    summarizeChanges() {
+        // How many articles need (re-)embedding downstream
+        const summary = { new: 0, changed: 0, unchanged: 0 };
+        this.results.forEach(r => {
+            if (r.changeStatus in summary) summary[r.changeStatus]++;
+        });
+        return summary;
     }
     
     generateRecommendation() {
@@ -219,7 +571,7 @@ class WebContentAnalyzer {
         if (avgQuality >= 7) {
             return 'HIGH: Process all articles for embeddings - excellent content quality';
         } else if (avgQuality >= 5) {
-            return 'MEDIUM: Process articles with quality score > 6 for embeddings';
+            return `MEDIUM: Process articles with quality score >= ${this.scorer.minQualityScore} for embeddings`;
         } else {
             return 'LOW: Review content sources - quality below threshold';
         }
@@ -231,70 +583,375 @@ class WebContentAnalyzer {
         console.log(`Average length: ${this.insights.avgWordCount} words`);
         console.log(`Average quality: ${this.insights.avgQualityScore}/10`);
         console.log(`Top topics: ${JSON.stringify(this.insights.topTopics)}`);
+        this.insights.topics.forEach(topic => {
+            console.log(`  Topic ${topic.id} (${topic.size} articles): ${topic.terms.join(', ')}`);
+        });
+        console.log(`Languages: ${Object.entries(this.insights.languages).map(([lang, count]) => `${lang} (${count})`).join(', ')}`);
+        console.log(`Readability: Flesch ${this.insights.readability.fleschReadingEase}, ` +
+            `grade ${this.insights.readability.fleschKincaidGrade} (FK), ` +
+            `${this.insights.readability.gunningFog} (Fog), ${this.insights.readability.smogIndex} (SMOG)`);
+        console.log(`Avg sentence length: ${this.insights.readability.avgSentenceLength} words, ` +
+            `avg word length: ${this.insights.readability.avgWordLength} chars`);
+        console.log(`Duplicates: ${this.insights.duplicates.duplicateArticles} articles in ${this.insights.duplicates.groups} groups, ` +
+            `${this.insights.duplicates.boilerplateParagraphs} boilerplate paragraphs`);
+        console.log(`Changes since last run: ${this.insights.changeSummary.new} new, ${this.insights.changeSummary.changed} changed, ${this.insights.changeSummary.unchanged} unchanged`);
         console.log(`Recommendation: ${this.insights.recommendation}`);
         console.log('=====================================\n');
+        
+        if (this.insights.fetchStats?.attempted > 0) {
+            this.displayFetchSummary(this.insights.fetchStats);
+        }
+    }
+    
+    displayFetchSummary(fetchStats) {
+        console.log(`🌐 Fetch success: ${fetchStats.succeeded}/${fetchStats.attempted} URLs (${Math.round(fetchStats.successRate * 100)}%)`);
+        Object.entries(fetchStats.byDomain).forEach(([domain, stats]) => {
+            const reasons = Object.entries(stats.failureReasons)
+                .map(([reason, count]) => `${reason}×${count}`)
+                .join(', ');
+            console.log(`  ${domain}: ${stats.succeeded}/${stats.attempted}${reasons ? ` (failed: ${reasons})` : ''}`);
+        });
+        console.log();
     }
     
     exportForDataEngineering() {
-        // Export results for Exercise 2
+        // Export results for Exercise 2 (format: shared/schemas/data-science-output.v2.schema.json)
         const exportData = {
+            schemaVersion: HANDOFF_SCHEMA_VERSION,
             analysis: this.insights,
-            contentData: this.results.filter(r => r.qualityScore >= 6), // Only high quality
+            // Canonical documents above the quality-config.json threshold
+            contentData: this.results.filter(r => r.isCanonical && r.qualityScore >= this.scorer.minQualityScore),
+            duplicateGroups: this.duplicateGroups, // For review: which copies were dropped in favour of which canonical
+            boilerplateParagraphs: this.boilerplateParagraphs,
+            fetchFailures: this.fetchLog.filter(f => !f.ok), // Which sources failed and why
             exportedAt: new Date().toISOString(),
             nextStep: 'Use this data in exercise-2-data-engineering'
         };
         
-        fs.writeFileSync('../exercise-2-data-engineering/data-science-output.json', 
-            JSON.stringify(exportData, null, 2));
+        const outPath = path.resolve(this.output.path);
+        if (this.output.format !== 'json' && outPath === path.resolve(DEFAULT_OUTPUT_PATH)) {
+            throw new Error(`Refusing to write ${this.output.format} to ${outPath}: Exercise 2 reads that file as the JSON handoff`);
+        }
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        
+        // Fail here, with field-level errors, rather than in the embeddings pipeline
+        Handoff.assertValid(exportData, 'Export for Exercise 2');
+        
+        if (this.output.format === 'csv') {
+            // Flat, spreadsheet-friendly view of the exported articles
+            const df = DataAnalysisTools.createDataFrame(exportData.contentData).select(
+                'url', 'title', 'author', 'publishedAt', 'language', 'wordCount',
+                'qualityScore', 'topKeywords', 'topicId', 'topicLabel', 'changeStatus', 'content'
+            );
+            // Scraped text goes straight into a spreadsheet, so guard against formula injection
+            fs.writeFileSync(outPath, df.toCSV({ formulaGuard: true }));
+        } else {
+            Handoff.write(outPath, exportData);
+        }
+        
+        this.exportSummary = {
+            path: outPath,
+            format: this.output.format,
+            exported: exportData.contentData.length,
+            reports: this.report.enabled ? this.writeReports(outPath) : []
+        };
         
-        console.log('📊 Results exported to exercise-2-data-engineering/data-science-output.json');
+        const shownPath = path.relative(process.cwd(), outPath);
+        console.log(`📊 Results exported to ${shownPath && !shownPath.startsWith('..') ? shownPath : outPath}`);
         console.log(`✅ ${exportData.contentData.length} high-quality articles ready for embedding pipeline`);
+        return exportData;
     }
     
-    async fetchAndAnalyze() {
+    writeReports(outPath) {
+        // data-science-output.json -> data-science-output.report.html / .report.md
+        const basePath = path.join(path.dirname(outPath), `${path.basename(outPath, path.extname(outPath))}.report`);
+        try {
+            const files = new ReportGenerator({
+                insights: this.insights,
+                results: this.results,
+                fetchLog: this.fetchLog,
+                minQualityScore: this.scorer.minQualityScore,
+                duplicateGroups: this.duplicateGroups,
+                boilerplateParagraphs: this.boilerplateParagraphs
+            }).write(basePath, this.report.formats);
+            files.forEach(file => console.log(`📝 Report written to ${file}`));
+            return files;
+        } catch (error) {
+            // The JSON export is what Exercise 2 needs; a failed report shouldn't block it
+            console.error(`⚠️  Report generation failed: ${error.message}`);
+            return [];
+        }
+    }
+    
+    async fetchAndAnalyze(urls = [], { concurrency = 1, delayMs = 1000 } = {}) {
         console.log('🚀 Starting web content analysis...\n');
         
-        for (const url of SAMPLE_URLS) {
-            const content = await this.fetchWebContent(url);
-            if (content) {
-                const analysis = this.analyzeTextContent(content);
-                this.results.push(analysis);
+        const queue = [...new Set(urls)].map((url, index) => ({ url, index }));
+        const analyses = [];
+        
+        const worker = async () => {
+            while (queue.length > 0) {
+                const { url, index } = queue.shift();
+                const isLocal = url.startsWith('file:');
+                const content = isLocal ? this.loadLocalDocument(url) : await this.fetchWebContent(url);
+                if (content) {
+                    analyses[index] = this.analyzeTextContent(content);
+                }
                 
                 // Add small delay to be respectful to servers
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                if (!isLocal && queue.length > 0) {
+                    await new Promise(resolve => setTimeout(resolve, delayMs));
+                }
             }
+        };
+        
+        const workers = Math.max(1, Math.min(concurrency, queue.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+        
+        // Keep input order regardless of which worker finished first
+        this.results.push(...analyses.filter(Boolean));
+        
+        return this.generateInsights();
+    }
+    
+    async analyzeLocalDocuments(paths = [], options = {}) {
+        return this.fetchAndAnalyze(WebContentAnalyzer.localDocumentUrls(paths, options), { delayMs: 0 });
+    }
+    
+    static localDocumentUrls(paths = [], options = {}) {
+        // Directories (searched recursively) and individual files of .md, .txt, .html or .pdf
+        const urls = paths.flatMap(p => {
+            if (!fs.existsSync(p)) throw new Error(`No such file or directory: ${p}`);
+            return fs.statSync(p).isDirectory() ? DocumentLoader.listFiles(p, options) : [path.resolve(p)];
+        }).map(file => pathToFileURL(file).href);
+        console.log(`📁 Found ${urls.length} local documents\n`);
+        return urls;
+    }
+    
+    async crawlAndAnalyze(options = {}) {
+        // Crawl from seed URLs and/or sitemaps instead of a fixed URL list.
+        // Options: seeds, sitemaps, maxDepth, maxPages, concurrency, perHostConcurrency,
+        // defaultDelayMs, respectRobots, sameDomain, includePatterns, excludePatterns
+        console.log('🕷️  Starting polite crawl...\n');
+        
+        const crawler = new PoliteCrawler({
+            ...options,
+            userAgent: USER_AGENT,
+            fetchPage: (url) => this.fetchWebContent(url)
+        });
+        
+        const { pages, stats } = await crawler.crawl({
+            seeds: options.seeds || [],
+            sitemaps: options.sitemaps || []
+        });
+        this.crawlStats = stats;
+        
+        for (const page of pages) {
+            this.results.push(this.analyzeTextContent(page));
         }
         
-        this.generateInsights();
+        return this.generateInsights();
+    }
+}
+
+// Reads URLs from .txt (one per line, # comments), .csv (a "url" column) or .jsonl ({"url": ...})
+async function readUrlFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    
+    if (extension === '.csv' || extension === '.jsonl') {
+        const df = extension === '.csv'
+            ? await DataAnalysisTools.fromCSV(filePath, { inferTypes: false })
+            : await DataAnalysisTools.fromJSONL(filePath);
+        const column = df.columns.find(c => c.toLowerCase() === 'url') || df.columns[0];
+        if (!column) return [];
+        return df.data.map(row => String(row[column] || '').trim()).filter(Boolean)
+            .map(entry => toSourceUrl(entry, path.dirname(path.resolve(filePath))));
+    }
+    
+    return fs.readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0 && !line.startsWith('#'))
+        .map(entry => toSourceUrl(entry, path.dirname(path.resolve(filePath))));
+}
+
+// URL lists may mix web URLs, file:// URIs and plain paths (relative to the list file)
+function toSourceUrl(entry, baseDir = process.cwd()) {
+    if (/^(https?|file):/i.test(entry)) return entry;
+    return pathToFileURL(path.resolve(baseDir, entry)).href;
+}
+
+const USAGE = `Usage: node starter-code.js [analyze] [options]
+
+Input (defaults to --urls urls.txt):
+  --urls <file>          URL list: .txt (one per line), .csv ("url" column) or .jsonl
+                         (entries may also be file:// URIs or local paths)
+  --url <url>            Analyze a single URL (repeatable)
+  --docs <path>          Analyze local .md/.txt/.html/.pdf files or directories (repeatable)
+  --sitemap <url>        Crawl from a sitemap.xml (repeatable)
+  --crawl-depth <n>      Follow same-domain links n hops from --url/--sitemap (enables crawl mode,
+                         which can't be combined with --urls or --docs)
+  --max-pages <n>        Stop crawling after n pages (default 50)
+
+Output:
+  --out <path>           Output file (default: ../exercise-2-data-engineering/data-science-output.json,
+                         or data-science-output.csv in this directory with --format csv)
+  --format <json|csv>    Output format (default json; csv is for people, Exercise 2 reads json)
+  --no-report            Skip the HTML/Markdown report written next to the output
+
+Analysis:
+  --min-quality <n>      Quality threshold for export (default from quality-config.json)
+  --min-articles <n>     Exit with code 2 unless at least n articles are exported (default 1)
+  --quality-config <f>   Alternative quality-config.json
+  --topics <k>           Number of topics to discover (default: about sqrt(articles / 2))
+  --concurrency <n>      Parallel fetches (default 1)
+  --no-cache             Ignore and don't update the on-disk fetch cache
+  -h, --help             Show this help
+
+Exit codes: 0 = enough quality content, 1 = error, 2 = too few articles passed the threshold`;
+
+function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            urls: { type: 'string' },
+            url: { type: 'string', multiple: true },
+            docs: { type: 'string', multiple: true },
+            sitemap: { type: 'string', multiple: true },
+            'crawl-depth': { type: 'string' },
+            'max-pages': { type: 'string' },
+            out: { type: 'string' },
+            format: { type: 'string', default: 'json' },
+            'min-quality': { type: 'string' },
+            'min-articles': { type: 'string', default: '1' },
+            'quality-config': { type: 'string' },
+            topics: { type: 'string' },
+            concurrency: { type: 'string', default: '1' },
+            'no-cache': { type: 'boolean', default: false },
+            'no-report': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    
+    const command = positionals[0] || 'analyze';
+    if (command !== 'analyze' || positionals.length > 1) {
+        throw new Error(`Unknown command: ${positionals.join(' ')}`);
+    }
+    
+    const number = (name, { min = 0, integer = true } = {}) => {
+        if (values[name] === undefined) return undefined;
+        const value = Number(values[name]);
+        if (isNaN(value) || value < min || (integer && !Number.isInteger(value))) {
+            throw new Error(`--${name} must be ${integer ? 'an integer' : 'a number'} >= ${min}`);
+        }
+        return value;
+    };
+    
+    if (!['json', 'csv'].includes(values.format)) {
+        throw new Error(`--format must be json or csv (got "${values.format}")`);
+    }
+    // Crawl mode builds its corpus from --url seeds and --sitemap only
+    const crawlMode = values['crawl-depth'] !== undefined || values.sitemap !== undefined;
+    if (crawlMode && (values.docs || values.urls)) {
+        throw new Error(`--docs and --urls can't be combined with --crawl-depth or --sitemap`);
+    }
+    if (values.format !== 'json' && values.out && path.resolve(values.out) === path.resolve(DEFAULT_OUTPUT_PATH)) {
+        throw new Error(`--format ${values.format} can't write to ${values.out}: Exercise 2 reads that file as the JSON handoff`);
     }
+    
+    return {
+        help: values.help,
+        crawlMode,
+        urlsFile: values.urls,
+        urls: (values.url || []).map(url => toSourceUrl(url)),
+        docs: values.docs || [],
+        sitemaps: values.sitemap || [],
+        crawlDepth: number('crawl-depth'),
+        maxPages: number('max-pages', { min: 1 }),
+        out: values.out,
+        format: values.format,
+        minQuality: number('min-quality', { integer: false }),
+        minArticles: number('min-articles'),
+        qualityConfig: values['quality-config'],
+        topics: number('topics', { min: 1 }),
+        concurrency: number('concurrency', { min: 1 }),
+        cache: !values['no-cache'],
+        report: !values['no-report']
+    };
 }
 
 // Main execution
-async function main() {
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseCliArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        console.error(USAGE);
+        return EXIT_CODES.ERROR;
+    }
+    
+    if (args.help) {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+    
     console.log('='.repeat(50));
     console.log('   EXERCISE 1: DATA SCIENCE - WEB ANALYSIS');
     console.log('='.repeat(50));
     console.log('Role: Data Scientist');
     console.log('Task: Analyze web content for embedding pipeline\n');
     
-    const analyzer = new WebContentAnalyzer();
+    const analyzer = new WebContentAnalyzer({
+        cache: { enabled: args.cache },
+        qualityConfig: args.qualityConfig,
+        minQualityScore: args.minQuality,
+        topics: { k: args.topics },
+        report: { enabled: args.report },
+        output: {
+            path: args.out,
+            format: args.format
+        }
+    });
     
-    // TODO: Uncomment when you've completed the TODO items above
-    // await analyzer.fetchAndAnalyze();
+    if (args.crawlMode) {
+        await analyzer.crawlAndAnalyze({
+            seeds: args.urls,
+            sitemaps: args.sitemaps,
+            maxDepth: args.crawlDepth ?? 0,
+            maxPages: args.maxPages,
+            concurrency: args.concurrency
+        });
+    } else {
+        const urls = [...args.urls];
+        if (args.docs.length > 0) {
+            urls.push(...WebContentAnalyzer.localDocumentUrls(args.docs));
+        }
+        if (args.urlsFile || (urls.length === 0 && args.docs.length === 0)) {
+            const file = args.urlsFile || DEFAULT_URLS_FILE;
+            const listed = await readUrlFile(file);
+            urls.push(...listed);
+            console.log(`📄 Loaded ${listed.length} URLs from ${path.relative(process.cwd(), file) || file}\n`);
+        }
+        await analyzer.fetchAndAnalyze(urls, { concurrency: args.concurrency });
+    }
     
-    // For now, show the scaffolding structure
-    console.log('📋 TODO LIST:');
-    console.log('1. ✅ Review this starter code structure');
-    console.log('2. ❌ Complete fetchWebContent() function');
-    console.log('3. ❌ Complete analyzeTextContent() function'); 
-    console.log('4. ❌ Complete generateInsights() function');
-    console.log('5. ❌ Test with sample URLs');
-    console.log('\n💡 Tip: Start by uncommenting the analyzer.fetchAndAnalyze() call above');
-    console.log('💡 Then complete each TODO section in order');
+    const exported = analyzer.exportSummary ? analyzer.exportSummary.exported : 0;
+    if (exported < args.minArticles) {
+        console.error(`❌ Only ${exported} article(s) passed the quality threshold (need ${args.minArticles})`);
+        return EXIT_CODES.INSUFFICIENT_CONTENT;
+    }
+    return EXIT_CODES.OK;
 }
 
 if (require.main === module) {
-    main().catch(console.error);
+    main()
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error('❌ Analysis failed:', error);
+            process.exitCode = EXIT_CODES.ERROR;
+        });
 }
 
-module.exports = { WebContentAnalyzer, DataAnalysisTools };
+module.exports = { WebContentAnalyzer, DataAnalysisTools, readUrlFile, main, EXIT_CODES };
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WebContentAnalyzer, DataAnalysisTools, readUrlFile, main, EXIT_CODES } = require('./starter-code');
+
+const HANDOFF_PATH = path.join(__dirname, '..', 'exercise-2-data-engineering', 'data-science-output.json');
+
+const quiet = (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    return t.mock.method(console, 'error', () => {});
+};
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'starter-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+const handoffSnapshot = () => (fs.existsSync(HANDOFF_PATH) ? fs.readFileSync(HANDOFF_PATH, 'utf8') : null);
+
+test('--format csv never targets the Exercise 2 handoff', async (t) => {
+    const error = quiet(t);
+    const before = handoffSnapshot();
+
+    assert.equal(await main(['--format', 'csv', '--out', HANDOFF_PATH]), EXIT_CODES.ERROR);
+    assert.match(String(error.mock.calls[0].arguments[0]), /Exercise 2 reads that file as the JSON handoff/);
+
+    const analyzer = new WebContentAnalyzer({ output: { format: 'csv' } });
+    assert.equal(analyzer.output.path, path.join(__dirname, 'data-science-output.csv'));
+
+    const forced = new WebContentAnalyzer({ output: { format: 'csv', path: HANDOFF_PATH }, report: { enabled: false } });
+    assert.throws(() => forced.exportForDataEngineering(), /Refusing to write csv/);
+    assert.equal(handoffSnapshot(), before);
+});
+
+test('crawl mode rejects --docs and --urls', async (t) => {
+    const error = quiet(t);
+    assert.equal(await main(['--sitemap', 'https://example.com/sitemap.xml', '--docs', '.']), EXIT_CODES.ERROR);
+    assert.match(String(error.mock.calls[0].arguments[0]), /can't be combined with --crawl-depth or --sitemap/);
+    assert.equal(await main(['--crawl-depth', '1', '--urls', 'urls.txt']), EXIT_CODES.ERROR);
+    assert.equal(await main(['--format', 'xml']), EXIT_CODES.ERROR);
+});
+
+test('analyzing local docs to CSV writes the CSV and leaves the handoff alone', async (t) => {
+    quiet(t);
+    const dir = tempDir(t);
+    const docs = path.join(dir, 'docs');
+    fs.mkdirSync(docs);
+    const paragraph = 'Embedding models map text to vectors so that related passages land close together. ' +
+        'Retrieval systems use those vectors to find relevant context for a language model. ';
+    fs.writeFileSync(path.join(docs, 'embeddings.md'), `---\ntitle: Embeddings\n---\n# Embeddings\n\n${paragraph.repeat(20)}`);
+    fs.writeFileSync(path.join(docs, 'empty.txt'), '');
+    const out = path.join(dir, 'out.csv');
+    const before = handoffSnapshot();
+
+    const code = await main(['--docs', docs, '--format', 'csv', '--out', out, '--min-quality', '0', '--no-cache', '--no-report']);
+
+    assert.equal(code, EXIT_CODES.OK);
+    const exported = DataAnalysisTools.parseCSV(fs.readFileSync(out, 'utf8'));
+    assert.deepEqual(exported.columns.slice(0, 7), ['url', 'title', 'author', 'publishedAt', 'language', 'wordCount', 'qualityScore']);
+    assert.equal(exported.length, 1, 'the empty document is skipped');
+    assert.equal(exported.data[0].title, 'Embeddings');
+    assert.equal(handoffSnapshot(), before);
+
+    assert.equal(await main(['--docs', docs, '--out', path.join(dir, 'out.json'), '--min-quality', '11', '--no-cache', '--no-report']),
+        EXIT_CODES.INSUFFICIENT_CONTENT);
+});
+
+test('readUrlFile reads txt, csv and jsonl lists and resolves local paths', async (t) => {
+    const dir = tempDir(t);
+    const txt = path.join(dir, 'urls.txt');
+    fs.writeFileSync(txt, '# comment\nhttps://example.com/a\n\nnotes/b.md\n');
+    const csv = path.join(dir, 'urls.csv');
+    fs.writeFileSync(csv, 'label,URL\nfirst,https://example.com/a\nsecond,\n');
+    const jsonl = path.join(dir, 'urls.jsonl');
+    fs.writeFileSync(jsonl, '{"url":"https://example.com/c"}\n');
+
+    assert.deepEqual(await readUrlFile(txt), ['https://example.com/a', `file://${path.join(dir, 'notes', 'b.md')}`]);
+    assert.deepEqual(await readUrlFile(csv), ['https://example.com/a']);
+    assert.deepEqual(await readUrlFile(jsonl), ['https://example.com/c']);
+});
+
+test('missing --docs paths are reported up front', (t) => {
+    quiet(t);
+    assert.throws(() => WebContentAnalyzer.localDocumentUrls([path.join(os.tmpdir(), 'no-such-docs-dir')]), /No such file or directory/);
+});
@@ -0,0 +1,90 @@
+// Per-language stopword lists, keyed by ISO 639-1 code. English is tuned for
+// keyword extraction (includes "use", "new", "way"...); the others are the common
+// function words, which is also what LanguageDetector scores against.
+const STOPWORDS = {
+    en: [
+        'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'aren\'t',
+        'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can',
+        'can\'t', 'cannot', 'could', 'couldn\'t', 'did', 'didn\'t', 'do', 'does', 'doesn\'t', 'doing', 'don\'t', 'down',
+        'during', 'each', 'eg', 'etc', 'even', 'ever', 'every', 'few', 'for', 'from', 'further', 'get', 'gets', 'got',
+        'had', 'hadn\'t', 'has', 'hasn\'t', 'have', 'haven\'t', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him',
+        'himself', 'his', 'how', 'however', 'i', 'ie', 'if', 'in', 'into', 'is', 'isn\'t', 'it', 'it\'s', 'its', 'itself',
+        'just', 'let', 'let\'s', 'like', 'made', 'make', 'makes', 'many', 'may', 'me', 'might', 'more', 'most', 'much',
+        'must', 'my', 'myself', 'new', 'no', 'nor', 'not', 'now', 'of', 'off', 'often', 'on', 'once', 'one', 'only', 'or',
+        'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'per', 'rather', 'really', 'same', 'see', 'she',
+        'should', 'shouldn\'t', 'since', 'so', 'some', 'still', 'such', 'than', 'that', 'that\'s', 'the', 'their',
+        'theirs', 'them', 'themselves', 'then', 'there', 'there\'s', 'these', 'they', 'this', 'those', 'though',
+        'through', 'thus', 'to', 'too', 'two', 'under', 'until', 'up', 'upon', 'us', 'use', 'used', 'using', 'very',
+        'via', 'was', 'wasn\'t', 'way', 'we', 'well', 'were', 'weren\'t', 'what', 'when', 'where', 'whether', 'which',
+        'while', 'who', 'whom', 'why', 'will', 'with', 'within', 'without', 'won\'t', 'would', 'wouldn\'t', 'yet',
+        'you', 'your', 'yours', 'yourself', 'yourselves'
+    ],
+    es: [
+        'a', 'al', 'algo', 'algunas', 'algunos', 'ante', 'antes', 'como', 'con', 'contra', 'cual', 'cuando', 'de', 'del',
+        'desde', 'donde', 'durante', 'e', 'el', 'ella', 'ellas', 'ellos', 'en', 'entre', 'era', 'es', 'esa', 'esas', 'ese',
+        'eso', 'esos', 'esta', 'estaba', 'estado', 'estan', 'están', 'estas', 'este', 'esto', 'estos', 'fue', 'ha', 'han',
+        'hasta', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'más', 'mas', 'me', 'mi', 'mucho', 'muy', 'nada', 'ni', 'no',
+        'nos', 'nosotros', 'o', 'otra', 'otro', 'para', 'pero', 'poco', 'por', 'porque', 'puede', 'que', 'qué', 'quien',
+        'se', 'ser', 'si', 'sí', 'sin', 'sobre', 'son', 'su', 'sus', 'también', 'tambien', 'te', 'tiene', 'todo', 'todos',
+        'tu', 'un', 'una', 'uno', 'unos', 'y', 'ya', 'yo'
+    ],
+    fr: [
+        'à', 'a', 'afin', 'ai', 'au', 'aux', 'avec', 'avoir', 'bien', 'c\'est', 'ce', 'cela', 'ces', 'cet', 'cette', 'comme',
+        'dans', 'de', 'des', 'donc', 'du', 'elle', 'elles', 'en', 'encore', 'est', 'et', 'été', 'être', 'eu', 'il', 'ils',
+        'je', 'l\'', 'la', 'le', 'les', 'leur', 'leurs', 'lui', 'mais', 'me', 'même', 'mes', 'moi', 'mon', 'ne', 'nos',
+        'notre', 'nous', 'on', 'ont', 'ou', 'où', 'par', 'pas', 'peu', 'plus', 'pour', 'qu\'il', 'que', 'qui', 'sa', 'sans',
+        'se', 'ses', 'si', 'son', 'sont', 'sous', 'sur', 'ta', 'te', 'tes', 'toi', 'ton', 'tous', 'tout', 'toute', 'très',
+        'tu', 'un', 'une', 'vos', 'votre', 'vous', 'y'
+    ],
+    de: [
+        'aber', 'alle', 'als', 'also', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'bist', 'da', 'damit', 'dann',
+        'das', 'dass', 'dem', 'den', 'denn', 'der', 'des', 'die', 'dies', 'diese', 'diesem', 'diesen', 'dieser', 'doch',
+        'du', 'durch', 'ein', 'eine', 'einem', 'einen', 'einer', 'eines', 'er', 'es', 'für', 'hat', 'hatte', 'ich', 'ihr',
+        'ihre', 'im', 'in', 'ist', 'ja', 'kann', 'kein', 'keine', 'man', 'mehr', 'mit', 'muss', 'nach', 'nicht', 'noch',
+        'nur', 'ob', 'oder', 'ohne', 'sein', 'seine', 'sich', 'sie', 'sind', 'so', 'über', 'um', 'und', 'uns', 'unter',
+        'vom', 'von', 'vor', 'war', 'waren', 'was', 'wenn', 'werden', 'wie', 'wir', 'wird', 'wurde', 'zu', 'zum', 'zur'
+    ],
+    it: [
+        'a', 'ad', 'al', 'alla', 'alle', 'anche', 'che', 'chi', 'ci', 'come', 'con', 'cosa', 'da', 'dal', 'dalla', 'degli',
+        'dei', 'del', 'della', 'delle', 'di', 'dove', 'e', 'è', 'ed', 'era', 'gli', 'ha', 'hanno', 'il', 'in', 'io', 'la',
+        'le', 'lei', 'lo', 'loro', 'lui', 'ma', 'mi', 'molto', 'ne', 'nei', 'nel', 'nella', 'noi', 'non', 'o', 'per',
+        'perché', 'più', 'può', 'quando', 'quella', 'quello', 'questa', 'questo', 'se', 'si', 'sono', 'su', 'sua', 'sue',
+        'sul', 'suo', 'tra', 'tu', 'tutti', 'tutto', 'un', 'una', 'uno', 'voi'
+    ],
+    pt: [
+        'a', 'ao', 'aos', 'as', 'até', 'com', 'como', 'da', 'das', 'de', 'dele', 'do', 'dos', 'e', 'é', 'ela', 'elas', 'ele',
+        'eles', 'em', 'entre', 'era', 'essa', 'esse', 'esta', 'está', 'este', 'eu', 'foi', 'há', 'isso', 'isto', 'já', 'lhe',
+        'mais', 'mas', 'me', 'muito', 'na', 'nas', 'não', 'nem', 'no', 'nos', 'nós', 'num', 'numa', 'o', 'os', 'ou', 'para',
+        'pela', 'pelo', 'por', 'porque', 'quando', 'que', 'quem', 'se', 'sem', 'ser', 'seu', 'seus', 'só', 'sua', 'suas',
+        'também', 'te', 'tem', 'um', 'uma', 'você'
+    ],
+    nl: [
+        'aan', 'al', 'als', 'bij', 'dan', 'dat', 'de', 'die', 'dit', 'door', 'een', 'en', 'er', 'geen', 'had', 'heb',
+        'hebben', 'heeft', 'het', 'hij', 'hoe', 'hun', 'ik', 'in', 'is', 'je', 'kan', 'maar', 'me', 'met', 'mijn', 'na',
+        'naar', 'niet', 'nog', 'nu', 'of', 'om', 'omdat', 'ons', 'onze', 'ook', 'op', 'over', 'te', 'tot', 'uit', 'van',
+        'veel', 'voor', 'was', 'wat', 'we', 'wel', 'werd', 'wij', 'worden', 'wordt', 'zal', 'ze', 'zich', 'zij', 'zijn',
+        'zo', 'zou'
+    ],
+    ru: [
+        'а', 'без', 'более', 'бы', 'был', 'была', 'были', 'было', 'быть', 'в', 'вам', 'вас', 'весь', 'во', 'вот', 'все',
+        'всё', 'вы', 'где', 'да', 'даже', 'для', 'до', 'его', 'ее', 'её', 'если', 'есть', 'еще', 'ещё', 'же', 'за', 'и',
+        'из', 'или', 'им', 'их', 'к', 'как', 'когда', 'кто', 'ли', 'либо', 'мне', 'может', 'мы', 'на', 'над', 'не', 'него',
+        'нет', 'ни', 'но', 'о', 'об', 'он', 'она', 'они', 'оно', 'от', 'по', 'под', 'при', 'с', 'со', 'так', 'также',
+        'такой', 'там', 'то', 'того', 'тоже', 'только', 'том', 'ты', 'у', 'уже', 'чем', 'что', 'чтобы', 'это', 'этот', 'я'
+    ],
+    // Chinese and Japanese lists hold segmenter output (function words and particles)
+    zh: [
+        '的', '了', '是', '在', '和', '有', '也', '就', '都', '而', '及', '与', '或', '着', '把', '被', '从', '对', '为',
+        '以', '将', '等', '很', '并', '但', '不', '中', '上', '下', '一个', '这', '那', '这个', '那个', '这些', '我们',
+        '你们', '他们', '它们', '我', '你', '他', '她', '它', '可以', '然后', '通过', '进行', '没有', '因为', '所以', '如果'
+    ],
+    ja: [
+        'の', 'は', 'が', 'を', 'に', 'で', 'と', 'も', 'へ', 'や', 'た', 'て', 'だ', 'です', 'ます', 'する', 'し', 'いる',
+        'ある', 'あり', 'こと', 'もの', 'これ', 'それ', 'あれ', 'この', 'その', 'から', 'まで', 'より', 'など', 'ない',
+        'なる', 'れる', 'られる', 'ため', 'よう', 'でき', 'できる', 'ました', 'でしょう'
+    ]
+};
+
+const STOPWORD_SETS = new Map(Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)]));
+
+module.exports = { STOPWORDS, STOPWORD_SETS };
@@ -0,0 +1,362 @@
+// Text analytics helpers: tokenization, stopwords, stemming, n-grams, TF-IDF
+// and readability (roughly what you'd reach for in nltk / scikit-learn / textstat)
+const { mean, median, standardDeviation, quantile, min, max } = require('simple-statistics');
+
+const { STOPWORD_SETS } = require('./stopwords');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Letters (incl. combining marks) and digits, keeping internal apostrophes and hyphens
+const WORD = /[\p{L}\p{M}\p{N}]+(?:['-][\p{L}\p{M}\p{N}]+)*/gu;
+// Scripts written without spaces between words; these runs go through Intl.Segmenter
+const NO_SPACE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+// Languages where articles/pronouns elide onto the next word (l'intelligence, dell'analisi)
+const ELISION = { fr: /^(?:[cdjlmnst]|qu)'/, it: /^(?:[dlm]|all|dall|dell|nell|sull|quest|un)'/ };
+const SEGMENTERS = new Map();
+const SEGMENTED_LANGUAGES = new Set(['zh', 'ja', 'th', 'lo', 'km', 'my']);
+
+// Porter (1980) stemmer, following the reference JavaScript implementation
+const STEP2_SUFFIXES = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+    entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+    iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEP3_SUFFIXES = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANT_SEQ = `${CONSONANT}[^aeiouy]*`;
+const VOWEL_SEQ = `${VOWEL}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}(${VOWEL_SEQ})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL}`);
+const CVC_ENDING = new RegExp(`^${CONSONANT_SEQ}${VOWEL}[^aeiouwxy]$`);
+
+class TextAnalysis {
+    static get STOPWORDS() {
+        return STOPWORD_SETS.get(DEFAULT_LANGUAGE);
+    }
+
+    // Languages without their own list fall back to English, which still catches
+    // English phrases mixed into e.g. Chinese or Russian technical writing
+    static stopwordsFor(language = DEFAULT_LANGUAGE) {
+        return STOPWORD_SETS.get(language) || STOPWORD_SETS.get(DEFAULT_LANGUAGE);
+    }
+
+    // Lowercased, NFC-normalized word tokens in any script; keeps internal apostrophes
+    // and hyphens ("don't", "real-time", "café"). Chinese/Japanese/Thai runs are split
+    // into words with Intl.Segmenter.
+    static tokenize(text, language = DEFAULT_LANGUAGE) {
+        const normalized = text.normalize('NFC').toLowerCase().replace(/[’]/g, '\'');
+        const tokens = [];
+        for (const match of normalized.matchAll(WORD)) {
+            let token = match[0];
+            if (NO_SPACE_SCRIPT.test(token)) {
+                tokens.push(...TextAnalysis.segmentWords(token, language));
+                continue;
+            }
+            if (ELISION[language]) token = token.replace(ELISION[language], '');
+            if (token) tokens.push(token);
+        }
+        return tokens;
+    }
+
+    // Whitespace word counts are meaningless for these; count segmented tokens instead
+    static isSegmentedLanguage(language) {
+        return SEGMENTED_LANGUAGES.has(language);
+    }
+
+    static segmentWords(text, language) {
+        const locale = Intl.Segmenter.supportedLocalesOf([language]).length > 0 ? language : 'und';
+        if (!SEGMENTERS.has(locale)) {
+            SEGMENTERS.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+        }
+        return [...SEGMENTERS.get(locale).segment(text)]
+            .filter(segment => segment.isWordLike)
+            .map(segment => segment.segment);
+    }
+
+    static isStopword(token, language = DEFAULT_LANGUAGE) {
+        return TextAnalysis.stopwordsFor(language).has(token);
+    }
+
+    // Tokens worth counting as content terms. CJK words are often one or two
+    // characters, so the minimum length only applies to alphabetic scripts.
+    static isContentToken(token, language = DEFAULT_LANGUAGE) {
+        const minLength = NO_SPACE_SCRIPT.test(token) || /\p{Script=Hangul}/u.test(token) ? 2 : 3;
+        return token.length >= minLength && !TextAnalysis.isStopword(token, language) && !/^\p{N}+$/u.test(token);
+    }
+
+    static splitSentences(text) {
+        return text
+            // Don't split on decimals or common abbreviations
+            .replace(/\b(e\.g|i\.e|etc|vs|Mr|Mrs|Dr|Inc|Ltd)\./gi, '$1<DOT>')
+            .replace(/(\d)\.(\d)/g, '$1<DOT>$2')
+            .split(/(?<=[.!?])\s+|(?<=[。！？।])|\n{2,}/)
+            .map(s => s.replace(/<DOT>/g, '.').trim())
+            .filter(s => s.length > 0);
+    }
+
+    // Porter is English-only; other languages keep their surface form
+    static stem(word, language = DEFAULT_LANGUAGE) {
+        if (language !== 'en' || word.length < 3 || /[^a-z]/.test(word)) return word;
+
+        let w = word;
+        const startsWithY = w[0] === 'y';
+        if (startsWithY) w = 'Y' + w.slice(1);
+
+        // Step 1a: plurals
+        if (/^(.+?)(ss|i)es$/.test(w)) w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+        else if (/^(.+?)([^s])s$/.test(w)) w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+
+        // Step 1b: -eed, -ed, -ing
+        let match;
+        if ((match = /^(.+?)eed$/.exec(w))) {
+            if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+        } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+            w = match[1];
+            if (/(at|bl|iz)$/.test(w)) w += 'e';
+            else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+            else if (CVC_ENDING.test(w)) w += 'e';
+        }
+
+        // Step 1c: y -> i
+        if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) w = match[1] + 'i';
+
+        // Step 2: double suffixes
+        match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+        if (match && MEASURE_GT_0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+
+        // Step 3: -ic-, -full, -ness
+        match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+        if (match && MEASURE_GT_0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+
+        // Step 4: -ant, -ence, ...
+        if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+            if (MEASURE_GT_1.test(match[1])) w = match[1];
+        } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+            if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+        }
+
+        // Step 5: tidy -e and -ll
+        if ((match = /^(.+?)e$/.exec(w))) {
+            const stem = match[1];
+            if (MEASURE_GT_1.test(stem) || (MEASURE_EQ_1.test(stem) && !CVC_ENDING.test(stem))) w = stem;
+        }
+        if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+        if (startsWithY) w = 'y' + w.slice(1);
+        return w;
+    }
+
+    // Heuristic syllable count: vowel groups, ignoring a silent trailing -e/-es/-ed
+    static countSyllables(word) {
+        let w = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (w.length === 0) return 0;
+        if (w.length <= 3) return 1;
+
+        w = w.replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, match => match[0]);
+        w = w.replace(/^y/, '');
+        const groups = w.match(/[aeiouy]+/g);
+        return Math.max(1, groups ? groups.length : 0);
+    }
+
+    // Gunning Fog "complex" word: 3+ syllables, not hyphenated, and not only long
+    // because of an -es/-ed/-ing inflection
+    static isComplexWord(word) {
+        if (word.includes('-')) return false;
+        const base = word.replace(/(es|ed|ing)$/, '');
+        return TextAnalysis.countSyllables(base) >= 3;
+    }
+
+    // Summary statistics plus a fixed-width histogram (like pandas describe() + value_counts(bins=...))
+    static distribution(values, bucketSize, maxBucket) {
+        if (values.length === 0) {
+            return { count: 0, mean: 0, median: 0, std: 0, min: 0, max: 0, p90: 0, histogram: {} };
+        }
+
+        const histogram = {};
+        for (let start = 0; start < maxBucket; start += bucketSize) {
+            histogram[`${start}-${start + bucketSize - 1}`] = 0;
+        }
+        histogram[`${maxBucket}+`] = 0;
+
+        values.forEach(value => {
+            const key = value >= maxBucket
+                ? `${maxBucket}+`
+                : `${Math.floor(value / bucketSize) * bucketSize}-${Math.floor(value / bucketSize) * bucketSize + bucketSize - 1}`;
+            histogram[key]++;
+        });
+
+        const round = (n) => Number(n.toFixed(1));
+        return {
+            count: values.length,
+            mean: round(mean(values)),
+            median: round(median(values)),
+            std: round(values.length > 1 ? standardDeviation(values) : 0),
+            // Not Math.min(...values): spreading a large corpus overflows the call stack
+            min: min(values),
+            max: max(values),
+            p90: round(quantile(values, 0.9)),
+            histogram
+        };
+    }
+
+    // Standard readability formulas over sentence/word/syllable counts. The formulas
+    // are calibrated on English, so other languages only get the length distributions.
+    static readability(text, { language = DEFAULT_LANGUAGE } = {}) {
+        const sentences = TextAnalysis.splitSentences(text)
+            .map(sentence => TextAnalysis.tokenize(sentence, language))
+            .filter(words => words.length > 0);
+        const words = sentences.flat();
+        const distributions = {
+            sentenceLength: TextAnalysis.distribution(sentences.map(s => s.length), 10, 50),
+            wordLength: TextAnalysis.distribution(words.map(w => w.length), 2, 14)
+        };
+
+        if (language !== 'en') {
+            return {
+                language,
+                sentences: sentences.length,
+                words: words.length,
+                syllables: null,
+                complexWords: null,
+                fleschReadingEase: null,
+                fleschKincaidGrade: null,
+                gunningFog: null,
+                smogIndex: null,
+                ...distributions
+            };
+        }
+
+        const sentenceCount = Math.max(1, sentences.length);
+        const wordCount = Math.max(1, words.length);
+        const syllables = words.reduce((sum, w) => sum + TextAnalysis.countSyllables(w), 0);
+        const complexWords = words.filter(w => TextAnalysis.isComplexWord(w)).length;
+        const polysyllables = words.filter(w => TextAnalysis.countSyllables(w) >= 3).length;
+
+        const wordsPerSentence = wordCount / sentenceCount;
+        const syllablesPerWord = syllables / wordCount;
+        const round = (n) => Number(n.toFixed(1));
+
+        return {
+            language,
+            sentences: sentences.length,
+            words: words.length,
+            syllables,
+            complexWords,
+            // 0-100, higher is easier; 60-70 is plain English
+            fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+            // US school grade level
+            fleschKincaidGrade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+            gunningFog: round(0.4 * (wordsPerSentence + 100 * (complexWords / wordCount))),
+            // SMOG is calibrated on 30-sentence samples; scale polysyllables to that
+            smogIndex: round(1.043 * Math.sqrt(polysyllables * (30 / sentenceCount)) + 3.1291),
+            ...distributions
+        };
+    }
+
+    // Term counts for one document: stemmed unigrams plus bigram/trigram phrases.
+    // Phrases never span a stopword or sentence boundary.
+    static termCounts(text, { maxNgram = 3, language = DEFAULT_LANGUAGE } = {}) {
+        const counts = new Map();
+        const surfaceForms = new Map(); // term -> { surface -> count }
+        let totalTokens = 0;
+        let contentTokens = 0;
+
+        const add = (term, surface) => {
+            counts.set(term, (counts.get(term) || 0) + 1);
+            if (!surfaceForms.has(term)) surfaceForms.set(term, new Map());
+            const forms = surfaceForms.get(term);
+            forms.set(surface, (forms.get(surface) || 0) + 1);
+        };
+
+        for (const sentence of TextAnalysis.splitSentences(text)) {
+            let run = []; // consecutive content tokens: [{ token, stem }]
+
+            const flushRun = () => {
+                for (let n = 2; n <= maxNgram; n++) {
+                    for (let i = 0; i + n <= run.length; i++) {
+                        const slice = run.slice(i, i + n);
+                        add(slice.map(t => t.stem).join(' '), slice.map(t => t.token).join(' '));
+                    }
+                }
+                run = [];
+            };
+
+            for (const token of TextAnalysis.tokenize(sentence, language)) {
+                totalTokens++;
+                if (!TextAnalysis.isContentToken(token, language)) {
+                    flushRun();
+                    continue;
+                }
+                contentTokens++;
+                const stem = TextAnalysis.stem(token, language);
+                add(stem, token);
+                run.push({ token, stem });
+            }
+            flushRun();
+        }
+
+        return { counts, surfaceForms, totalTokens, contentTokens };
+    }
+
+    // Most common surface form for a term ("learning" rather than "learn")
+    static displayForm(term, surfaceForms) {
+        const forms = surfaceForms.get(term);
+        if (!forms) return term;
+        return [...forms.entries()].sort(([, a], [, b]) => b - a)[0][0];
+    }
+
+    // Smoothed IDF, as in scikit-learn: ln((1 + N) / (1 + df)) + 1
+    static inverseDocumentFrequency(documents) {
+        const documentFrequency = new Map();
+        documents.forEach(doc => {
+            for (const term of doc.counts.keys()) {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            }
+        });
+
+        const idf = new Map();
+        for (const [term, df] of documentFrequency) {
+            idf.set(term, Math.log((1 + documents.length) / (1 + df)) + 1);
+        }
+        return { idf, documentFrequency };
+    }
+
+    // TF-IDF weights for one document. Phrases seen only once are noise and are
+    // dropped; the rest are weighted by length since they are rarer than their words.
+    static tfidf(doc, idf) {
+        const weights = new Map();
+        const total = Math.max(1, doc.contentTokens);
+        for (const [term, count] of doc.counts) {
+            const length = term.split(' ').length;
+            if (length > 1 && count < 2) continue;
+            weights.set(term, (count / total) * (idf.get(term) || 1) * length);
+        }
+        return weights;
+    }
+
+    // Top-N keywords from term weights; single words already covered by a chosen phrase are dropped
+    static topTerms(weights, surfaceForms, limit = 10) {
+        const ranked = [...weights.entries()].sort(([, a], [, b]) => b - a);
+        let chosen = [];
+        const coveredStems = new Set();
+
+        for (const [term] of ranked) {
+            if (chosen.length >= limit) break;
+            const stems = term.split(' ');
+            if (stems.length === 1 && coveredStems.has(term)) continue;
+
+            if (stems.length > 1) {
+                chosen = chosen.filter(c => !stems.includes(c.term));
+                stems.forEach(s => coveredStems.add(s));
+            }
+            chosen.push({ term, label: TextAnalysis.displayForm(term, surfaceForms) });
+        }
+        return chosen.map(c => c.label);
+    }
+}
+
+module.exports = { TextAnalysis };
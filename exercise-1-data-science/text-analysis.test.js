@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TextAnalysis } = require('./text-analysis');
+
+test('stem applies the Porter rules to English words', () => {
+    assert.equal(TextAnalysis.stem('running'), 'run');
+    assert.equal(TextAnalysis.stem('caresses'), 'caress');
+    assert.equal(TextAnalysis.stem('relational'), 'relat');
+    assert.equal(TextAnalysis.stem('embeddings'), 'embed');
+    assert.equal(TextAnalysis.stem('laufen', 'de'), 'laufen');
+});
+
+test('termCounts counts stemmed words and phrases that do not cross stopwords or sentences', () => {
+    const { counts, surfaceForms, contentTokens } = TextAnalysis.termCounts(
+        'Vector databases store vectors. Vector databases scale. The database of vectors.'
+    );
+    assert.equal(counts.get('vector'), 4);
+    assert.equal(counts.get('vector databas'), 2);
+    assert.equal(counts.has('databas scale'), true);
+    assert.equal(counts.has('databas vector'), false, '"of" breaks the phrase');
+    assert.equal(counts.has('vector vector'), false, 'phrases stop at sentence ends');
+    assert.equal(TextAnalysis.displayForm('vector databas', surfaceForms), 'vector databases');
+    assert.equal(contentTokens, 9);
+});
+
+test('TF-IDF keywords favour terms specific to one document', () => {
+    const docs = [
+        'Transformers use attention. Attention layers weigh tokens. Models are trained on data.',
+        'Pipelines move data. Data pipelines load data into warehouses. Models read the data.',
+        'Kubernetes schedules containers. Containers run models and data services.'
+    ].map(text => TextAnalysis.termCounts(text));
+    const { idf, documentFrequency } = TextAnalysis.inverseDocumentFrequency(docs);
+
+    assert.equal(documentFrequency.get('data'), 3);
+    assert.ok(idf.get('attent') > idf.get('data'));
+
+    const keywords = TextAnalysis.topTerms(TextAnalysis.tfidf(docs[0], idf), docs[0].surfaceForms, 3);
+    assert.equal(keywords[0], 'attention');
+    assert.ok(!keywords.includes('data'));
+});
+
+test('topTerms drops single words covered by a chosen phrase', () => {
+    const doc = TextAnalysis.termCounts('Machine learning works. Machine learning scales. Machine learning helps.');
+    const keywords = TextAnalysis.topTerms(TextAnalysis.tfidf(doc, new Map()), doc.surfaceForms, 5);
+    assert.equal(keywords[0], 'machine learning');
+    assert.ok(!keywords.includes('machine'));
+    assert.ok(!keywords.includes('learning'));
+});
+
+test('countSyllables handles silent endings', () => {
+    assert.equal(TextAnalysis.countSyllables('cat'), 1);
+    assert.equal(TextAnalysis.countSyllables('table'), 2);
+    assert.equal(TextAnalysis.countSyllables('readability'), 5);
+    assert.equal(TextAnalysis.countSyllables('jumped'), 1);
+});
+
+test('readability scores simple text as easier than dense text', () => {
+    const simple = TextAnalysis.readability('The cat sat on the mat. The dog ran to the park. We had fun.');
+    const dense = TextAnalysis.readability(
+        'Computational linguistics methodologies systematically operationalize sophisticated probabilistic representations. ' +
+        'Contemporary implementations institutionalize extraordinarily heterogeneous architectures.'
+    );
+    assert.equal(simple.sentences, 3);
+    assert.ok(simple.fleschReadingEase > 90);
+    assert.ok(dense.fleschReadingEase < simple.fleschReadingEase);
+    assert.ok(dense.fleschKincaidGrade > simple.fleschKincaidGrade);
+    assert.ok(dense.gunningFog > simple.gunningFog);
+    assert.ok(dense.smogIndex > simple.smogIndex);
+});
+
+test('readability splits sentences without breaking on decimals or abbreviations', () => {
+    assert.deepEqual(
+        TextAnalysis.splitSentences('Version 2.5 is out, e.g. for Linux. Try it! Done?'),
+        ['Version 2.5 is out, e.g. for Linux.', 'Try it!', 'Done?']
+    );
+});
+
+test('readability formulas are skipped for non-English text, length distributions are not', () => {
+    const result = TextAnalysis.readability('Das ist ein kurzer Satz. Noch ein Satz folgt hier.', { language: 'de' });
+    assert.equal(result.fleschReadingEase, null);
+    assert.equal(result.smogIndex, null);
+    assert.equal(result.sentences, 2);
+    assert.equal(result.sentenceLength.count, 2);
+    assert.ok(result.wordLength.mean > 0);
+});
+
+test('distribution handles more values than fit on the call stack', () => {
+    const values = Array.from({ length: 300000 }, (_, i) => (i % 40) + 1);
+    const stats = TextAnalysis.distribution(values, 10, 30);
+    assert.equal(stats.min, 1);
+    assert.equal(stats.max, 40);
+    assert.equal(stats.count, 300000);
+    assert.equal(stats.histogram['30+'], 300000 * 11 / 40);
+});
+
+test('tokenize keeps Unicode words, elisions and segments scripts without spaces', () => {
+    assert.deepEqual(TextAnalysis.tokenize('Café naïve real-time don’t'), ['café', 'naïve', 'real-time', "don't"]);
+    assert.deepEqual(TextAnalysis.tokenize("L'intelligence artificielle", 'fr'), ['intelligence', 'artificielle']);
+    assert.deepEqual(TextAnalysis.tokenize('Векторные базы данных'), ['векторные', 'базы', 'данных']);
+
+    const chinese = TextAnalysis.tokenize('向量数据库很快', 'zh');
+    assert.ok(chinese.length > 1, 'Han runs are split into words');
+    assert.equal(chinese.join(''), '向量数据库很快');
+    assert.equal(TextAnalysis.isSegmentedLanguage('zh'), true);
+    assert.equal(TextAnalysis.isSegmentedLanguage('ru'), false);
+});
+
+test('stopwords and content tokens are language-aware', () => {
+    assert.equal(TextAnalysis.isContentToken('und', 'de'), false);
+    assert.equal(TextAnalysis.isContentToken('und', 'en'), true);
+    assert.equal(TextAnalysis.isContentToken('2024'), false);
+    assert.equal(TextAnalysis.isContentToken('数据', 'zh'), true);
+    assert.equal(TextAnalysis.stopwordsFor('ko'), TextAnalysis.STOPWORDS, 'unknown languages fall back to English');
+});
@@ -0,0 +1,190 @@
+// Small deterministic PRNG (mulberry32) so topic assignments are stable between runs
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const EPSILON = 1e-9;
+
+// Unsupervised topic discovery with non-negative matrix factorization over a
+// document-term TF-IDF matrix (like sklearn's NMF): V (docs x terms) ≈ W (docs x topics) · H (topics x terms)
+class TopicModel {
+    constructor(options = {}) {
+        this.k = options.k ?? null; // null: pick from corpus size
+        this.maxTopics = options.maxTopics ?? 8;
+        this.maxIterations = options.maxIterations ?? 300;
+        this.tolerance = options.tolerance ?? 1e-5;
+        this.maxFeatures = options.maxFeatures ?? 2000;
+        this.minDocumentFrequency = options.minDocumentFrequency ?? 2;
+        this.topTerms = options.topTerms ?? 8;
+        this.seed = options.seed ?? 42;
+    }
+
+    // Rule of thumb: about sqrt(n / 2) topics, at least 1 and never more than documents
+    chooseK(documentCount) {
+        if (this.k) return Math.max(1, Math.min(this.k, documentCount));
+        return Math.max(1, Math.min(this.maxTopics, Math.round(Math.sqrt(documentCount / 2))));
+    }
+
+    // Terms shared by several documents carry the topics; one-off terms are noise.
+    // Small corpora fall back to every term so there is something to factorize.
+    buildVocabulary(documents) {
+        const documentFrequency = new Map();
+        const totalWeight = new Map();
+        documents.forEach(weights => {
+            for (const [term, weight] of weights) {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+                totalWeight.set(term, (totalWeight.get(term) || 0) + weight);
+            }
+        });
+
+        let terms = [...totalWeight.keys()].filter(term => documentFrequency.get(term) >= this.minDocumentFrequency);
+        if (terms.length < 2) terms = [...totalWeight.keys()];
+
+        return terms
+            .sort((a, b) => totalWeight.get(b) - totalWeight.get(a) || a.localeCompare(b))
+            .slice(0, this.maxFeatures);
+    }
+
+    // documents: one Map(term -> tf-idf weight) per document.
+    // Returns { k, vocabulary, topics: [{ id, terms: [{ term, weight }], size }],
+    // assignments: [{ topicId, confidence, distribution }] } with topics ordered by size.
+    fit(documents) {
+        const vocabulary = this.buildVocabulary(documents);
+        const n = documents.length;
+        const m = vocabulary.length;
+        const k = this.chooseK(n);
+
+        if (n === 0 || m === 0) {
+            return { k: 0, vocabulary, topics: [], assignments: documents.map(() => ({ topicId: null, confidence: 0, distribution: [] })), iterations: 0 };
+        }
+
+        // L2-normalized rows so long documents don't dominate the factorization
+        const column = new Map(vocabulary.map((term, j) => [term, j]));
+        const V = documents.map(weights => {
+            const row = new Float64Array(m);
+            for (const [term, weight] of weights) {
+                if (column.has(term)) row[column.get(term)] = weight;
+            }
+            const norm = Math.sqrt(row.reduce((sum, x) => sum + x * x, 0));
+            if (norm > 0) row.forEach((x, j) => { row[j] = x / norm; });
+            return row;
+        });
+
+        const { W, H, iterations } = this.factorize(V, n, m, k);
+
+        // Each document belongs to its strongest topic; empty rows stay unassigned
+        const rawAssignments = W.map(row => {
+            const total = row.reduce((sum, x) => sum + x, 0);
+            if (total <= EPSILON) return { topic: null, confidence: 0, distribution: Array.from(row, () => 0) };
+            let best = 0;
+            row.forEach((x, t) => { if (x > row[best]) best = t; });
+            return {
+                topic: best,
+                confidence: Number((row[best] / total).toFixed(3)),
+                distribution: Array.from(row, x => Number((x / total).toFixed(3)))
+            };
+        });
+
+        // Renumber topics by size (largest first) so IDs read naturally in reports
+        const sizes = Array.from({ length: k }, (_, t) => rawAssignments.filter(a => a.topic === t).length);
+        const order = Array.from({ length: k }, (_, t) => t).sort((a, b) => sizes[b] - sizes[a] || a - b);
+        const newId = new Map(order.map((t, i) => [t, i]));
+
+        const topics = order.map((t, id) => ({
+            id,
+            size: sizes[t],
+            terms: Array.from(H[t], (weight, j) => ({ term: vocabulary[j], weight }))
+                .filter(entry => entry.weight > EPSILON)
+                .sort((a, b) => b.weight - a.weight)
+                .slice(0, this.topTerms)
+                .map(entry => ({ term: entry.term, weight: Number(entry.weight.toFixed(4)) }))
+        }));
+
+        const assignments = rawAssignments.map(a => ({
+            topicId: a.topic === null ? null : newId.get(a.topic),
+            confidence: a.confidence,
+            distribution: order.map(t => a.distribution[t])
+        }));
+
+        return { k, vocabulary, topics, assignments, iterations };
+    }
+
+    // Lee & Seung multiplicative updates minimizing ||V - WH||²
+    factorize(V, n, m, k) {
+        const random = seededRandom(this.seed);
+        const meanValue = V.reduce((sum, row) => sum + row.reduce((s, x) => s + x, 0), 0) / (n * m);
+        const scale = Math.sqrt(meanValue / k) || 0.1;
+        const W = Array.from({ length: n }, () => Float64Array.from({ length: k }, () => scale * (0.5 + random())));
+        const H = Array.from({ length: k }, () => Float64Array.from({ length: m }, () => scale * (0.5 + random())));
+
+        let previousError = Infinity;
+        let iterations = 0;
+        for (; iterations < this.maxIterations; iterations++) {
+            // H <- H * (Wᵀ V) / (Wᵀ W H)
+            const WtW = TopicModel.gram(W, k);
+            for (let t = 0; t < k; t++) {
+                for (let j = 0; j < m; j++) {
+                    let numerator = 0;
+                    for (let i = 0; i < n; i++) numerator += W[i][t] * V[i][j];
+                    let denominator = 0;
+                    for (let s = 0; s < k; s++) denominator += WtW[t][s] * H[s][j];
+                    H[t][j] *= numerator / (denominator + EPSILON);
+                }
+            }
+
+            // W <- W * (V Hᵀ) / (W H Hᵀ)
+            const HHt = Array.from({ length: k }, (_, a) => Array.from({ length: k }, (_, b) => {
+                let sum = 0;
+                for (let j = 0; j < m; j++) sum += H[a][j] * H[b][j];
+                return sum;
+            }));
+            for (let i = 0; i < n; i++) {
+                for (let t = 0; t < k; t++) {
+                    let numerator = 0;
+                    for (let j = 0; j < m; j++) numerator += V[i][j] * H[t][j];
+                    let denominator = 0;
+                    for (let s = 0; s < k; s++) denominator += W[i][s] * HHt[s][t];
+                    W[i][t] *= numerator / (denominator + EPSILON);
+                }
+            }
+
+            // Stop once the reconstruction error stops improving
+            if (iterations % 10 === 0) {
+                const error = TopicModel.reconstructionError(V, W, H, n, m, k);
+                if (previousError - error < this.tolerance * previousError) break;
+                previousError = error;
+            }
+        }
+
+        return { W, H, iterations };
+    }
+
+    static gram(W, k) {
+        return Array.from({ length: k }, (_, a) => Array.from({ length: k }, (_, b) => {
+            let sum = 0;
+            for (const row of W) sum += row[a] * row[b];
+            return sum;
+        }));
+    }
+
+    static reconstructionError(V, W, H, n, m, k) {
+        let error = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < m; j++) {
+                let value = 0;
+                for (let t = 0; t < k; t++) value += W[i][t] * H[t][j];
+                error += (V[i][j] - value) ** 2;
+            }
+        }
+        return error;
+    }
+}
+
+module.exports = { TopicModel };
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TopicModel } = require('./topic-model');
+
+const doc = (weights) => new Map(Object.entries(weights));
+
+// Two clear themes sharing no vocabulary
+const corpus = [
+    doc({ vector: 0.9, embedding: 0.8, index: 0.5 }),
+    doc({ vector: 0.7, embedding: 0.9, search: 0.4 }),
+    doc({ embedding: 0.6, index: 0.7, search: 0.6 }),
+    doc({ kubernetes: 0.9, container: 0.8, cluster: 0.5 }),
+    doc({ container: 0.9, cluster: 0.7, deploy: 0.4 }),
+    doc({ kubernetes: 0.6, deploy: 0.8, cluster: 0.6 })
+];
+
+test('chooseK follows sqrt(n / 2) within bounds', () => {
+    assert.equal(new TopicModel().chooseK(1), 1);
+    assert.equal(new TopicModel().chooseK(50), 5);
+    assert.equal(new TopicModel().chooseK(1000), 8);
+    assert.equal(new TopicModel({ k: 10 }).chooseK(3), 3);
+});
+
+test('buildVocabulary drops one-off terms unless nothing else is left', () => {
+    const model = new TopicModel();
+    assert.deepEqual(model.buildVocabulary([doc({ a: 1, b: 1 }), doc({ a: 2, c: 1 })]), ['a', 'b', 'c']);
+    assert.deepEqual(model.buildVocabulary([doc({ a: 1, b: 3 }), doc({ a: 2, b: 1, c: 5 })]), ['b', 'a']);
+});
+
+test('fit separates unrelated themes into topics ordered by size', () => {
+    const result = new TopicModel({ k: 2 }).fit(corpus);
+
+    assert.equal(result.k, 2);
+    assert.equal(result.topics.length, 2);
+    const [first, second] = [0, 3].map(i => result.assignments[i].topicId);
+    assert.notEqual(first, second);
+    assert.deepEqual(result.assignments.map(a => a.topicId), [first, first, first, second, second, second]);
+    assert.ok(result.assignments.every(a => a.confidence > 0.5));
+
+    const topTerms = result.topics[first].terms.map(t => t.term);
+    assert.ok(topTerms.includes('embedding'));
+    assert.ok(!topTerms.includes('kubernetes'));
+});
+
+test('fit is deterministic for a seed and handles empty input', () => {
+    const a = new TopicModel({ k: 2 }).fit(corpus);
+    const b = new TopicModel({ k: 2 }).fit(corpus);
+    assert.deepEqual(a.assignments, b.assignments);
+    assert.deepEqual(a.topics, b.topics);
+
+    const empty = new TopicModel().fit([new Map()]);
+    assert.equal(empty.k, 0);
+    assert.deepEqual(empty.assignments, [{ topicId: null, confidence: 0, distribution: [] }]);
+});
@@ -0,0 +1,333 @@
+// Chunking strategies for the embeddings pipeline. Every chunker has the same
+// interface: chunk(text) -> [{ text, section }] and describe() -> { strategy, ...params }.
+// Chunks are slices of the original text, so punctuation and spacing survive.
+
+// Input limits of the Bedrock embedding models, in tokens
+const MODEL_TOKEN_LIMITS = {
+    'amazon.titan-embed-text-v1': 8192,
+    'amazon.titan-embed-text-v2:0': 8192,
+    'amazon.titan-embed-g1-text-02': 8192,
+    'cohere.embed-english-v3': 512,
+    'cohere.embed-multilingual-v3': 512
+};
+
+const ABBREVIATIONS = /\b(e\.g|i\.e|etc|vs|cf|approx|Mr|Mrs|Ms|Dr|Prof|Inc|Ltd|Corp|Jr|Sr|Fig)\.$/i;
+
+// What estimateTokens counts: one CJK character, a run of letters and digits, or a punctuation mark
+const TOKEN_PIECES = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu;
+
+class Chunker {
+    constructor(strategy, params) {
+        this.strategy = strategy;
+        this.params = params;
+    }
+
+    chunk(text) {
+        throw new Error(`${this.constructor.name} must implement chunk(text)`);
+    }
+
+    describe() {
+        return { strategy: this.strategy, ...this.params };
+    }
+
+    static countWords(text) {
+        return text.split(/\s+/).filter(word => word.length > 0).length;
+    }
+
+    // Sentence spans [{ start, end }] over the original text. Doesn't split after
+    // abbreviations ("e.g.") or inside numbers ("3.5"), which /[.!?]+/ does.
+    static sentenceSpans(text) {
+        const spans = [];
+        const boundary = /[.!?]+["')\]]*(?=\s+|$)|[。！？]+|\n{2,}/g;
+        let start = 0;
+        let match;
+        while ((match = boundary.exec(text)) !== null) {
+            const end = match.index + match[0].length;
+            if (match[0].startsWith('.') && ABBREVIATIONS.test(text.slice(start, end))) continue;
+            if (text.slice(start, end).trim()) spans.push(Chunker.trimSpan(text, start, end));
+            start = end;
+        }
+        if (text.slice(start).trim()) spans.push(Chunker.trimSpan(text, start, text.length));
+        return spans;
+    }
+
+    static trimSpan(text, start, end) {
+        while (start < end && /\s/.test(text[start])) start++;
+        while (end > start && /\s/.test(text[end - 1])) end--;
+        return { start, end };
+    }
+
+    // Rough subword count for models whose tokenizer isn't available locally:
+    // about 4 characters per token for words, one per punctuation mark, one per
+    // CJK character. Errs on the high side so chunks stay under the model limit.
+    static estimateTokens(text) {
+        let tokens = 0;
+        for (const [piece] of text.matchAll(TOKEN_PIECES)) tokens += Chunker.pieceTokens(piece);
+        return tokens;
+    }
+
+    static pieceTokens(piece) {
+        return /^[\p{L}\p{N}]{5,}$/u.test(piece) ? Math.ceil(piece.length / 4) : 1;
+    }
+}
+
+// Packs whole sentences up to maxWords, repeating the last `overlap` sentences
+// at the start of the next chunk so context isn't cut at chunk boundaries
+class SentenceChunker extends Chunker {
+    constructor({ maxWords = 500, overlap = 1 } = {}) {
+        super('sentence', { maxWords, overlap });
+        this.maxWords = maxWords;
+        this.overlap = overlap;
+    }
+
+    chunk(text) {
+        const sentences = Chunker.sentenceSpans(text).flatMap(span => this.splitLongSentence(text, span));
+        const chunks = [];
+        let first = 0;
+
+        while (first < sentences.length) {
+            let last = first;
+            let words = sentences[first].words;
+            while (last + 1 < sentences.length && words + sentences[last + 1].words <= this.maxWords) {
+                last++;
+                words += sentences[last].words;
+            }
+            chunks.push({ text: text.slice(sentences[first].start, sentences[last].end), section: null });
+            if (last === sentences.length - 1) break;
+
+            // Shrink the overlap until the next chunk has room for at least one new sentence
+            let next = Math.max(first + 1, last + 1 - this.overlap);
+            let nextWords = sentences.slice(next, last + 2).reduce((sum, sentence) => sum + sentence.words, 0);
+            while (next <= last && nextWords > this.maxWords) {
+                nextWords -= sentences[next].words;
+                next++;
+            }
+            first = next;
+        }
+
+        return chunks;
+    }
+
+    // A "sentence" longer than the chunk (tables, code, missing punctuation) is cut by words
+    splitLongSentence(text, span) {
+        const words = [...text.slice(span.start, span.end).matchAll(/\S+/g)];
+        if (words.length <= this.maxWords) return [{ ...span, words: words.length }];
+
+        const pieces = [];
+        for (let i = 0; i < words.length; i += this.maxWords) {
+            const slice = words.slice(i, i + this.maxWords);
+            const last = slice[slice.length - 1];
+            pieces.push({
+                start: span.start + slice[0].index,
+                end: span.start + last.index + last[0].length,
+                words: slice.length
+            });
+        }
+        return pieces;
+    }
+}
+
+// Fixed windows of estimated tokens, capped at the embedding model's input limit
+class TokenChunker extends Chunker {
+    constructor({ maxTokens = 512, overlap = 50, modelId = null } = {}) {
+        const limit = MODEL_TOKEN_LIMITS[modelId] || Infinity;
+        const size = Math.min(maxTokens, limit);
+        super('token', { maxTokens: size, overlap, modelId, modelLimit: Number.isFinite(limit) ? limit : null });
+        this.maxTokens = size;
+        this.overlap = Math.min(overlap, size - 1);
+    }
+
+    chunk(text) {
+        const units = [...text.matchAll(/\S+/g)].flatMap(match => this.splitLongUnit(match));
+        const chunks = [];
+        let first = 0;
+
+        while (first < units.length) {
+            let last = first;
+            let tokens = units[first].tokens;
+            while (last + 1 < units.length && tokens + units[last + 1].tokens <= this.maxTokens) {
+                last++;
+                tokens += units[last].tokens;
+            }
+            chunks.push({ text: text.slice(units[first].start, units[last].end), section: null });
+            if (last === units.length - 1) break;
+
+            // Step back until the overlap is covered
+            let next = last + 1;
+            let overlapTokens = 0;
+            while (next - 1 > first && overlapTokens + units[next - 1].tokens <= this.overlap) {
+                next--;
+                overlapTokens += units[next].tokens;
+            }
+            first = next;
+        }
+
+        return chunks;
+    }
+
+    // Text without spaces (CJK, long URLs, code) can exceed the chunk on its own, so it
+    // is cut between the pieces estimateTokens counts, and runs of letters by characters
+    splitLongUnit(match) {
+        const tokens = Chunker.estimateTokens(match[0]);
+        if (tokens <= this.maxTokens) return [{ start: match.index, end: match.index + match[0].length, tokens }];
+
+        const units = [];
+        let unit = null;
+        for (const piece of match[0].matchAll(TOKEN_PIECES)) {
+            let start = match.index + piece.index;
+            let rest = piece[0];
+            while (rest) {
+                const room = unit ? this.maxTokens - unit.tokens : 0;
+                let part = rest;
+                if (Chunker.pieceTokens(part) > room) {
+                    if (room > 0 && /^[\p{L}\p{N}]+$/u.test(part)) {
+                        part = rest.slice(0, room * 4); // fill the unit with the start of the run
+                    } else {
+                        unit = { start, end: start, tokens: 0 };
+                        units.push(unit);
+                        continue;
+                    }
+                }
+                unit.end = start + part.length;
+                unit.tokens += Chunker.pieceTokens(part);
+                start += part.length;
+                rest = rest.slice(part.length);
+            }
+        }
+        return units;
+    }
+}
+
+// LangChain-style RecursiveCharacterTextSplitter: split on the coarsest separator
+// (paragraphs, then lines, sentences, words), recursing into pieces that are still
+// too long, then merge neighbours back up to maxChars with `overlap` characters shared
+class RecursiveCharacterChunker extends Chunker {
+    constructor({ maxChars = 2000, overlap = 200, separators = ['\n\n', '\n', '. ', ' ', ''] } = {}) {
+        super('recursive', { maxChars, overlap, separators });
+        this.maxChars = maxChars;
+        this.overlap = Math.min(overlap, Math.floor(maxChars / 2));
+        this.separators = separators;
+    }
+
+    chunk(text) {
+        return this.split(text, this.separators)
+            .map(piece => piece.trim())
+            .filter(piece => piece.length > 0)
+            .map(piece => ({ text: piece, section: null }));
+    }
+
+    split(text, separators) {
+        const index = separators.findIndex(separator => separator === '' || text.includes(separator));
+        const separator = separators[index];
+        const remaining = separators.slice(index + 1);
+
+        // Keep each separator on the piece before it, so joining restores the text
+        const pieces = separator === ''
+            ? [...text]
+            : text.split(separator).map((piece, i, all) => (i < all.length - 1 ? piece + separator : piece));
+
+        const chunks = [];
+        let small = [];
+        for (const piece of pieces) {
+            if (piece.length <= this.maxChars) {
+                small.push(piece);
+                continue;
+            }
+            chunks.push(...this.merge(small));
+            small = [];
+            chunks.push(...(remaining.length > 0 ? this.split(piece, remaining) : [piece]));
+        }
+        chunks.push(...this.merge(small));
+        return chunks;
+    }
+
+    merge(pieces) {
+        const chunks = [];
+        let current = [];
+        let length = 0;
+
+        for (const piece of pieces) {
+            if (length + piece.length > this.maxChars && current.length > 0) {
+                chunks.push(current.join(''));
+                // Drop pieces from the front until only the overlap is left
+                while (length > this.overlap || (length + piece.length > this.maxChars && length > 0)) {
+                    length -= current.shift().length;
+                }
+            }
+            current.push(piece);
+            length += piece.length;
+        }
+        if (current.length > 0) chunks.push(current.join(''));
+        return chunks;
+    }
+}
+
+// Splits on Markdown headings and chunks each section with the sentence chunker.
+// Every chunk carries its heading path ("Setup > Installing") as `section`.
+// Text without headings becomes one untitled section.
+class MarkdownChunker extends Chunker {
+    constructor({ maxWords = 500, overlap = 1 } = {}) {
+        super('markdown', { maxWords, overlap });
+        this.sentences = new SentenceChunker({ maxWords, overlap });
+    }
+
+    chunk(text) {
+        return this.sections(text).flatMap(section => this.sentences.chunk(section.text)
+            .map(chunk => ({ text: chunk.text, section: section.title })));
+    }
+
+    sections(text) {
+        const sections = [];
+        const headings = [];
+        let lines = [];
+        let inFence = false;
+        const flush = () => {
+            const body = lines.join('\n').trim();
+            if (body) sections.push({ title: headings.map(h => h.title).join(' > ') || null, text: body });
+            lines = [];
+        };
+
+        for (const line of text.split(/\r?\n/)) {
+            if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+            const heading = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (!heading) {
+                lines.push(line);
+                continue;
+            }
+            flush();
+            const level = heading[1].length;
+            while (headings.length > 0 && headings[headings.length - 1].level >= level) headings.pop();
+            headings.push({ level, title: heading[2] });
+        }
+        flush();
+
+        return sections;
+    }
+}
+
+const CHUNKERS = {
+    sentence: SentenceChunker,
+    token: TokenChunker,
+    recursive: RecursiveCharacterChunker,
+    markdown: MarkdownChunker
+};
+
+// createChunker({ strategy: 'token', maxTokens: 256, overlap: 32 })
+function createChunker({ strategy = 'sentence', ...params } = {}) {
+    const ChunkerClass = CHUNKERS[strategy];
+    if (!ChunkerClass) {
+        throw new Error(`Unknown chunking strategy "${strategy}" (expected one of: ${Object.keys(CHUNKERS).join(', ')})`);
+    }
+    return new ChunkerClass(params);
+}
+
+module.exports = {
+    Chunker,
+    SentenceChunker,
+    TokenChunker,
+    RecursiveCharacterChunker,
+    MarkdownChunker,
+    CHUNKERS,
+    MODEL_TOKEN_LIMITS,
+    createChunker
+};
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    Chunker,
+    SentenceChunker,
+    TokenChunker,
+    RecursiveCharacterChunker,
+    MarkdownChunker,
+    createChunker
+} = require('./chunkers');
+
+const texts = (chunks) => chunks.map(chunk => chunk.text);
+
+test('sentenceSpans skips abbreviations and decimals', () => {
+    const text = 'Use e.g. HNSW for speed. Recall is 0.95 here! Done';
+    assert.deepEqual(Chunker.sentenceSpans(text).map(({ start, end }) => text.slice(start, end)),
+        ['Use e.g. HNSW for speed.', 'Recall is 0.95 here!', 'Done']);
+});
+
+test('SentenceChunker packs whole sentences and overlaps one', () => {
+    const text = 'One two three. Four five six. Seven eight nine. Ten eleven twelve.';
+    const chunks = new SentenceChunker({ maxWords: 6, overlap: 1 }).chunk(text);
+    assert.deepEqual(texts(chunks), [
+        'One two three. Four five six.',
+        'Four five six. Seven eight nine.',
+        'Seven eight nine. Ten eleven twelve.'
+    ]);
+
+    assert.deepEqual(texts(new SentenceChunker({ maxWords: 6, overlap: 0 }).chunk(text)), [
+        'One two three. Four five six.',
+        'Seven eight nine. Ten eleven twelve.'
+    ]);
+});
+
+test('SentenceChunker cuts sentences longer than a chunk by words', () => {
+    const chunks = new SentenceChunker({ maxWords: 3, overlap: 0 }).chunk('a b c d e f g');
+    assert.deepEqual(texts(chunks), ['a b c', 'd e f', 'g']);
+});
+
+test('TokenChunker caps the window at the model input limit and overlaps', () => {
+    const capped = new TokenChunker({ maxTokens: 10000, modelId: 'cohere.embed-english-v3' });
+    assert.deepEqual(capped.describe(), { strategy: 'token', maxTokens: 512, overlap: 50, modelId: 'cohere.embed-english-v3', modelLimit: 512 });
+
+    const chunks = new TokenChunker({ maxTokens: 4, overlap: 1 }).chunk('a b c d e f g');
+    assert.deepEqual(texts(chunks), ['a b c d', 'd e f g']);
+    assert.ok(chunks.every(chunk => Chunker.estimateTokens(chunk.text) <= 4));
+    assert.equal(Chunker.estimateTokens('embeddings, 向量'), 6);
+});
+
+test('TokenChunker cuts text without spaces that is longer than a chunk', () => {
+    const chunker = new TokenChunker({ modelId: 'cohere.embed-english-v3' });
+    const cjk = '数据'.repeat(1500);
+    const url = `https://example.com/${'a'.repeat(5000)}`;
+
+    for (const text of [cjk, url]) {
+        const chunks = chunker.chunk(text);
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every(chunk => Chunker.estimateTokens(chunk.text) <= 512));
+        assert.equal(texts(chunks).join(''), text, 'pieces are consecutive slices');
+    }
+    assert.deepEqual(texts(new TokenChunker({ maxTokens: 3, overlap: 0 }).chunk('ok 数据库表 end')), ['ok', '数据库', '表 end']);
+});
+
+test('RecursiveCharacterChunker splits on the coarsest separator first', () => {
+    const text = 'First paragraph is here.\n\nSecond paragraph here.\n\n' + 'x'.repeat(30);
+    const chunks = new RecursiveCharacterChunker({ maxChars: 25, overlap: 0 }).chunk(text);
+    assert.deepEqual(texts(chunks), ['First paragraph is here.', 'Second paragraph here.', 'x'.repeat(25), 'x'.repeat(5)]);
+    assert.ok(chunks.every(chunk => chunk.text.length <= 25));
+});
+
+test('MarkdownChunker keeps the heading path as the section', () => {
+    const chunks = new MarkdownChunker({ maxWords: 50 }).chunk([
+        'Intro text.',
+        '# Setup',
+        'Install it.',
+        '## Installing',
+        'Run npm install.',
+        '```',
+        '# not a heading',
+        '```',
+        '# Usage',
+        'Call it.'
+    ].join('\n'));
+
+    assert.deepEqual(chunks.map(chunk => chunk.section), [null, 'Setup', 'Setup > Installing', 'Usage']);
+    assert.match(chunks[2].text, /# not a heading/);
+});
+
+test('createChunker picks a strategy by name', () => {
+    assert.ok(createChunker() instanceof SentenceChunker);
+    assert.deepEqual(createChunker({ strategy: 'recursive', maxChars: 100 }).describe().maxChars, 100);
+    assert.throws(() => createChunker({ strategy: 'semantic' }), /Unknown chunking strategy "semantic"/);
+});
@@ -1,8 +1,16 @@
 const { StateGraph, END, START } = require("@langchain/langgraph");
-const { BedrockRuntimeClient, InvokeModelCommand } = require("@aws-sdk/client-bedrock-runtime");
-const { ChromaClient } = require("chromadb");
 const fs = require('fs');
-const { v4: uuidv4 } = require('uuid');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { Handoff } = require('../shared/handoff');
+const { BedrockEmbeddingProvider, createEmbeddingProvider } = require('../shared/embedding-providers');
+const { EmbeddingCache } = require('../shared/embedding-cache');
+const { openVectorStore, DEFAULT_STORE_DIR } = require('../shared/vector-store');
+const { VectorManifest } = require('./vector-manifest');
+const { Chunker, createChunker } = require('./chunkers');
+const { TokenBucket } = require('./rate-limiter');
+const { FileCheckpointSaver } = require('./file-checkpointer');
 dotenv = require('dotenv');
 dotenv.config();
 
@@ -10,39 +18,111 @@ dotenv.config();
 dotenv = require('dotenv');
 dotenv.config();
 
-// Initialize AWS Bedrock client
-const bedrockClient = new BedrockRuntimeClient({ 
-    region: process.env.AWS_REGION || process.env.BEDROCK_AWS_REGION || "us-east-1"
-});
-
-// Initialize ChromaDB client in embedded mode (like SQLite)
-const chroma = new ChromaClient();
+// Every path is resolved from this directory, not the one the pipeline is started from
+const DEFAULT_INPUT_PATH = path.join(__dirname, 'data-science-output.json');
+const DEFAULT_REPORT_PATH = path.join(__dirname, 'pipeline-report.json');
+// Next to the chat agent, which reads it
+const DEFAULT_AGENT_CONFIG_PATH = path.join(__dirname, '..', 'exercise-3-app-development', 'vector-db-config.json');
 
 // LangGraph state interface for our pipeline
 class PipelineState {
     constructor() {
         this.inputData = null;
+        this.inputSchema = null; // { version, migratedFrom } of data-science-output.json
         this.processedContent = [];
         this.embeddings = [];
         this.storedVectors = [];
+        this.deletedIds = []; // stored chunks that are no longer in the input
+        this.changes = null; // { added, updated, unchanged, deleted } against the manifest
+        this.embeddingStats = null; // throughput, throttles and retries of generateEmbeddings
+        this.quarantined = []; // chunks that could not be embedded, kept out of the store
+        this.retryRounds = 0; // passes of retryFailedEmbeddings so far
+        this.validation = null; // { checked, rejected, dimensions } from validateEmbeddings
         this.errors = [];
+        this.completedStages = []; // path taken through the graph; restored when a run is resumed
         this.startTime = Date.now();
         this.metrics = {
             processed: 0,
             embedded: 0,
             stored: 0,
+            deleted: 0,
             failed: 0
         };
     }
+    
+    // Checkpoints hold plain JSON; give a restored state its class back
+    static from(value) {
+        if (!value || value instanceof PipelineState) return value || new PipelineState();
+        return Object.assign(new PipelineState(), value);
+    }
 }
 
 class EmbeddingsPipeline {
-    constructor() {
+    constructor(options = {}) {
         this.collectionName = "tech-content-vectors";
+        // Exercise 1's handoff in, report and chat agent config out
+        this.inputPath = options.inputPath || DEFAULT_INPUT_PATH;
+        this.reportPath = options.reportPath || DEFAULT_REPORT_PATH;
+        this.agentConfigPath = options.agentConfigPath || DEFAULT_AGENT_CONFIG_PATH;
+        // Vectors, manifest, quarantine and run checkpoints; shared with the chat agent
+        this.storageDir = options.storageDir || DEFAULT_STORE_DIR;
+        // Every run checkpoints after each stage (and during embedding) so it can be resumed
+        this.checkpointer = new FileCheckpointSaver(path.join(this.storageDir, 'runs'));
+        this.checkpointIntervalMs = options.checkpointIntervalMs ?? 5000;
+        this.runId = options.resume || EmbeddingsPipeline.newRunId();
+        this.resumedRun = options.resume ? this.checkpointer.readRun(options.resume) : null;
+        if (options.resume && !this.resumedRun) {
+            throw new Error(`No checkpoint for run "${options.resume}" in ${this.checkpointer.dir} (finished runs are removed)`);
+        }
+        // A resumed run keeps the settings it started with, so its chunks and vectors match
+        const settings = this.resumedRun?.config || {};
+        this.rebuild = settings.rebuild ?? options.rebuild ?? false; // re-embed everything, ignoring the manifest
+        // { strategy: 'sentence' | 'token' | 'recursive' | 'markdown', ...params } (see chunkers.js)
+        // 'bedrock' (real embeddings), 'deterministic-local' (offline, lexical) or 'mock' (random, tests only)
+        this.provider = createEmbeddingProvider(
+            settings.provider?.name || options.provider || process.env.EMBEDDINGS_PROVIDER || 'bedrock',
+            { modelId: settings.provider?.modelId }
+        );
+        // Shared with the chat agent; random mock vectors are never cached
+        this.cache = this.provider.name === 'mock' ? null : new EmbeddingCache(options.cache);
+        this.chunker = createChunker(settings.chunking || { modelId: this.provider.modelId, ...options.chunking });
+        this.embedding = {
+            concurrency: 4, // requests in flight
+            ratePerSecond: 10, // starting (and maximum) request rate; halved on throttling
+            batchSize: 96, // texts per request, for models that accept several (Cohere)
+            maxRetries: 6,
+            backoffBaseMs: 500,
+            maxBackoffMs: 20000,
+            progressIntervalMs: 2000,
+            retryRounds: 2, // extra passes over chunks that were still throttled
+            retryDelayMs: 5000, // pause before the first pass, doubled for the second
+            ...options.embedding
+        };
+        // 'auto' (ChromaDB if reachable, else local files), 'chroma', 'file' or 'memory';
+        // or pass a store instance as `vectorStore` (see shared/vector-store.js)
+        this.storeBackend = options.storeBackend;
+        this.store = options.vectorStore || null;
+        this.manifest = null;
+        this.runInfo = null; // { runId, resumed, stages: { [stage]: 'restored' | 'resumed' | 'ran' } } for the report
+        this.workflow = null;
         this.graph = null;
         this.initializePipeline();
     }
     
+    // Sortable and readable: 20250115T100000-3fa2
+    static newRunId() {
+        return `${new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+    
+    // What a resumed run must reuse
+    runSettings() {
+        return {
+            provider: { name: this.provider.name, modelId: this.provider.modelId },
+            chunking: this.chunker.describe(),
+            rebuild: this.rebuild
+        };
+    }
+    
     initializePipeline() {
         // Create LangGraph workflow with simplified state management
         const workflow = new StateGraph({
@@ -55,70 +135,120 @@ class EmbeddingsPipeline {
         });
         
         // Define nodes (pipeline stages) - these need to work with the state wrapper
-        workflow.addNode("loadData", async (state) => {
-            const pipelineState = state.state || new PipelineState();
-            const result = await this.loadData(pipelineState);
-            return { state: result };
-        });
-        workflow.addNode("processContent", async (state) => {
-            const result = await this.processContent(state.state);
-            return { state: result };
+        workflow.addNode("loadData", async (state) => this.runStage('loadData', state.state));
+        workflow.addNode("processContent", async (state) => this.runStage('processContent', state.state));
+        workflow.addNode("generateEmbeddings", async (state) => this.runStage('generateEmbeddings', state.state));
+        workflow.addNode("retryFailedEmbeddings", async (state) => this.runStage('retryFailedEmbeddings', state.state));
+        workflow.addNode("validateEmbeddings", async (state) => this.runStage('validateEmbeddings', state.state));
+        workflow.addNode("storeVectors", async (state) => this.runStage('storeVectors', state.state));
+        workflow.addNode("generateReport", async (state) => this.runStage('generateReport', state.state));
+        
+        // Define edges (pipeline flow). Conditional edges skip stages that have
+        // nothing to work on, so a failed load goes straight to the report.
+        workflow.addEdge(START, "loadData");
+        workflow.addConditionalEdges("loadData", (state) => this.routeAfterLoad(state.state), {
+            continue: "processContent",
+            fatal: "generateReport"
         });
-        workflow.addNode("generateEmbeddings", async (state) => {
-            const result = await this.generateEmbeddings(state.state);
-            return { state: result };
+        workflow.addConditionalEdges("processContent", (state) => this.routeAfterProcessing(state.state), {
+            embed: "generateEmbeddings",
+            unchanged: "storeVectors", // metadata updates and deletions only
+            fatal: "generateReport"
         });
-        workflow.addNode("storeVectors", async (state) => {
-            const result = await this.storeVectors(state.state);
-            return { state: result };
+        workflow.addConditionalEdges("generateEmbeddings", (state) => this.routeAfterEmbedding(state.state), {
+            retry: "retryFailedEmbeddings",
+            validate: "validateEmbeddings"
         });
-        workflow.addNode("generateReport", async (state) => {
-            const result = await this.generateReport(state.state);
-            return { state: result };
+        workflow.addConditionalEdges("retryFailedEmbeddings", (state) => this.routeAfterEmbedding(state.state), {
+            retry: "retryFailedEmbeddings",
+            validate: "validateEmbeddings"
         });
-        
-        // Define edges (pipeline flow)
-        workflow.addEdge(START, "loadData");
-        workflow.addEdge("loadData", "processContent");
-        workflow.addEdge("processContent", "generateEmbeddings");
-        workflow.addEdge("generateEmbeddings", "storeVectors");
+        workflow.addEdge("validateEmbeddings", "storeVectors");
         workflow.addEdge("storeVectors", "generateReport");
         workflow.addEdge("generateReport", END);
         
-        this.graph = workflow.compile();
+        this.workflow = workflow;
+        // LangGraph saves a checkpoint after every stage, keyed by run ID (thread_id)
+        this.graph = workflow.compile({ checkpointer: this.checkpointer });
+    }
+    
+    async runStage(stage, state) {
+        // On a resumed run, the first stage to run is the one that was interrupted
+        if (this.runInfo && !this.runInfo.stages[stage]) {
+            this.runInfo.stages[stage] = this.runInfo.resumed && !this.runInfo.started ? 'resumed' : 'ran';
+        }
+        if (this.runInfo) this.runInfo.started = true;
+        const result = await this[stage](PipelineState.from(state));
+        result.completedStages.push(stage);
+        return { state: result };
+    }
+    
+    // Routing for the conditional edges; `state` may be a plain object restored from a checkpoint
+    routeAfterLoad(state) {
+        return state.inputData?.contentData ? 'continue' : 'fatal';
+    }
+    
+    routeAfterProcessing(state) {
+        if (!state.changes) return 'fatal';
+        return state.processedContent.some(chunk => chunk.status === 'new') ? 'embed' : 'unchanged';
+    }
+    
+    routeAfterEmbedding(state) {
+        const retryable = state.quarantined.some(entry => entry.retryable);
+        return retryable && state.retryRounds < this.embedding.retryRounds ? 'retry' : 'validate';
+    }
+    
+    // Mermaid flowchart of the graph: solid arrows are fixed edges, dotted arrows
+    // conditional ones, labelled with the route that takes them
+    toMermaid() {
+        const lines = ['graph TD', `    ${START}([start])`];
+        Object.keys(this.workflow.nodes).forEach(node => lines.push(`    ${node}[${node}]`));
+        lines.push(`    ${END}([end])`);
+        for (const [from, to] of this.workflow.edges) {
+            lines.push(`    ${from} --> ${to}`);
+        }
+        for (const [from, branches] of Object.entries(this.workflow.branches)) {
+            Object.values(branches).forEach(branch => {
+                Object.entries(branch.ends).forEach(([route, to]) => lines.push(`    ${from} -. ${route} .-> ${to}`));
+            });
+        }
+        return lines.join('\n');
     }
     
     async loadData(state) {
         console.log("📂 Loading data from Data Science analysis...");
         
         try {
-            const dataPath = './data-science-output.json';
+            const dataPath = this.inputPath;
             if (!fs.existsSync(dataPath)) {
-                throw new Error('Data Science output not found. Run Exercise 1 first.');
+                throw new Error(`Data Science output not found at ${dataPath}. Run Exercise 1 first.`);
             }
             
-            const inputData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+            // Older exports are migrated to the current schema; anything that still
+            // doesn't validate is rejected here rather than failing mid-embedding
+            const { data: inputData, migratedFrom } = Handoff.read(dataPath);
             state.inputData = inputData;
+            state.inputSchema = { version: inputData.schemaVersion, migratedFrom };
             
-            console.log(`✅ Loaded ${inputData.contentData?.length || 0} articles from analysis`);
+            if (migratedFrom.length > 0) {
+                console.log(`🔁 Migrated input from schema v${migratedFrom[0]} to v${inputData.schemaVersion}`);
+            }
+            console.log(`✅ Loaded ${inputData.contentData.length} articles from analysis`);
             
         } catch (error) {
             console.error("❌ Failed to load input data:", error.message);
-            state.errors.push({ stage: 'loadData', error: error.message });
+            state.errors.push({
+                stage: 'loadData',
+                error: error.message,
+                ...(error.errors?.length ? { fieldErrors: error.errors } : {})
+            });
         }
         
         return state;
     }
     
     async processContent(state) {
-        // TODO: Implement content processing for embedding pipeline
-        // Hints:
-        // 1. Take content from state.inputData.contentData
-        // 2. Clean and chunk content for optimal embedding
-        // 3. Add metadata (title, url, keywords, etc.)
-        // 4. Handle different content types and sizes
-        
-        console.log("🔄 Processing content for embeddings...");
+        console.log(`🔄 Processing content for embeddings (${this.chunker.strategy} chunking)...`);
         
         if (!state.inputData?.contentData) {
             state.errors.push({ stage: 'processContent', error: 'No content data available' });
@@ -126,28 +256,35 @@ class EmbeddingsPipeline {
         }
         
         try {
+            const seen = new Set();
             for (const article of state.inputData.contentData) {
                 console.log(`Processing: ${article.title}`);
                 
-                // TODO: Implement text chunking strategy
-                // const chunks = this.chunkContent(article.content, 500); // 500 words per chunk
-                
-                // For now, create simple chunks (replace with actual implementation)
-                const chunks = this.createSimpleChunks(article.content, 500);
+                const chunks = this.chunker.chunk(article.content);
                 
                 chunks.forEach((chunk, index) => {
-                    // TODO: Create rich metadata for each chunk
+                    const id = VectorManifest.chunkId(article.url, chunk.text);
+                    if (seen.has(id)) return; // repeated passage within the article
+                    seen.add(id);
+                    
                     const processedChunk = {
-                        id: uuidv4(),
-                        content: chunk,
+                        id,
+                        content: chunk.text,
                         metadata: {
                             title: article.title,
                             url: article.url,
                             chunkIndex: index,
                             totalChunks: chunks.length,
+                            section: chunk.section || '', // heading path, markdown chunking only
+                            chunker: this.chunker.strategy,
                             keywords: article.topKeywords,
+                            language: article.language || 'und', // ISO 639-1 from Exercise 1, for filtered retrieval
+                            topicId: article.topicId ?? -1, // NMF topic from Exercise 1 (-1: unassigned)
+                            topicLabel: article.topicLabel || '',
                             qualityScore: article.qualityScore,
-                            wordCount: chunk.split(' ').length,
+                            wordCount: Chunker.countWords(chunk.text),
+                            embeddingProvider: this.provider.name, // 'mock' vectors are refused by the chat agent
+                            embeddingModel: this.provider.modelId,
                             processedAt: new Date().toISOString()
                         }
                     };
@@ -160,6 +297,8 @@ class EmbeddingsPipeline {
             
             console.log(`✅ Processed ${state.processedContent.length} content chunks`);
             
+            await this.planChanges(state);
+            
         } catch (error) {
             console.error("❌ Content processing failed:", error.message);
             state.errors.push({ stage: 'processContent', error: error.message });
@@ -169,244 +308,528 @@ class EmbeddingsPipeline {
         return state;
     }
     
-    createSimpleChunks(content, maxWords) {
-        // Implement smart chunking with sentence boundaries
-        const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        const chunks = [];
-        let currentChunk = '';
-        let currentWordCount = 0;
+    // Compares this run's chunks with what is already stored and marks each one
+    // 'new' (needs embedding), 'updated' (metadata only) or 'unchanged'
+    async planChanges(state) {
+        const store = await this.loadManifest();
         
-        for (const sentence of sentences) {
-            const sentenceWords = sentence.trim().split(' ').length;
-            
-            // If adding this sentence would exceed maxWords, start a new chunk
-            if (currentWordCount + sentenceWords > maxWords && currentChunk.length > 0) {
-                chunks.push(currentChunk.trim());
-                currentChunk = sentence.trim();
-                currentWordCount = sentenceWords;
-            } else {
-                // Add sentence to current chunk
-                if (currentChunk.length > 0) {
-                    currentChunk += '. ' + sentence.trim();
-                } else {
-                    currentChunk = sentence.trim();
-                }
-                currentWordCount += sentenceWords;
-            }
-        }
+        // Vectors removed from the store behind our back must be embedded again
+        const storedIds = await store.ids();
+        const stored = new Set(storedIds);
+        this.manifest.remove(this.manifest.ids().filter(id => !stored.has(id)));
         
-        // Add the last chunk if it has content
-        if (currentChunk.trim().length > 0) {
-            chunks.push(currentChunk.trim());
-        }
+        const diff = this.manifest.diff(state.processedContent);
+        const status = new Map();
+        diff.added.forEach(chunk => status.set(chunk.id, 'new'));
+        diff.updated.forEach(chunk => status.set(chunk.id, this.rebuild ? 'new' : 'updated'));
+        diff.unchanged.forEach(chunk => status.set(chunk.id, this.rebuild ? 'new' : 'unchanged'));
+        state.processedContent.forEach(chunk => { chunk.status = status.get(chunk.id); });
         
-        // Fallback: if no chunks were created, use simple word-based chunking
-        if (chunks.length === 0) {
-            const words = content.split(' ');
-            for (let i = 0; i < words.length; i += maxWords) {
-                chunks.push(words.slice(i, i + maxWords).join(' '));
-            }
-        }
+        // Also drops vectors stored before the manifest existed (random IDs)
+        const current = new Set(state.processedContent.map(chunk => chunk.id));
+        state.deletedIds = storedIds.filter(id => !current.has(id));
         
-        return chunks;
+        const count = (value) => state.processedContent.filter(chunk => chunk.status === value).length;
+        state.changes = {
+            added: count('new'),
+            updated: count('updated'),
+            unchanged: count('unchanged'),
+            deleted: state.deletedIds.length
+        };
+        console.log(`🔁 Changes: ${state.changes.added} to embed, ${state.changes.updated} metadata-only, ` +
+            `${state.changes.unchanged} unchanged, ${state.changes.deleted} to delete`);
+    }
+    
+    async loadManifest() {
+        const store = await this.openStore();
+        this.manifest = new VectorManifest(
+            path.join(this.storageDir, `${this.collectionName}.manifest.json`),
+            { backend: store.backend, modelId: this.provider.id }
+        ).load();
+        if (this.manifest.resetReason) {
+            console.log(`🔁 Ignoring vector manifest: ${this.manifest.resetReason}`);
+        }
+        return store;
+    }
+    
+    async openStore() {
+        if (!this.store) {
+            this.store = await openVectorStore({
+                backend: this.storeBackend,
+                collection: this.collectionName,
+                dir: this.storageDir,
+                modelId: this.provider.id
+            });
+            console.log(`Using vector store: ${this.store.describe()}`);
+        }
+        return this.store;
     }
     
     async generateEmbeddings(state) {
-        console.log("🧠 Generating embeddings with AWS Bedrock...");
+        console.log(`🧠 Generating embeddings with ${this.provider.id}...`);
         
         if (state.processedContent.length === 0) {
             state.errors.push({ stage: 'generateEmbeddings', error: 'No processed content available' });
             return state;
         }
         
-        try {
-            for (const chunk of state.processedContent) {
-                console.log(`Embedding chunk: ${chunk.id.substring(0, 8)}...`);
-                
-                // Call Bedrock Titan embeddings
-                const embedding = await this.callBedrockEmbeddings(chunk.content);
-                
-                if (embedding) {
-                    state.embeddings.push({
-                        id: chunk.id,
-                        vector: embedding,
-                        content: chunk.content,
-                        metadata: chunk.metadata
-                    });
-                    state.metrics.embedded++;
-                } else {
-                    state.metrics.failed++;
-                }
-                
-                // Rate limiting delay
-                await this.delay(100); // Be respectful to Bedrock API
-            }
-            
-            console.log(`✅ Generated ${state.embeddings.length} embeddings`);
-            
-        } catch (error) {
-            console.error("❌ Embedding generation failed:", error.message);
-            state.errors.push({ stage: 'generateEmbeddings', error: error.message });
+        // Unchanged chunks keep the vectors they already have
+        const pending = state.processedContent.filter(chunk => chunk.status === 'new');
+        if (pending.length === 0) {
+            console.log("✅ No new or changed content, nothing to embed");
+            return state;
+        }
+        
+        // Vectors saved before a resumed run stopped, then text embedded before by any
+        // run (or the chat agent), need no request
+        const outcomes = new Map(); // chunk id -> { vector } | { error, attempts, retryable }
+        const saved = new Map(this.resumedRun ? this.checkpointer.loadProgress(this.runId, 'generateEmbeddings').map(({ id, vector }) => [id, vector]) : []);
+        pending.forEach(chunk => {
+            if (saved.has(chunk.id)) outcomes.set(chunk.id, { vector: saved.get(chunk.id) });
+        });
+        const resumedChunks = outcomes.size;
+        if (resumedChunks > 0) {
+            console.log(`🔁 Resuming: ${resumedChunks} of ${pending.length} chunks were embedded before the run stopped`);
+            if (this.runInfo) this.runInfo.resumedChunks = resumedChunks;
+        }
+        if (this.cache) {
+            pending.forEach(chunk => {
+                if (outcomes.has(chunk.id)) return;
+                const vector = this.cache.get(this.provider.id, chunk.content);
+                if (vector) outcomes.set(chunk.id, { vector });
+            });
         }
+        const cachedChunks = outcomes.size - resumedChunks;
+        const toEmbed = pending.filter(chunk => !outcomes.has(chunk.id));
+        
+        if (cachedChunks > 0) console.log(`💾 ${cachedChunks} of ${pending.length} chunks found in the embedding cache`);
+        const run = await this.embedChunks(toEmbed, outcomes, {
+            concurrency: this.embedding.concurrency,
+            ratePerSecond: this.embedding.ratePerSecond,
+            checkpoint: true
+        });
+        this.collectOutcomes(state, pending, outcomes);
+        
+        state.embeddingStats = {
+            provider: this.provider.name,
+            modelId: this.provider.modelId,
+            concurrency: run.workers,
+            batchSize: run.batchSize,
+            chunks: pending.length,
+            resumedChunks,
+            cachedChunks,
+            requests: run.requests,
+            durationSeconds: Number(run.seconds.toFixed(2)),
+            chunksPerSecond: Number((state.embeddings.length / Math.max(run.seconds, 0.001)).toFixed(2)),
+            throttles: run.bucket.throttles,
+            retries: run.retries,
+            retryRounds: 0,
+            recoveredChunks: 0,
+            failedChunks: state.quarantined.length,
+            ratePerSecond: {
+                configured: this.embedding.ratePerSecond,
+                lowest: Number(run.bucket.lowestRate.toFixed(2)),
+                final: Number(run.bucket.rate.toFixed(2))
+            }
+        };
+        
+        console.log(`✅ Generated ${state.embeddings.length} embeddings in ${EmbeddingsPipeline.formatDuration(run.seconds)} ` +
+            `(${state.embeddingStats.chunksPerSecond} chunks/s, ${run.bucket.throttles} throttled)`);
         
         return state;
     }
     
-    async callBedrockEmbeddings(text) {
-        try {
-            const params = {
-                modelId: process.env.BEDROCK_EMBEDDINGS_MODEL_ID,
-                contentType: "application/json",
-                accept: "application/json",
-                body: JSON.stringify({
-                    inputText: text
-                })
-            };
-            
-            const command = new InvokeModelCommand(params);
-            const response = await bedrockClient.send(command);
-            
-            const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-            return responseBody.embedding;
-            
-        } catch (error) {
-            console.warn(`⚠️  Bedrock API error: ${error.message}, using mock embedding`);
-            // Fallback to mock embedding if Bedrock fails
-            return this.mockBedrockEmbeddings(text);
+    // Chunks still throttled after maxRetries get another round after a pause,
+    // one request at a time at a quarter of the configured rate. Chunks that failed
+    // for any other reason (bad request, access denied) stay quarantined.
+    async retryFailedEmbeddings(state) {
+        state.retryRounds++;
+        const retryIds = new Set(state.quarantined.filter(entry => entry.retryable).map(entry => entry.id));
+        const chunks = state.processedContent.filter(chunk => retryIds.has(chunk.id));
+        const delayMs = this.embedding.retryDelayMs * state.retryRounds;
+        console.log(`🔁 Retry round ${state.retryRounds}/${this.embedding.retryRounds}: ` +
+            `${chunks.length} throttled chunk(s) in ${EmbeddingsPipeline.formatDuration(delayMs / 1000)}...`);
+        await this.delay(delayMs);
+        
+        state.quarantined = state.quarantined.filter(entry => !retryIds.has(entry.id));
+        state.metrics.failed -= chunks.length;
+        const outcomes = new Map();
+        const run = await this.embedChunks(chunks, outcomes, {
+            concurrency: 1,
+            ratePerSecond: Math.max(0.5, this.embedding.ratePerSecond / 4)
+        });
+        this.collectOutcomes(state, chunks, outcomes);
+        
+        const recovered = chunks.filter(chunk => outcomes.get(chunk.id).vector).length;
+        if (state.embeddingStats) {
+            const stats = state.embeddingStats;
+            stats.retryRounds = state.retryRounds;
+            stats.recoveredChunks += recovered;
+            stats.requests += run.requests;
+            stats.retries += run.retries;
+            stats.throttles += run.bucket.throttles;
+            stats.failedChunks = state.quarantined.length;
         }
+        console.log(`✅ Recovered ${recovered} of ${chunks.length} chunk(s)`);
+        
+        return state;
     }
     
-    async mockBedrockEmbeddings(text) {
-        // TODO: Replace with actual Bedrock call
+    // Embeds `chunks` with a pool of workers sharing one rate limiter, recording each
+    // chunk's { vector } or { error, attempts, retryable } in `outcomes`
+    async embedChunks(chunks, outcomes, { concurrency, ratePerSecond, checkpoint = false }) {
+        const batchSize = Math.max(1, Math.min(this.embedding.batchSize, this.provider.batchLimit));
+        const batches = [];
+        for (let i = 0; i < chunks.length; i += batchSize) {
+            batches.push(chunks.slice(i, i + batchSize));
+        }
+        
+        const bucket = new TokenBucket({ ratePerSecond, burst: this.embedding.burst });
+        const stats = { requests: 0, retries: 0 };
+        const queue = [...batches];
+        const startTime = Date.now();
+        let done = 0;
+        let lastProgressAt = startTime;
+        let lastCheckpointAt = startTime;
+        const unsaved = []; // { id, vector } embedded since the last checkpoint
         
-        // Mock 1536-dimensional embedding (Titan default)
-        return Array.from({ length: 1536 }, () => Math.random() - 0.5);
+        if (chunks.length > 0) {
+            console.log(`Embedding ${chunks.length} chunks in ${batches.length} requests ` +
+                `(concurrency ${concurrency}, up to ${ratePerSecond} requests/s)`);
+        }
+        
+        const worker = async () => {
+            while (queue.length > 0) {
+                const batch = queue.shift();
+                const { vectors, ...failure } = await this.embedWithRetry(batch, bucket, stats);
+                batch.forEach((chunk, j) => outcomes.set(chunk.id, vectors ? { vector: vectors[j] } : failure));
+                if (checkpoint && vectors) batch.forEach((chunk, j) => unsaved.push({ id: chunk.id, vector: vectors[j] }));
+                done += batch.length;
+                lastProgressAt = this.reportProgress(done, chunks.length, startTime, lastProgressAt);
+                if (checkpoint) lastCheckpointAt = this.checkpointEmbeddings(unsaved, lastCheckpointAt);
+            }
+        };
+        const workers = Math.max(1, Math.min(concurrency, batches.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+        
+        return { bucket, workers, batchSize, ...stats, seconds: (Date.now() - startTime) / 1000 };
     }
     
-    async storeVectors(state) {
-        console.log("💾 Storing vectors in ChromaDB...");
+    // Failed chunks are quarantined rather than stored; the next run retries them
+    collectOutcomes(state, chunks, outcomes) {
+        chunks.forEach(chunk => {
+            const { vector, error, attempts, retryable } = outcomes.get(chunk.id);
+            if (vector) {
+                state.embeddings.push({
+                    id: chunk.id,
+                    vector,
+                    content: chunk.content,
+                    metadata: chunk.metadata
+                });
+                state.metrics.embedded++;
+                return;
+            }
+            state.metrics.failed++;
+            state.quarantined.push({
+                id: chunk.id,
+                url: chunk.metadata.url,
+                title: chunk.metadata.title,
+                chunkIndex: chunk.metadata.chunkIndex,
+                error,
+                attempts,
+                retryable,
+                failedAt: new Date().toISOString()
+            });
+        });
+    }
+    
+    // Last check before anything is written: every vector must be a non-empty array
+    // of finite numbers, not all zero, with the run's dimensions (the provider's when
+    // it has fixed dimensions, otherwise the most common length)
+    async validateEmbeddings(state) {
+        console.log("🔎 Validating embeddings...");
         
-        if (state.embeddings.length === 0) {
-            state.errors.push({ stage: 'storeVectors', error: 'No embeddings to store' });
-            return state;
+        const lengths = new Map();
+        state.embeddings.forEach(item => {
+            const length = Array.isArray(item.vector) ? item.vector.length : 0;
+            lengths.set(length, (lengths.get(length) || 0) + 1);
+        });
+        const commonLength = [...lengths.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+        const dimensions = this.provider.dimensions ?? commonLength;
+        
+        const rejected = [];
+        state.embeddings = state.embeddings.filter(item => {
+            const problem = EmbeddingsPipeline.vectorProblem(item.vector, dimensions);
+            if (problem) rejected.push({ item, problem });
+            return !problem;
+        });
+        rejected.forEach(({ item, problem }) => {
+            state.metrics.embedded--;
+            state.metrics.failed++;
+            state.quarantined.push({
+                id: item.id,
+                url: item.metadata.url,
+                title: item.metadata.title,
+                chunkIndex: item.metadata.chunkIndex,
+                error: `Invalid embedding: ${problem}`,
+                attempts: 0,
+                retryable: false,
+                failedAt: new Date().toISOString()
+            });
+        });
+        state.validation = { checked: state.embeddings.length + rejected.length, rejected: rejected.length, dimensions };
+        
+        if (state.quarantined.length > 0) {
+            const reasons = [...new Set(state.quarantined.map(entry => entry.error))];
+            state.errors.push({
+                stage: 'validateEmbeddings',
+                error: `${state.quarantined.length} chunk(s) not embedded (quarantined): ${reasons.join('; ')}`
+            });
         }
+        console.log(`✅ ${state.embeddings.length} embeddings valid (${dimensions} dimensions)` +
+            (rejected.length > 0 ? `, ${rejected.length} rejected` : ''));
         
-        try {
-            // Create embedded storage directory
-            const fs = require('fs');
-            const path = require('path');
-            const storageDir = './chroma_db';
-            
-            if (!fs.existsSync(storageDir)) {
-                fs.mkdirSync(storageDir, { recursive: true });
-            }
-            
-            console.log(`Creating/accessing collection: ${this.collectionName}`);
-            console.log('Using embedded ChromaDB (data stored in ./chroma_db/)');
-            
-            // Try to use real ChromaDB, fallback to file storage
-            let useFileStorage = false;
+        return state;
+    }
+    
+    static vectorProblem(vector, dimensions) {
+        if (!Array.isArray(vector) || vector.length === 0) return 'no vector';
+        if (dimensions && vector.length !== dimensions) return `${vector.length} dimensions, expected ${dimensions}`;
+        if (!vector.every(Number.isFinite)) return 'contains NaN or Infinity';
+        if (vector.every(x => x === 0)) return 'all zeros';
+        return null;
+    }
+    
+    // One request for a batch of chunks, retried with exponential backoff while
+    // Bedrock throttles us. Resolves to { vectors } or { vectors: null, error, attempts, retryable }.
+    async embedWithRetry(chunks, bucket, stats) {
+        const texts = chunks.map(chunk => chunk.content);
+        
+        for (let attempt = 1; ; attempt++) {
+            await bucket.take();
+            stats.requests++;
             try {
-                const collection = await chroma.getOrCreateCollection({
-                    name: this.collectionName,
-                    metadata: { "description": "Tech content embeddings for semantic search" }
-                });
-                
-                // Batch insert embeddings
-                const batchSize = 10;
-                for (let i = 0; i < state.embeddings.length; i += batchSize) {
-                    const batch = state.embeddings.slice(i, i + batchSize);
-                    
-                    // Prepare data for ChromaDB
-                    const ids = batch.map(item => item.id);
-                    const embeddings = batch.map(item => item.vector);
-                    const documents = batch.map(item => item.content);
-                    const metadatas = batch.map(item => ({
-                        title: item.metadata.title,
-                        url: item.metadata.url,
-                        chunkIndex: item.metadata.chunkIndex,
-                        totalChunks: item.metadata.totalChunks,
-                        keywords: JSON.stringify(item.metadata.keywords),
-                        qualityScore: item.metadata.qualityScore,
-                        wordCount: item.metadata.wordCount,
-                        processedAt: item.metadata.processedAt
-                    }));
-                    
-                    // Insert batch into ChromaDB
-                    await collection.add({
-                        ids: ids,
-                        embeddings: embeddings,
-                        documents: documents,
-                        metadatas: metadatas
+                const vectors = await this.provider.embed(texts);
+                bucket.succeeded();
+                if (this.cache) {
+                    // An invalid vector is rejected by validateEmbeddings; don't keep serving it
+                    vectors.forEach((vector, i) => {
+                        if (!EmbeddingsPipeline.vectorProblem(vector)) this.cache.set(this.provider.id, texts[i], vector);
                     });
-                    
-                    console.log(`Stored batch ${Math.floor(i/batchSize) + 1}: ${batch.length} vectors`);
-                    state.storedVectors.push(...batch);
-                    state.metrics.stored += batch.length;
                 }
-            } catch (chromaError) {
-                console.log('⚠️  ChromaDB server not available, using local file storage');
-                useFileStorage = true;
-            }
-            
-            if (useFileStorage) {
-                // Fallback: Store embeddings as JSON files
-                const collectionFile = path.join(storageDir, `${this.collectionName}.json`);
-                const collectionData = {
-                    name: this.collectionName,
-                    metadata: { "description": "Tech content embeddings for semantic search" },
-                    embeddings: state.embeddings.map(item => ({
-                        id: item.id,
-                        vector: item.vector,
-                        document: item.content,
-                        metadata: item.metadata
-                    })),
-                    createdAt: new Date().toISOString(),
-                    totalVectors: state.embeddings.length
-                };
-                
-                fs.writeFileSync(collectionFile, JSON.stringify(collectionData, null, 2));
+                return { vectors };
+            } catch (error) {
+                if (!BedrockEmbeddingProvider.isRetryable(error) || attempt > this.embedding.maxRetries) {
+                    console.error(`❌ Embedding failed for ${chunks[0].id.substring(0, 8)}... after ${attempt} attempt(s): ${error.message}`);
+                    return {
+                        vectors: null,
+                        error: `${error.name}: ${error.message}`,
+                        attempts: attempt,
+                        retryable: BedrockEmbeddingProvider.isRetryable(error) // worth another round later
+                    };
+                }
                 
-                console.log(`Stored ${state.embeddings.length} vectors in local file: ${collectionFile}`);
-                state.storedVectors.push(...state.embeddings);
-                state.metrics.stored = state.embeddings.length;
+                bucket.throttled();
+                stats.retries++;
+                const backoff = Math.min(
+                    this.embedding.maxBackoffMs,
+                    this.embedding.backoffBaseMs * Math.pow(2, attempt - 1) + Math.random() * this.embedding.backoffBaseMs
+                );
+                console.warn(`⚠️  ${error.name}: retrying in ${Math.round(backoff)}ms ` +
+                    `(attempt ${attempt}/${this.embedding.maxRetries}, rate now ${bucket.rate.toFixed(1)} requests/s)`);
+                await this.delay(backoff);
             }
+        }
+    }
+    
+    // Appends the vectors embedded since the last save (and empties `unsaved`) at most
+    // every checkpointIntervalMs, so a resumed run only embeds what's left. LangGraph's
+    // own checkpoint replaces this once the stage finishes.
+    checkpointEmbeddings(unsaved, lastCheckpointAt) {
+        const now = Date.now();
+        if (now - lastCheckpointAt < this.checkpointIntervalMs) return lastCheckpointAt;
+        
+        this.checkpointer.appendProgress(this.runId, 'generateEmbeddings', unsaved.splice(0));
+        return now;
+    }
+    
+    // Logs at most every progressIntervalMs, and always once at the end
+    reportProgress(done, total, startTime, lastProgressAt) {
+        const now = Date.now();
+        if (done < total && now - lastProgressAt < this.embedding.progressIntervalMs) return lastProgressAt;
+        
+        const seconds = (now - startTime) / 1000;
+        const rate = done / Math.max(seconds, 0.001);
+        const eta = rate > 0 ? (total - done) / rate : 0;
+        console.log(`⏳ Embedded ${done}/${total} chunks (${Math.round((done / total) * 100)}%), ` +
+            `${rate.toFixed(1)} chunks/s, ETA ${EmbeddingsPipeline.formatDuration(eta)}`);
+        return now;
+    }
+    
+    static formatDuration(seconds) {
+        const total = Math.round(seconds);
+        if (total < 60) return `${total}s`;
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${total % 60}s`;
+    }
+    
+    async storeVectors(state) {
+        console.log("💾 Storing vectors...");
+        
+        if (!state.changes) {
+            state.errors.push({ stage: 'storeVectors', error: 'No processed content to store' });
+            return state;
+        }
+        // A resumed run planned its changes in an earlier process
+        if (!this.manifest) await this.loadManifest();
+        
+        this.writeQuarantine(state.quarantined);
+        
+        const pending = state.processedContent.filter(chunk => chunk.status === 'new');
+        const updates = state.processedContent.filter(chunk => chunk.status === 'updated');
+        if (pending.length > 0 && state.embeddings.length === 0) {
+            state.errors.push({ stage: 'storeVectors', error: 'No embeddings to store' });
+        }
+        if (state.embeddings.length === 0 && updates.length === 0 && state.deletedIds.length === 0) {
+            if (pending.length === 0) console.log(`✅ Vector store up to date (${this.manifest.size} vectors)`);
+            return state;
+        }
+        
+        try {
+            await this.writeToStore(this.store, state, updates);
             
-            console.log(`✅ Stored ${state.storedVectors.length} vectors successfully`);
+            console.log(`✅ Stored ${state.storedVectors.length} vectors, updated ${updates.length}, deleted ${state.metrics.deleted}`);
             
         } catch (error) {
             console.error("❌ Vector storage failed:", error.message);
             state.errors.push({ stage: 'storeVectors', error: error.message });
+        } finally {
+            // Whatever made it into the store is recorded, so a re-run picks up where this one failed
+            this.manifest.save();
         }
         
         return state;
     }
     
+    // Current failures only: a chunk that embeds on a later run leaves quarantine
+    writeQuarantine(quarantined) {
+        const quarantineFile = path.join(this.storageDir, `${this.collectionName}.quarantine.json`);
+        if (quarantined.length === 0) {
+            if (fs.existsSync(quarantineFile)) fs.unlinkSync(quarantineFile);
+            return;
+        }
+        fs.mkdirSync(this.storageDir, { recursive: true });
+        fs.writeFileSync(quarantineFile, JSON.stringify({
+            provider: this.provider.id,
+            updatedAt: new Date().toISOString(),
+            chunks: quarantined
+        }, null, 2));
+        console.log(`🚧 Quarantined ${quarantined.length} chunk(s) that could not be embedded: ${quarantineFile}`);
+    }
+    
+    // Writes in the store's batch size and records each batch in the manifest as it
+    // lands, so a failure part-way keeps track of what was written
+    async writeToStore(store, state, updates) {
+        const batchSize = store.batchSize;
+        
+        // Upsert: a chunk re-embedded with --rebuild replaces its old vector
+        for (let i = 0; i < state.embeddings.length; i += batchSize) {
+            const batch = state.embeddings.slice(i, i + batchSize);
+            await store.upsert(batch.map(item => ({
+                id: item.id,
+                vector: item.vector,
+                document: item.content,
+                metadata: item.metadata
+            })));
+            
+            if (batch.length < state.embeddings.length) {
+                console.log(`Stored batch ${Math.floor(i/batchSize) + 1}: ${batch.length} vectors`);
+            }
+            this.manifest.record(batch);
+            state.storedVectors.push(...batch);
+            state.metrics.stored += batch.length;
+        }
+        
+        for (let i = 0; i < updates.length; i += batchSize) {
+            const batch = updates.slice(i, i + batchSize);
+            await store.updateMetadata(batch.map(chunk => ({ id: chunk.id, metadata: chunk.metadata })));
+            this.manifest.record(batch);
+        }
+        
+        for (let i = 0; i < state.deletedIds.length; i += batchSize) {
+            const ids = state.deletedIds.slice(i, i + batchSize);
+            await store.delete(ids);
+            this.manifest.remove(ids);
+            state.metrics.deleted += ids.length;
+        }
+    }
+    
     async generateReport(state) {
         console.log("\n📊 Generating pipeline report...");
         
         const endTime = Date.now();
         const duration = Math.round((endTime - state.startTime) / 1000);
+        const totalVectors = this.manifest ? this.manifest.size : state.storedVectors.length;
+        const byProvider = this.manifest ? this.manifest.countByProvider() : {};
+        const mockVectors = byProvider.mock || 0;
+        const usableVectors = totalVectors - mockVectors;
+        const chunkWords = state.processedContent.map(chunk => chunk.metadata.wordCount);
+        // loadData or processContent failed and the graph routed straight here
+        const fatal = !state.inputData?.contentData || !state.changes;
         
         const report = {
             pipelineRun: {
                 timestamp: new Date().toISOString(),
-                status: state.errors.length === 0 ? 'SUCCESS' : 'PARTIAL_SUCCESS',
+                status: fatal ? 'FAILED' : state.errors.length === 0 ? 'SUCCESS' : 'PARTIAL_SUCCESS',
                 duration: `${duration} seconds`,
+                runId: this.runId,
+                // Stages in the order they ran; conditional edges skip some
+                stages: [...state.completedStages, 'generateReport'],
             },
+            // Which stages came from a checkpoint ('restored'), picked up where they
+            // stopped ('resumed') or ran in full ('ran'); null for a fresh run
+            resume: this.runInfo?.resumed ? {
+                stages: this.runInfo.stages,
+                resumedChunks: this.runInfo.resumedChunks || 0
+            } : null,
             metrics: state.metrics,
+            // Incremental run: only 'added' chunks were sent for embedding
+            changes: state.changes,
+            // Throughput, throttles and retries; null when nothing needed embedding
+            embedding: state.embeddingStats,
+            // Process-local hits/misses; entries is the shared on-disk total
+            embeddingCache: this.cache ? this.cache.stats() : null,
+            // Vectors rejected before storage (wrong dimensions, NaN, all zeros)
+            validation: state.validation,
+            // Strategy + parameters, so runs with different chunking can be compared
+            chunking: {
+                ...this.chunker.describe(),
+                chunks: chunkWords.length,
+                wordsPerChunk: {
+                    min: chunkWords.length > 0 ? chunkWords.reduce((a, b) => Math.min(a, b)) : 0,
+                    avg: chunkWords.length > 0 ? Math.round(chunkWords.reduce((a, b) => a + b, 0) / chunkWords.length) : 0,
+                    max: chunkWords.length > 0 ? chunkWords.reduce((a, b) => Math.max(a, b)) : 0
+                }
+            },
             dataQuality: {
                 inputArticles: state.inputData?.contentData?.length || 0,
+                inputSchema: state.inputSchema,
                 processedChunks: state.processedContent.length,
                 successfulEmbeddings: state.embeddings.length,
                 storedVectors: state.storedVectors.length,
                 errorRate: state.errors.length / Math.max(1, state.processedContent.length)
             },
             vectorDatabase: {
+                backend: this.store?.backend ?? null,
                 collection: this.collectionName,
-                totalVectors: state.storedVectors.length,
-                dimensions: 1536, // Titan embedding size
-                ready: state.storedVectors.length > 0
+                totalVectors,
+                // Only 'bedrock' vectors are real semantic embeddings
+                realVectors: byProvider.bedrock || 0,
+                vectorsByProvider: byProvider,
+                quarantinedChunks: state.quarantined.length,
+                dimensions: state.embeddings[0]?.vector.length ?? this.provider.dimensions ?? null,
+                ready: usableVectors > 0
             },
             errors: state.errors,
             nextSteps: [
@@ -416,17 +839,28 @@ class EmbeddingsPipeline {
             ]
         };
         
-        // Export for Exercise 3
-        fs.writeFileSync('./exercise-3-app-development/vector-db-config.json', 
-            JSON.stringify({
-                collection: this.collectionName,
-                vectorCount: state.storedVectors.length,
-                ready: true,
-                createdAt: new Date().toISOString()
-            }, null, 2));
+        // Export for Exercise 3; a failed run leaves the chat agent's config as it was
+        if (!fatal) {
+            fs.writeFileSync(this.agentConfigPath, 
+                JSON.stringify({
+                    collection: this.collectionName,
+                    // The chat agent opens this store, whatever 'auto' would find
+                    backend: this.store?.backend ?? null,
+                    dir: this.store?.dir ? path.resolve(this.store.dir) : null,
+                    url: this.store?.url ?? null,
+                    vectorCount: totalVectors,
+                    // The chat agent embeds queries with the same provider and model
+                    embeddingProvider: this.provider.name,
+                    embeddingModel: this.provider.modelId,
+                    realVectors: byProvider.bedrock || 0,
+                    vectorsByProvider: byProvider,
+                    ready: usableVectors > 0,
+                    createdAt: new Date().toISOString()
+                }, null, 2));
+        }
         
         // Save pipeline report
-        fs.writeFileSync('./pipeline-report.json', JSON.stringify(report, null, 2));
+        fs.writeFileSync(this.reportPath, JSON.stringify(report, null, 2));
         
         this.displayReport(report);
         state.report = report;
@@ -437,12 +871,53 @@ class EmbeddingsPipeline {
     displayReport(report) {
         console.log('\n=== EMBEDDINGS PIPELINE RESULTS ===');
         console.log(`Status: ${report.pipelineRun.status}`);
+        console.log(`Stages: ${report.pipelineRun.stages.join(' → ')}`);
+        if (report.resume) {
+            const restored = Object.keys(report.resume.stages).filter(stage => report.resume.stages[stage] === 'restored');
+            console.log(`Resumed: run ${report.pipelineRun.runId} (restored ${restored.join(', ') || 'no stages'}, ` +
+                `${report.resume.resumedChunks} chunks already embedded)`);
+        }
         console.log(`Processed: ${report.metrics.processed} articles`);
+        const { strategy, chunks, wordsPerChunk, ...params } = report.chunking;
+        const settings = Object.entries(params)
+            .filter(([, value]) => value !== null && !Array.isArray(value))
+            .map(([key, value]) => `${key}=${value}`)
+            .join(', ');
+        console.log(`Chunking: ${strategy} (${settings}) → ${chunks} chunks, ${wordsPerChunk.min}-${wordsPerChunk.max} words (avg ${wordsPerChunk.avg})`);
         console.log(`Generated: ${report.metrics.embedded} embeddings`);
+        if (report.embedding) {
+            console.log(`Throughput: ${report.embedding.chunksPerSecond} chunks/s ` +
+                `(${report.embedding.requests} requests, ${report.embedding.throttles} throttled, ${report.embedding.retries} retries)`);
+            if (report.embedding.retryRounds > 0) {
+                console.log(`Retry rounds: ${report.embedding.retryRounds}, recovered ${report.embedding.recoveredChunks} chunks`);
+            }
+        }
+        if (report.validation?.rejected > 0) {
+            console.log(`🚧 Rejected: ${report.validation.rejected} invalid vectors (quarantined)`);
+        }
+        if (report.embeddingCache) {
+            const { hits, misses, entries } = report.embeddingCache;
+            console.log(`Embedding cache: ${hits} hits, ${misses} misses (${entries} vectors cached)`);
+        }
         console.log(`Stored: ${report.metrics.stored} vectors`);
+        if (report.changes) {
+            console.log(`Unchanged: ${report.changes.unchanged} chunks (not re-embedded)`);
+            console.log(`Deleted: ${report.metrics.deleted} stale vectors`);
+        }
+        const { totalVectors, realVectors, vectorsByProvider, quarantinedChunks } = report.vectorDatabase;
+        console.log(`Total in store: ${totalVectors} vectors (${realVectors} real Bedrock embeddings)`);
+        Object.entries(vectorsByProvider)
+            .filter(([provider]) => provider !== 'bedrock')
+            .forEach(([provider, count]) => {
+                const note = provider === 'mock' ? 'random, ignored by the chat agent outside test mode' : 'not semantic embeddings';
+                console.log(`⚠️  ${count} ${provider} vectors (${note})`);
+            });
+        if (quarantinedChunks > 0) {
+            console.log(`🚧 Quarantined: ${quarantinedChunks} chunks (not stored, retried next run)`);
+        }
         console.log(`Errors: ${report.errors.length}`);
         console.log(`Quality Score: ${(10 - report.dataQuality.errorRate * 10).toFixed(1)}/10`);
-        console.log(`Ready for: Chat agent deployment`);
+        console.log(`Ready for: ${report.vectorDatabase.ready ? 'Chat agent deployment' : 'nothing yet (no usable vectors)'}`);
         console.log('=====================================\n');
         
         if (report.errors.length > 0) {
@@ -454,8 +929,8 @@ class EmbeddingsPipeline {
         }
         
         console.log('📁 Output files generated:');
-        console.log('  - pipeline-report.json (detailed metrics)');
-        console.log('  - ../exercise-3-app-development/vector-db-config.json');
+        console.log(`  - ${this.reportPath} (detailed metrics)`);
+        if (report.pipelineRun.status !== 'FAILED') console.log(`  - ${this.agentConfigPath}`);
     }
     
     async delay(ms) {
@@ -463,17 +938,142 @@ class EmbeddingsPipeline {
     }
     
     async run() {
-        console.log('🚀 Starting embeddings pipeline...\n');
+        const config = { configurable: { thread_id: this.runId } };
+        const completed = this.resumedRun?.checkpoint?.channel_values?.state?.completedStages || [];
+        // Without a checkpoint the previous attempt stopped before loadData finished its input step
+        let input = { state: new PipelineState() };
         
-        const initialState = { state: new PipelineState() };
-        const result = await this.graph.invoke(initialState);
+        if (this.resumedRun) {
+            console.log(`🚀 Resuming embeddings pipeline run ${this.runId} (started ${this.resumedRun.createdAt})...\n`);
+            if (this.resumedRun.checkpoint) input = null; // continue from the saved checkpoint
+            this.runInfo = {
+                runId: this.runId,
+                resumed: true,
+                started: false,
+                stages: Object.fromEntries(completed.map(stage => [stage, 'restored']))
+            };
+            if (completed.length > 0) console.log(`🔁 Restored from checkpoint: ${[...new Set(completed)].join(', ')}`);
+        } else {
+            console.log('🚀 Starting embeddings pipeline...\n');
+            this.checkpointer.unfinishedRuns().forEach(run => {
+                console.log(`💡 Run ${run.runId} stopped unfinished (${run.updatedAt}); resume it with --resume ${run.runId}`);
+            });
+            this.checkpointer.createRun(this.runId, this.runSettings());
+            this.runInfo = { runId: this.runId, resumed: false, started: false, stages: {} };
+        }
+        console.log(`🆔 Run ID: ${this.runId}`);
+        
+        let result;
+        try {
+            result = await this.graph.invoke(input, config);
+        } catch (error) {
+            console.error(`❌ Run ${this.runId} stopped: ${error.message}`);
+            console.error(`💡 Resume it with: node embeddings-pipeline.js --resume ${this.runId}`);
+            throw error;
+        }
         
-        return result.state;
+        // Finished runs can't be resumed; their checkpoint only takes up space
+        this.checkpointer.remove(this.runId);
+        return PipelineState.from(result.state);
     }
 }
 
+// --chunk-size is in the strategy's own unit
+const CHUNK_SIZE_PARAMS = {
+    sentence: 'maxWords',
+    markdown: 'maxWords',
+    token: 'maxTokens',
+    recursive: 'maxChars'
+};
+
+const USAGE = `Usage: node embeddings-pipeline.js [options]
+
+  --chunker <strategy>     sentence (default), token, recursive or markdown
+  --chunk-size <n>         max words (sentence, markdown), tokens (token) or characters (recursive)
+  --chunk-overlap <n>      sentences, tokens or characters shared by neighbouring chunks
+  --provider <name>        bedrock (default), deterministic-local (offline) or mock (random, tests only)
+  --store <backend>        auto (default: ChromaDB if reachable, else local files), chroma, file or memory
+  --concurrency <n>        Bedrock requests in flight (default 4)
+  --rate <n>               max Bedrock requests per second (default 10)
+  --rebuild                re-embed everything instead of only new or changed chunks
+  --resume <runId>         continue a run that stopped, with the settings it started with
+  --mermaid                print the pipeline graph as a Mermaid diagram and exit
+  -h, --help               show this help`;
+
+function parseCliArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            chunker: { type: 'string', default: 'sentence' },
+            'chunk-size': { type: 'string' },
+            'chunk-overlap': { type: 'string' },
+            provider: { type: 'string' },
+            store: { type: 'string' },
+            concurrency: { type: 'string' },
+            rate: { type: 'string' },
+            rebuild: { type: 'boolean', default: false },
+            resume: { type: 'string' },
+            mermaid: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    
+    const integer = (name) => {
+        const value = values[name];
+        if (value === undefined) return undefined;
+        if (!/^\d+$/.test(value)) throw new Error(`--${name} must be a non-negative integer, got "${value}"`);
+        return Number(value);
+    };
+    
+    const chunking = { strategy: values.chunker };
+    const size = integer('chunk-size');
+    const overlap = integer('chunk-overlap');
+    if (size === 0) throw new Error('--chunk-size must be at least 1');
+    if (size !== undefined) chunking[CHUNK_SIZE_PARAMS[values.chunker] || 'maxWords'] = size;
+    if (overlap !== undefined) chunking.overlap = overlap;
+    
+    const embedding = {};
+    const concurrency = integer('concurrency');
+    const rate = values.rate === undefined ? undefined : Number(values.rate);
+    if (concurrency !== undefined) embedding.concurrency = Math.max(1, concurrency);
+    if (rate !== undefined) {
+        if (!(rate > 0)) throw new Error(`--rate must be a positive number, got "${values.rate}"`);
+        embedding.ratePerSecond = rate;
+    }
+    
+    return { help: values.help, mermaid: values.mermaid, rebuild: values.rebuild, resume: values.resume, provider: values.provider, store: values.store, chunking, embedding };
+}
+
 // Main execution
-async function main() {
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    let pipeline;
+    try {
+        args = parseCliArgs(argv);
+        if (args.help) {
+            console.log(USAGE);
+            return;
+        }
+        pipeline = new EmbeddingsPipeline({
+            rebuild: args.rebuild,
+            resume: args.resume,
+            provider: args.provider,
+            storeBackend: args.store,
+            chunking: args.chunking,
+            embedding: args.embedding
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    
+    if (args.mermaid) {
+        console.log(pipeline.toMermaid());
+        return;
+    }
+    
     console.log('='.repeat(50));
     console.log('  EXERCISE 2: DATA ENGINEERING - EMBEDDINGS');
     console.log('='.repeat(50));
@@ -481,16 +1081,25 @@ async function main() {
     console.log('Task: Build embeddings pipeline with LangGraph\n');
     
     // Run the complete pipeline
-    const pipeline = new EmbeddingsPipeline();
-    await pipeline.run();
+    const result = await pipeline.run();
+    const status = result.report?.pipelineRun.status;
+    if (status !== 'SUCCESS') {
+        // Non-zero, so scripts and CI notice fatal errors and quarantined chunks
+        console.error(`\n❌ Pipeline finished with status ${status}; see the errors above`);
+        process.exitCode = 1;
+        return;
+    }
     
     console.log('\n✅ Pipeline completed successfully!');
     console.log('💡 Tip: Check pipeline-report.json for detailed metrics');
-    console.log('💡 ChromaDB data stored in ./chroma_db/ directory');
+    if (pipeline.store) console.log(`💡 Vectors stored in ${pipeline.store.describe()}`);
 }
 
 if (require.main === module) {
-    main().catch(console.error);
+    main().catch(error => {
+        console.error('❌ Pipeline failed:', error);
+        process.exitCode = 1;
+    });
 }
 
 module.exports = { EmbeddingsPipeline, PipelineState };
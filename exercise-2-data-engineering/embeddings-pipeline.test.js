@@ -0,0 +1,277 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EmbeddingsPipeline } = require('./embeddings-pipeline');
+const { Handoff } = require('../shared/handoff');
+
+const sentences = (topic, n) => Array.from({ length: n }, (_, i) =>
+    `Sentence ${i + 1} explains how ${topic} systems handle case number ${i + 1} in production.`).join(' ');
+
+const articles = () => [
+    { url: 'https://example.com/vectors', title: 'Vectors', content: sentences('vector search', 40), wordCount: 480, qualityScore: 8, topKeywords: ['vector'], language: 'en' },
+    { url: 'https://example.com/pipelines', title: 'Pipelines', content: sentences('data pipeline', 40), wordCount: 480, qualityScore: 7, topKeywords: ['pipeline'], language: 'en' }
+];
+
+// Temp input, outputs and storage so runs never touch the repo's files
+function setup(t, contentData = articles()) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    const inputPath = path.join(dir, 'data-science-output.json');
+    const writeInput = (data) => Handoff.write(inputPath, {
+        analysis: { totalArticles: data.length, avgWordCount: 480, avgQualityScore: 7.5, topTopics: [], generatedAt: new Date().toISOString() },
+        contentData: data,
+        exportedAt: new Date().toISOString()
+    });
+    writeInput(contentData);
+
+    const options = (extra = {}) => ({
+        inputPath,
+        reportPath: path.join(dir, 'pipeline-report.json'),
+        agentConfigPath: path.join(dir, 'vector-db-config.json'),
+        storageDir: path.join(dir, 'store'),
+        cache: { dir: path.join(dir, 'cache') },
+        provider: 'deterministic-local',
+        storeBackend: 'file',
+        ...extra
+    });
+    return { dir, inputPath, writeInput, options };
+}
+
+test('a second run re-embeds nothing and later runs embed only what changed', async (t) => {
+    const { writeInput, options } = setup(t);
+
+    const first = await new EmbeddingsPipeline(options()).run();
+    assert.equal(first.report.pipelineRun.status, 'SUCCESS');
+    const total = first.processedContent.length;
+    assert.ok(total > 2);
+    assert.deepEqual(first.changes, { added: total, updated: 0, unchanged: 0, deleted: 0 });
+    assert.equal(first.metrics.stored, total);
+
+    const second = await new EmbeddingsPipeline(options()).run();
+    assert.deepEqual(second.changes, { added: 0, updated: 0, unchanged: total, deleted: 0 });
+    assert.equal(second.metrics.embedded, 0);
+    assert.equal(second.embeddingStats, null);
+    assert.ok(!second.completedStages.includes('generateEmbeddings'), 'unchanged input skips embedding');
+
+    // One article's text changes, the other only its score
+    const edited = articles();
+    edited[0].content = sentences('approximate nearest neighbour', 40);
+    edited[1].qualityScore = 9;
+    writeInput(edited);
+
+    const third = await new EmbeddingsPipeline(options()).run();
+    const perArticle = total / 2;
+    assert.deepEqual(third.changes, { added: perArticle, updated: perArticle, unchanged: 0, deleted: perArticle });
+    assert.equal(third.metrics.embedded, perArticle);
+    assert.equal(third.report.vectorDatabase.totalVectors, total);
+
+    const rebuilt = await new EmbeddingsPipeline(options({ rebuild: true })).run();
+    assert.equal(rebuilt.changes.added, total);
+    assert.equal(rebuilt.embeddingStats.cachedChunks, total, 'rebuilds are served from the embedding cache');
+});
+
+const throttling = () => Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' });
+
+test('throttled requests are retried with backoff and counted', async (t) => {
+    const { options } = setup(t);
+    const pipeline = new EmbeddingsPipeline(options({
+        embedding: { concurrency: 2, batchSize: 1, backoffBaseMs: 1, maxBackoffMs: 5, ratePerSecond: 1000 }
+    }));
+    const embed = pipeline.provider.embed.bind(pipeline.provider);
+    let calls = 0;
+    t.mock.method(pipeline.provider, 'embed', async (texts) => {
+        calls++;
+        if (calls % 3 === 1) throw throttling();
+        return embed(texts);
+    });
+
+    const state = await pipeline.run();
+    const stats = state.embeddingStats;
+
+    assert.equal(state.report.pipelineRun.status, 'SUCCESS');
+    assert.equal(state.metrics.embedded, state.processedContent.length);
+    assert.ok(stats.throttles > 0);
+    assert.equal(stats.retries, stats.throttles);
+    assert.equal(stats.requests, calls);
+    assert.equal(stats.concurrency, 2);
+    assert.ok(stats.ratePerSecond.lowest < 1000);
+});
+
+test('chunks still throttled after maxRetries get retry rounds before being quarantined', async (t) => {
+    const { options } = setup(t);
+    const pipeline = new EmbeddingsPipeline(options({
+        embedding: { maxRetries: 1, backoffBaseMs: 1, maxBackoffMs: 1, retryRounds: 2, retryDelayMs: 1, ratePerSecond: 1000 }
+    }));
+    const embed = pipeline.provider.embed.bind(pipeline.provider);
+    let rounds = 0;
+    t.mock.method(pipeline.provider, 'embed', async (texts) => {
+        // Everything is throttled until the second retry round
+        if (rounds < 2) throw throttling();
+        return embed(texts);
+    });
+    const retry = pipeline.retryFailedEmbeddings.bind(pipeline);
+    t.mock.method(pipeline, 'retryFailedEmbeddings', async (state) => {
+        rounds++;
+        return retry(state);
+    });
+
+    const state = await pipeline.run();
+
+    assert.deepEqual(state.completedStages.filter(stage => /Embeddings$/.test(stage)),
+        ['generateEmbeddings', 'retryFailedEmbeddings', 'retryFailedEmbeddings', 'validateEmbeddings']);
+    assert.equal(state.embeddingStats.retryRounds, 2);
+    assert.equal(state.embeddingStats.recoveredChunks, state.processedContent.length);
+    assert.equal(state.quarantined.length, 0);
+    assert.equal(state.report.pipelineRun.status, 'SUCCESS');
+});
+
+test('a run that stops mid-embedding resumes with its settings and saved vectors', async (t) => {
+    const { options } = setup(t);
+    const first = new EmbeddingsPipeline(options({
+        chunking: { strategy: 'sentence', maxWords: 60 },
+        checkpointIntervalMs: 0,
+        embedding: { concurrency: 1, batchSize: 1 }
+    }));
+    const embedWithRetry = first.embedWithRetry.bind(first);
+    let requests = 0;
+    t.mock.method(first, 'embedWithRetry', async (...args) => {
+        if (++requests > 3) throw new Error('process killed');
+        return embedWithRetry(...args);
+    });
+    await assert.rejects(first.run(), /process killed/);
+    assert.equal(first.checkpointer.unfinishedRuns()[0].runId, first.runId);
+
+    // Default options: the resumed run must still chunk with maxWords 60
+    const resumed = new EmbeddingsPipeline(options({ resume: first.runId }));
+    assert.equal(resumed.chunker.describe().maxWords, 60);
+    const embed = t.mock.method(resumed.provider, 'embed', resumed.provider.embed.bind(resumed.provider));
+
+    const state = await resumed.run();
+    const total = state.processedContent.length;
+
+    assert.equal(state.report.pipelineRun.status, 'SUCCESS');
+    assert.deepEqual(state.report.resume.stages, {
+        loadData: 'restored',
+        processContent: 'restored',
+        generateEmbeddings: 'resumed',
+        validateEmbeddings: 'ran',
+        storeVectors: 'ran',
+        generateReport: 'ran'
+    });
+    assert.equal(state.report.resume.resumedChunks, 3);
+    assert.equal(state.embeddingStats.resumedChunks, 3);
+    const embeddedTexts = embed.mock.calls.reduce((sum, call) => sum + call.arguments[0].length, 0);
+    assert.equal(embeddedTexts, total - 3, 'only the rest is embedded');
+    assert.equal(state.metrics.stored, total);
+    assert.equal(resumed.checkpointer.readRun(first.runId), null, 'finished runs are removed');
+    assert.throws(() => new EmbeddingsPipeline(options({ resume: first.runId })), /No checkpoint for run/);
+});
+
+test('a run that stops after embedding resumes without embedding again', async (t) => {
+    const { options } = setup(t);
+    const first = new EmbeddingsPipeline(options());
+    t.mock.method(first, 'storeVectors', async () => { throw new Error('store went away'); });
+    await assert.rejects(first.run(), /store went away/);
+
+    const resumed = new EmbeddingsPipeline(options({ resume: first.runId }));
+    const embed = t.mock.method(resumed.provider, 'embed', resumed.provider.embed.bind(resumed.provider));
+    const state = await resumed.run();
+
+    assert.equal(embed.mock.callCount(), 0);
+    assert.equal(state.report.resume.stages.validateEmbeddings, 'restored');
+    assert.equal(state.report.resume.stages.storeVectors, 'resumed');
+    assert.equal(state.metrics.stored, state.processedContent.length);
+});
+
+test('a missing or invalid input routes straight to a FAILED report', async (t) => {
+    const { dir, inputPath, options } = setup(t);
+    fs.rmSync(inputPath);
+
+    const missing = await new EmbeddingsPipeline(options()).run();
+    assert.equal(missing.report.pipelineRun.status, 'FAILED');
+    assert.deepEqual(missing.report.pipelineRun.stages, ['loadData', 'generateReport']);
+    assert.match(missing.errors[0].error, /Data Science output not found at .*data-science-output\.json/);
+    assert.ok(fs.existsSync(path.join(dir, 'pipeline-report.json')));
+    assert.equal(fs.existsSync(path.join(dir, 'vector-db-config.json')), false, 'the agent config is left alone');
+
+    fs.writeFileSync(inputPath, JSON.stringify({ schemaVersion: 2, analysis: {}, contentData: [{ url: '' }], exportedAt: 'now' }));
+    const invalid = await new EmbeddingsPipeline(options()).run();
+    assert.equal(invalid.report.pipelineRun.status, 'FAILED');
+    assert.ok(invalid.errors[0].fieldErrors.some(e => e.path === 'contentData[0].url' && e.message === 'must not be empty'));
+});
+
+test('failed embeddings are quarantined and picked up by the next run', async (t) => {
+    const { dir, options } = setup(t);
+    const quarantineFile = path.join(dir, 'store', 'tech-content-vectors.quarantine.json');
+    const pipeline = new EmbeddingsPipeline(options({ embedding: { batchSize: 1 } }));
+    const embed = pipeline.provider.embed.bind(pipeline.provider);
+    t.mock.method(pipeline.provider, 'embed', async (texts) => {
+        if (texts[0].includes('data pipeline')) {
+            throw Object.assign(new Error('not allowed'), { name: 'AccessDeniedException' });
+        }
+        return embed(texts);
+    });
+
+    const partial = await pipeline.run();
+    const half = partial.processedContent.length / 2;
+    assert.equal(partial.report.pipelineRun.status, 'PARTIAL_SUCCESS');
+    assert.ok(!partial.completedStages.includes('retryFailedEmbeddings'), 'access errors are not retried');
+    assert.equal(partial.quarantined.length, half);
+    assert.equal(partial.metrics.stored, half);
+    assert.match(partial.quarantined[0].error, /AccessDeniedException: not allowed/);
+    assert.equal(JSON.parse(fs.readFileSync(quarantineFile, 'utf8')).chunks.length, half);
+    assert.ok(fs.existsSync(path.join(dir, 'vector-db-config.json')), 'a partial run still updates the agent config');
+
+    const next = await new EmbeddingsPipeline(options()).run();
+    assert.equal(next.report.pipelineRun.status, 'SUCCESS');
+    assert.equal(next.changes.added, half);
+    assert.equal(next.changes.unchanged, half);
+    assert.equal(fs.existsSync(quarantineFile), false);
+});
+
+test('validateEmbeddings rejects malformed vectors before they are stored', async (t) => {
+    const { options } = setup(t, articles().slice(0, 1));
+    const pipeline = new EmbeddingsPipeline(options({ embedding: { batchSize: 1 } }));
+    const embed = pipeline.provider.embed.bind(pipeline.provider);
+    let calls = 0;
+    t.mock.method(pipeline.provider, 'embed', async (texts) => {
+        calls++;
+        if (calls === 1) return [[NaN, ...new Array(pipeline.provider.dimensions - 1).fill(0.1)]];
+        if (calls === 2) return [[0.1, 0.2]];
+        return embed(texts);
+    });
+
+    const state = await pipeline.run();
+    assert.deepEqual(state.validation, { checked: state.processedContent.length, rejected: 2, dimensions: pipeline.provider.dimensions });
+    assert.deepEqual(state.quarantined.map(q => q.error), [
+        'Invalid embedding: contains NaN or Infinity',
+        `Invalid embedding: 2 dimensions, expected ${pipeline.provider.dimensions}`
+    ]);
+    assert.equal(state.metrics.stored, state.processedContent.length - 2);
+    assert.equal(state.report.pipelineRun.status, 'PARTIAL_SUCCESS');
+});
+
+test('vectorProblem names what is wrong with a vector', () => {
+    assert.equal(EmbeddingsPipeline.vectorProblem(undefined), 'no vector');
+    assert.equal(EmbeddingsPipeline.vectorProblem([]), 'no vector');
+    assert.equal(EmbeddingsPipeline.vectorProblem([1, 2], 3), '2 dimensions, expected 3');
+    assert.equal(EmbeddingsPipeline.vectorProblem([1, Infinity]), 'contains NaN or Infinity');
+    assert.equal(EmbeddingsPipeline.vectorProblem([0, 0]), 'all zeros');
+    assert.equal(EmbeddingsPipeline.vectorProblem([0, 1], 2), null);
+});
+
+test('toMermaid shows fixed and conditional edges', (t) => {
+    const { options } = setup(t);
+    const diagram = new EmbeddingsPipeline(options()).toMermaid();
+    assert.match(diagram, /^graph TD/);
+    assert.match(diagram, /validateEmbeddings --> storeVectors/);
+    assert.match(diagram, /loadData -\. fatal \.-> generateReport/);
+    assert.match(diagram, /processContent -\. unchanged \.-> storeVectors/);
+    assert.match(diagram, /retryFailedEmbeddings -\. retry \.-> retryFailedEmbeddings/);
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { BaseCheckpointSaver } = require("@langchain/langgraph");
+
+// Plain JSON: pipeline state holds no LangChain objects, and @langchain/core's
+// load() is slow on thousands of embedding vectors
+const JSON_SERDE = {
+    stringify: (value) => JSON.stringify(value),
+    parse: async (data) => JSON.parse(data)
+};
+
+// LangGraph checkpoint saver that keeps one file per run (thread_id = run ID):
+// { runId, config, createdAt, updatedAt, checkpoint, metadata }
+// Only the latest checkpoint is kept, since resuming never goes further back, and
+// the pipeline removes the file once the run finishes.
+// Work saved from inside a node that hasn't finished yet goes to a separate
+// <runId>.<node>.progress.jsonl, one appended line per item, so saving it costs only
+// the new items. It is removed once that node's end-of-step checkpoint arrives.
+class FileCheckpointSaver extends BaseCheckpointSaver {
+    constructor(dir) {
+        super(JSON_SERDE);
+        this.dir = dir;
+    }
+
+    filePath(runId) {
+        return path.join(this.dir, `${runId}.json`);
+    }
+
+    progressPath(runId, node) {
+        return path.join(this.dir, `${runId}.${node}.progress.jsonl`);
+    }
+
+    readRun(runId) {
+        const file = this.filePath(runId);
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    writeRun(run) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        run.updatedAt = new Date().toISOString();
+        // Write-then-rename so a crash mid-write leaves the previous checkpoint intact
+        const file = this.filePath(run.runId);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(run));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    // Called by the pipeline before the first checkpoint, so a resumed run can
+    // check it is using the same settings
+    createRun(runId, config) {
+        const now = new Date().toISOString();
+        this.writeRun({ runId, config, createdAt: now, checkpoint: null, metadata: null });
+    }
+
+    async getTuple(config) {
+        const runId = config.configurable?.thread_id;
+        const run = runId && this.readRun(runId);
+        if (!run?.checkpoint) return undefined;
+        return {
+            config: { configurable: { thread_id: runId, checkpoint_id: run.checkpoint.id } },
+            checkpoint: run.checkpoint,
+            metadata: run.metadata
+        };
+    }
+
+    async *list(config) {
+        const tuple = await this.getTuple(config);
+        if (tuple) yield tuple;
+    }
+
+    async put(config, checkpoint, metadata) {
+        const runId = config.configurable?.thread_id;
+        const run = this.readRun(runId) || { runId, createdAt: new Date().toISOString() };
+        run.checkpoint = checkpoint;
+        run.metadata = metadata;
+        this.writeRun(run);
+        if (metadata.source === 'loop') this.removeProgress(runId); // the node that saved it has finished
+        return { configurable: { thread_id: runId, checkpoint_id: checkpoint.id } };
+    }
+
+    // Appends items (plain JSON values) to a node's progress
+    appendProgress(runId, node, items) {
+        if (items.length === 0 || !fs.existsSync(this.filePath(runId))) return;
+        fs.appendFileSync(this.progressPath(runId, node), items.map(item => JSON.stringify(item) + '\n').join(''));
+    }
+
+    // Every item appended since the node started, in order
+    loadProgress(runId, node) {
+        const file = this.progressPath(runId, node);
+        if (!fs.existsSync(file)) return [];
+        // A crash mid-append can leave the last line incomplete; that item is redone
+        return fs.readFileSync(file, 'utf8').split('\n').flatMap(line => {
+            try {
+                return line ? [JSON.parse(line)] : [];
+            } catch (error) {
+                return [];
+            }
+        });
+    }
+
+    removeProgress(runId) {
+        if (!fs.existsSync(this.dir)) return;
+        fs.readdirSync(this.dir)
+            .filter(name => name.startsWith(`${runId}.`) && name.endsWith('.progress.jsonl'))
+            .forEach(name => fs.rmSync(path.join(this.dir, name), { force: true }));
+    }
+
+    // Runs that stopped before finishing, newest first
+    unfinishedRuns() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(name => name.endsWith('.json'))
+            .map(name => {
+                try {
+                    return this.readRun(path.basename(name, '.json'));
+                } catch (error) {
+                    return null; // unreadable checkpoint, nothing to resume
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    remove(runId) {
+        fs.rmSync(this.filePath(runId), { force: true });
+        this.removeProgress(runId);
+    }
+}
+
+module.exports = { FileCheckpointSaver };
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileCheckpointSaver } = require('./file-checkpointer');
+
+const saver = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new FileCheckpointSaver(path.join(dir, 'runs'));
+};
+
+const config = (runId) => ({ configurable: { thread_id: runId } });
+
+test('keeps the latest checkpoint of each run in one file', async (t) => {
+    const checkpointer = saver(t);
+    checkpointer.createRun('run-1', { rebuild: false });
+    assert.equal(await checkpointer.getTuple(config('run-1')), undefined, 'no checkpoint before the first step');
+
+    await checkpointer.put(config('run-1'), { id: 'c1', channel_values: { step: 1 } }, { source: 'loop', step: 1 });
+    const saved = await checkpointer.put(config('run-1'), { id: 'c2', channel_values: { step: 2 } }, { source: 'loop', step: 2 });
+    assert.deepEqual(saved, { configurable: { thread_id: 'run-1', checkpoint_id: 'c2' } });
+
+    const tuple = await checkpointer.getTuple(config('run-1'));
+    assert.equal(tuple.checkpoint.id, 'c2');
+    assert.equal(tuple.metadata.step, 2);
+    const listed = [];
+    for await (const entry of checkpointer.list(config('run-1'))) listed.push(entry.checkpoint.id);
+    assert.deepEqual(listed, ['c2']);
+
+    const run = checkpointer.readRun('run-1');
+    assert.deepEqual(run.config, { rebuild: false });
+    assert.deepEqual(fs.readdirSync(checkpointer.dir), ['run-1.json'], 'no temp files left behind');
+});
+
+test('in-node progress is appended apart from the checkpoint and lasts until that node finishes', async (t) => {
+    const checkpointer = saver(t);
+    checkpointer.createRun('run-1', {});
+    const runFile = fs.readFileSync(checkpointer.filePath('run-1'), 'utf8');
+    checkpointer.appendProgress('run-1', 'generateEmbeddings', [{ id: 'a', vector: [1] }]);
+    checkpointer.appendProgress('run-1', 'generateEmbeddings', [{ id: 'b', vector: [2] }, { id: 'c', vector: [3] }]);
+    assert.equal(fs.readFileSync(checkpointer.filePath('run-1'), 'utf8'), runFile, 'the run file is not rewritten');
+
+    // A crash in the middle of an append leaves a partial last line
+    fs.appendFileSync(checkpointer.progressPath('run-1', 'generateEmbeddings'), '{"id":"d","vec');
+    assert.deepEqual(checkpointer.loadProgress('run-1', 'generateEmbeddings').map(item => item.id), ['a', 'b', 'c']);
+
+    await checkpointer.put(config('run-1'), { id: 'c1' }, { source: 'input' });
+    assert.equal(checkpointer.loadProgress('run-1', 'generateEmbeddings').length, 3);
+
+    await checkpointer.put(config('run-1'), { id: 'c2' }, { source: 'loop' });
+    assert.deepEqual(checkpointer.loadProgress('run-1', 'generateEmbeddings'), []);
+    assert.deepEqual(fs.readdirSync(checkpointer.dir), ['run-1.json']);
+
+    checkpointer.appendProgress('unknown-run', 'generateEmbeddings', [{ id: 'a' }]);
+    assert.equal(fs.existsSync(checkpointer.progressPath('unknown-run', 'generateEmbeddings')), false);
+
+    checkpointer.appendProgress('run-1', 'generateEmbeddings', [{ id: 'e' }]);
+    checkpointer.remove('run-1');
+    assert.deepEqual(fs.readdirSync(checkpointer.dir), []);
+});
+
+test('unfinishedRuns lists newest first and skips unreadable files', async (t) => {
+    const checkpointer = saver(t);
+    checkpointer.createRun('older', {});
+    await new Promise(resolve => setTimeout(resolve, 5));
+    checkpointer.createRun('newer', {});
+    fs.writeFileSync(path.join(checkpointer.dir, 'broken.json'), '{');
+
+    assert.deepEqual(checkpointer.unfinishedRuns().map(run => run.runId), ['newer', 'older']);
+    checkpointer.remove('newer');
+    checkpointer.remove('never-existed');
+    assert.deepEqual(checkpointer.unfinishedRuns().map(run => run.runId), ['older']);
+});
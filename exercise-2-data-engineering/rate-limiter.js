@@ -0,0 +1,57 @@
+// Token bucket shared by all embedding workers: holds up to `burst` tokens and
+// refills at `ratePerSecond`; each Bedrock request takes one. The rate adapts
+// (AIMD): halved when throttled, then nudged back up as requests succeed.
+class TokenBucket {
+    constructor(options = {}) {
+        this.maxRate = options.ratePerSecond ?? 10;
+        this.minRate = options.minRatePerSecond ?? 0.5;
+        this.burst = options.burst ?? Math.max(1, Math.ceil(this.maxRate));
+        this.recoveryPerSuccess = options.recoveryPerSuccess ?? Math.max(0.05, this.maxRate / 50); // requests/s regained per success
+        // Requests already in flight when the first throttle arrives get throttled too;
+        // count them, but halve the rate only once per cooldown
+        this.cooldownMs = options.cooldownMs ?? 1000;
+        this.lastDecrease = 0;
+        this.rate = this.maxRate;
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.throttles = 0;
+        this.lowestRate = this.rate;
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+        this.lastRefill = now;
+    }
+
+    // Resolves once a token is available
+    async take() {
+        for (;;) {
+            this.refill();
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+            const waitMs = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+    }
+
+    // Bedrock said slow down: halve the rate and drop any saved-up burst
+    throttled() {
+        this.refill();
+        this.throttles++;
+        this.tokens = Math.min(this.tokens, 0);
+        if (Date.now() - this.lastDecrease < this.cooldownMs) return;
+        this.lastDecrease = Date.now();
+        this.rate = Math.max(this.minRate, this.rate / 2);
+        this.lowestRate = Math.min(this.lowestRate, this.rate);
+    }
+
+    succeeded() {
+        this.refill();
+        this.rate = Math.min(this.maxRate, this.rate + this.recoveryPerSuccess);
+    }
+}
+
+module.exports = { TokenBucket };
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket } = require('./rate-limiter');
+
+test('take spends the burst immediately, then waits for refills', async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 20, burst: 2 });
+    const started = Date.now();
+    await bucket.take();
+    await bucket.take();
+    assert.ok(Date.now() - started < 30, 'burst tokens are free');
+
+    await bucket.take();
+    assert.ok(Date.now() - started >= 40, 'the third request waits about 1/20 s');
+});
+
+test('throttled halves the rate once per cooldown and drops saved-up tokens', () => {
+    const bucket = new TokenBucket({ ratePerSecond: 8, cooldownMs: 60000 });
+    bucket.throttled();
+    bucket.throttled();
+    assert.equal(bucket.rate, 4, 'in-flight requests throttled together count once');
+    assert.equal(bucket.throttles, 2);
+    assert.ok(bucket.tokens <= 0);
+
+    const floor = new TokenBucket({ ratePerSecond: 1, minRatePerSecond: 0.5, cooldownMs: 0 });
+    for (let i = 0; i < 5; i++) floor.throttled();
+    assert.equal(floor.rate, 0.5);
+    assert.equal(floor.lowestRate, 0.5);
+});
+
+test('succeeded recovers the rate additively up to the configured maximum', () => {
+    const bucket = new TokenBucket({ ratePerSecond: 10, recoveryPerSuccess: 1, cooldownMs: 0 });
+    bucket.throttled();
+    assert.equal(bucket.rate, 5);
+    bucket.succeeded();
+    bucket.succeeded();
+    assert.equal(bucket.rate, 7);
+    for (let i = 0; i < 10; i++) bucket.succeeded();
+    assert.equal(bucket.rate, 10);
+    assert.equal(bucket.lowestRate, 5);
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Metadata that changes on every run without the chunk changing
+const VOLATILE_METADATA = ['processedAt'];
+
+// Record of what is already in the vector store, so a re-run only embeds new or
+// changed chunks and deletes the ones that disappeared:
+// { backend, modelId, updatedAt, chunks: { [chunkId]: { url, chunkIndex, provider, metadataHash, storedAt } } }
+class VectorManifest {
+    constructor(filePath, { backend, modelId = null } = {}) {
+        this.filePath = filePath;
+        this.backend = backend;
+        this.modelId = modelId;
+        this.chunks = {};
+        this.exists = false;
+        this.resetReason = null;
+    }
+
+    // Same URL + same text => same ID, so unchanged chunks are recognised across runs
+    static chunkId(url, content) {
+        return crypto.createHash('sha256').update(`${url}\n${content}`).digest('hex').slice(0, 32);
+    }
+
+    static metadataHash(metadata) {
+        const stable = Object.keys(metadata)
+            .filter(key => !VOLATILE_METADATA.includes(key))
+            .sort()
+            .map(key => [key, metadata[key]]);
+        return crypto.createHash('sha256').update(JSON.stringify(stable)).digest('hex').slice(0, 16);
+    }
+
+    // A manifest written for another backend or embedding model describes vectors
+    // we can't reuse: start empty so everything is re-embedded
+    load() {
+        if (!fs.existsSync(this.filePath)) return this;
+
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (saved.backend !== this.backend) {
+            this.resetReason = `manifest was written for ${saved.backend} storage, now using ${this.backend}`;
+        } else if ((saved.modelId ?? null) !== this.modelId) {
+            this.resetReason = `embedding model changed (${saved.modelId} → ${this.modelId})`;
+        } else {
+            this.chunks = saved.chunks || {};
+            this.exists = true;
+        }
+        return this;
+    }
+
+    get size() {
+        return Object.keys(this.chunks).length;
+    }
+
+    ids() {
+        return Object.keys(this.chunks);
+    }
+
+    // Sorts the current chunks into { added, updated, unchanged } against the
+    // manifest; deleted holds stored IDs that are no longer produced
+    diff(chunks) {
+        const current = new Set(chunks.map(chunk => chunk.id));
+        const result = { added: [], updated: [], unchanged: [], deleted: [] };
+
+        chunks.forEach(chunk => {
+            const entry = this.chunks[chunk.id];
+            if (!entry) result.added.push(chunk);
+            else if (entry.metadataHash !== VectorManifest.metadataHash(chunk.metadata)) result.updated.push(chunk);
+            else result.unchanged.push(chunk);
+        });
+        result.deleted = this.ids().filter(id => !current.has(id));
+
+        return result;
+    }
+
+    record(chunks) {
+        const storedAt = new Date().toISOString();
+        chunks.forEach(chunk => {
+            this.chunks[chunk.id] = {
+                url: chunk.metadata.url,
+                chunkIndex: chunk.metadata.chunkIndex,
+                provider: chunk.metadata.embeddingProvider,
+                metadataHash: VectorManifest.metadataHash(chunk.metadata),
+                storedAt
+            };
+        });
+    }
+
+    // { bedrock: 120, mock: 3 } — how many stored vectors came from each embedding provider
+    countByProvider() {
+        const counts = {};
+        Object.values(this.chunks).forEach(entry => {
+            const provider = entry.provider || 'unknown';
+            counts[provider] = (counts[provider] || 0) + 1;
+        });
+        return counts;
+    }
+
+    remove(ids) {
+        ids.forEach(id => { delete this.chunks[id]; });
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify({
+            backend: this.backend,
+            modelId: this.modelId,
+            updatedAt: new Date().toISOString(),
+            totalChunks: this.size,
+            chunks: this.chunks
+        }, null, 2));
+    }
+}
+
+module.exports = { VectorManifest };
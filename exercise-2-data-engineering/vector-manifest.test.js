@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VectorManifest } = require('./vector-manifest');
+
+const chunk = (url, content, metadata = {}) => ({
+    id: VectorManifest.chunkId(url, content),
+    content,
+    metadata: { url, chunkIndex: 0, embeddingProvider: 'deterministic-local', processedAt: new Date().toISOString(), ...metadata }
+});
+
+const tempFile = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'collection.manifest.json');
+};
+
+test('chunk IDs depend on URL and text only; metadata hashes ignore processedAt', () => {
+    assert.equal(VectorManifest.chunkId('u', 'text'), VectorManifest.chunkId('u', 'text'));
+    assert.notEqual(VectorManifest.chunkId('u', 'text'), VectorManifest.chunkId('v', 'text'));
+    assert.equal(VectorManifest.chunkId('u', 'text').length, 32);
+
+    assert.equal(
+        VectorManifest.metadataHash({ a: 1, b: 2, processedAt: 'x' }),
+        VectorManifest.metadataHash({ b: 2, a: 1, processedAt: 'y' })
+    );
+    assert.notEqual(VectorManifest.metadataHash({ a: 1 }), VectorManifest.metadataHash({ a: 2 }));
+});
+
+test('diff sorts chunks into added, updated, unchanged and deleted', (t) => {
+    const manifest = new VectorManifest(tempFile(t), { backend: 'file', modelId: 'm' });
+    const kept = chunk('u', 'kept');
+    const retitled = chunk('u', 'retitled', { title: 'Old' });
+    const gone = chunk('u', 'gone');
+    manifest.record([kept, retitled, gone]);
+
+    const fresh = chunk('u', 'fresh');
+    const diff = manifest.diff([chunk('u', 'kept'), chunk('u', 'retitled', { title: 'New' }), fresh]);
+
+    assert.deepEqual(diff.added.map(c => c.content), ['fresh']);
+    assert.deepEqual(diff.updated.map(c => c.content), ['retitled']);
+    assert.deepEqual(diff.unchanged.map(c => c.content), ['kept']);
+    assert.deepEqual(diff.deleted, [gone.id]);
+});
+
+test('a saved manifest is reused only for the same backend and model', (t) => {
+    const file = tempFile(t);
+    const manifest = new VectorManifest(file, { backend: 'file', modelId: 'm' });
+    manifest.record([chunk('u', 'a'), chunk('u', 'b', { embeddingProvider: 'mock' })]);
+    manifest.save();
+
+    const same = new VectorManifest(file, { backend: 'file', modelId: 'm' }).load();
+    assert.equal(same.exists, true);
+    assert.equal(same.size, 2);
+    assert.deepEqual(same.countByProvider(), { 'deterministic-local': 1, mock: 1 });
+
+    const otherModel = new VectorManifest(file, { backend: 'file', modelId: 'n' }).load();
+    assert.equal(otherModel.size, 0);
+    assert.match(otherModel.resetReason, /embedding model changed \(m → n\)/);
+
+    const otherBackend = new VectorManifest(file, { backend: 'chroma', modelId: 'm' }).load();
+    assert.match(otherBackend.resetReason, /written for file storage, now using chroma/);
+
+    const missing = new VectorManifest(`${file}.missing`, { backend: 'file' }).load();
+    assert.equal(missing.exists, false);
+});
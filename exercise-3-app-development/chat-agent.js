@@ -1,19 +1,26 @@
 const { StateGraph, END, START } = require("@langchain/langgraph");
 const { BedrockRuntimeClient, InvokeModelCommand } = require("@aws-sdk/client-bedrock-runtime");
-const { ChromaClient, Configuration } = require("chromadb");
 const fs = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { BedrockEmbeddingProvider, createEmbeddingProvider, defaultBedrockModelId } = require('../shared/embedding-providers');
+const { EmbeddingCache } = require('../shared/embedding-cache');
+const { openVectorStore } = require('../shared/vector-store');
 
 // Initialize clients
 const bedrockClient = new BedrockRuntimeClient({ 
     region: process.env.AWS_REGION || "us-east-1" 
 });
 
+// Written by the Exercise 2 pipeline
+const DEFAULT_VECTOR_DB_CONFIG_PATH = path.join(__dirname, 'vector-db-config.json');
+
 // Agent state for conversation management
 class AgentState {
     constructor() {
         this.messages = [];
         this.currentQuery = "";
+        this.filters = {}; // e.g. { language: 'de' } to restrict retrieval
         this.retrievedContext = [];
         this.response = "";
         this.conversationId = uuidv4();
@@ -26,34 +33,47 @@ class AgentState {
 }
 
 class RAGChatAgent {
-    constructor() {
+    constructor(options = {}) {
         this.collectionName = "tech-content-vectors";
-        this.collection = null;
-        this.chromaClient = null;
-        this.useChromaClient = false;
+        // Mock (random) vectors make retrieval meaningless; only tests may search them
+        this.testMode = options.testMode ?? process.env.CHAT_AGENT_TEST_MODE === '1';
+        // The store the pipeline recorded in vector-db-config.json, unless overridden with
+        // 'auto' (ChromaDB if reachable, else local files), 'chroma', 'file' or 'memory',
+        // or a store instance as `vectorStore`
+        this.storeBackend = options.storeBackend;
+        this.vectorStore = options.vectorStore || null;
+        this.vectorDbConfigPath = options.vectorDbConfigPath || DEFAULT_VECTOR_DB_CONFIG_PATH;
+        this.vectorDbConfig = null; // vector-db-config.json from Exercise 2
         this.graph = null;
         this.conversationHistory = new Map();
     this.initialized = false; // prevent double init
     this.initializeAgentPromise = this.initializeAgent();
-    // In-memory cache for local vector fallback
-    this.localVectorIndex = null; // { vectors: [{id, vector: number[], content, metadata}], dim }
-    this.embeddingCache = new Map(); // query -> embedding array
+    // On-disk cache shared with the embeddings pipeline, so it survives restarts
+    this.embeddingCache = options.embeddingCache || new EmbeddingCache();
+    this.embeddingProviders = new Map(); // "provider/model" -> provider instance
     }
     
     async initializeAgent() {
     if (this.initialized) return; // idempotent
-        // Try to connect to ChromaDB using ChromaClient (embedded mode)
-        try {
-            this.chromaClient = new ChromaClient({ path: "./chroma_db" });
-            await this.chromaClient.listCollections();
-            this.useChromaClient = true;
-            console.log("✅ Connected to ChromaDB using ChromaClient (embedded mode)");
-        } catch (err) {
-            this.useChromaClient = false;
-            console.warn("⚠️  Could not connect to ChromaDB with ChromaClient, will use local file storage fallback.");
+        // The pipeline's config says where its vectors are, whether any are usable (not
+        // mock) and which embedding model queries must use
+        this.vectorDbConfig = fs.existsSync(this.vectorDbConfigPath) ? JSON.parse(fs.readFileSync(this.vectorDbConfigPath, 'utf8')) : null;
+        if (!this.vectorStore) {
+            // Open the recorded store: 'auto' could find a ChromaDB server the pipeline
+            // didn't use, with an empty collection. Without a config, fall back to 'auto'.
+            const { backend, collection, dir, url } = this.vectorDbConfig || {};
+            this.collectionName = collection || this.collectionName;
+            this.vectorStore = await openVectorStore({
+                backend: this.storeBackend || backend || undefined,
+                collection: this.collectionName,
+                dir: dir || undefined,
+                url: url || undefined,
+                lazy: true
+            });
         }
+        console.log(`✅ Using vector store: ${this.vectorStore.describe()}`);
 
-        // Check if vector database is ready (file-based fallback or ChromaClient)
+        // Check if vector database is ready
         await this.verifyVectorDatabase();
 
         // Create LangGraph agent workflow
@@ -61,6 +81,7 @@ class RAGChatAgent {
         const workflow = new StateGraph({
             channels: {
                 currentQuery: {},
+                filters: {},
                 processedQuery: {},
                 retrievedContext: {},
                 response: {},
@@ -90,20 +111,14 @@ class RAGChatAgent {
     
     async verifyVectorDatabase() {
         try {
-            if (this.useChromaClient) {
-                // Try to get collection info from ChromaClient
-                const collections = await this.chromaClient.listCollections();
-                const found = collections.find(c => c.name === this.collectionName);
-                if (!found) throw new Error(`Collection '${this.collectionName}' not found in ChromaDB`);
-                console.log(`✅ Vector database ready (ChromaClient): ${found.count} vectors available`);
-            } else {
-                // Fallback: check vector-db-config.json
-                const configPath = './vector-db-config.json';
-                if (!fs.existsSync(configPath)) throw new Error('vector-db-config.json not found');
-                const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-                if (!config.ready) throw new Error('Vector DB not marked as ready');
-                console.log(`✅ Vector database ready (file): ${config.vectorCount} vectors available`);
+            const collections = await this.vectorStore.listCollections();
+            const found = collections.find(c => c.name === this.collectionName);
+            if (!found || found.count === 0) throw new Error(`Collection '${this.collectionName}' not found or empty`);
+
+            if (this.vectorDbConfig && !this.vectorDbConfig.ready && !this.testMode) {
+                throw new Error('Vector DB not marked as ready (no usable vectors; mock vectors need test mode)');
             }
+            console.log(`✅ Vector database ready (${this.vectorStore.backend}): ${found.count} vectors available`);
         } catch (error) {
             console.error("❌ Vector database verification failed:", error.message);
             throw error;
@@ -142,40 +157,14 @@ class RAGChatAgent {
     }
     
     async searchVectorDatabase(state) {
-        // Try ChromaClient first, fallback to file-based search
+        // Same search for every backend (ChromaDB, local file, in-memory)
         console.log("🔎 Searching vector database...");
         try {
-            let results;
-            if (this.useChromaClient) {
-                // Use ChromaClient for semantic search (assume collection exists)
-                const collection = await this.chromaClient.getCollection({ name: this.collectionName });
-                // For demo: use .query() if available, else fallback to mock
-                if (collection && collection.query) {
-                    results = await collection.query({
-                        queryTexts: [state.processedQuery],
-                        nResults: 3
-                    });
-                } else {
-                    throw new Error('ChromaClient collection.query not available');
-                }
-            } else {
-                // Improved semantic fallback: load local vectors + compute cosine similarity to embedded query
-                const ranked = await this.semanticLocalSearch(state.processedQuery, 3);
-                results = {
-                    documents: [ranked.map(r => r.content)],
-                    metadatas: [ranked.map(r => r.metadata)],
-                    // Convert similarity to pseudo-distance (1 - cosine) for consistency
-                    distances: [ranked.map(r => 1 - r.similarity)]
-                };
-            }
+            const ranked = await this.semanticSearch(state.processedQuery, 3, state.filters);
             // Process search results
-            if (results.documents[0].length > 0) {
-                state.retrievedContext = results.documents[0].map((content, i) => ({
-                    content,
-                    metadata: results.metadatas[0][i],
-                    similarity: results.distances[0][i]
-                }));
-                state.metadata.searchResults = results.documents[0].length;
+            if (ranked.length > 0) {
+                state.retrievedContext = ranked;
+                state.metadata.searchResults = ranked.length;
                 console.log(`✅ Found ${state.retrievedContext.length} relevant documents`);
                 state.retrievedContext.forEach((result, i) => {
                     console.log(`  ${i + 1}. ${result.metadata.title} (similarity: ${result.similarity.toFixed(2)})`);
@@ -193,85 +182,41 @@ class RAGChatAgent {
         return state;
     }
 
-    /* ================= Semantic Fallback Helpers ================= */
-    async ensureLocalVectorIndex() {
-        if (this.localVectorIndex) return this.localVectorIndex;
-        // Prefer local exercise-3 copy; fallback to exercise-2 path if needed
-        const candidatePaths = [
-            './chroma_db/tech-content-vectors.json',
-            '../exercise-2-data-engineering/chroma_db/tech-content-vectors.json',
-            '../exercise-2-data-engineering/chroma_db/tech-content-vectors.json'.replace('exercise-3-app-development/', 'exercise-2-data-engineering/')
-        ];
-        let foundPath = null;
-        for (const p of candidatePaths) {
-            if (fs.existsSync(p)) { foundPath = p; break; }
-        }
-        if (!foundPath) throw new Error('Local vector file tech-content-vectors.json not found in expected paths');
-        const raw = JSON.parse(fs.readFileSync(foundPath, 'utf8'));
-        // Support two possible shapes: { embeddings: [{vector, document, metadata}] } OR flat array
-        let records = [];
-        if (Array.isArray(raw)) {
-            records = raw;
-        } else if (raw.embeddings) {
-            records = raw.embeddings.map(e => ({
-                id: e.id,
-                vector: e.vector || e.embedding || [],
-                content: e.document || e.content || '',
-                metadata: e.metadata || {}
-            }));
-        } else if (raw.vectors) {
-            records = raw.vectors;
+    /* ================= Semantic Search Helpers ================= */
+    // Query embeddings must come from the model that embedded the stored vectors;
+    // untagged (older) vectors are assumed to use the pipeline's default Bedrock model
+    embeddingProviderFor(provider, modelId) {
+        const model = modelId || (provider === 'bedrock' ? defaultBedrockModelId() : undefined);
+        const key = `${provider}/${model}`;
+        if (!this.embeddingProviders.has(key)) {
+            this.embeddingProviders.set(key, provider === 'bedrock'
+                ? new BedrockEmbeddingProvider({ modelId: model, client: bedrockClient })
+                : createEmbeddingProvider(provider));
         }
-        if (!records.length) throw new Error('No vectors found in local vector file');
-        const dim = records[0].vector.length;
-        // Filter out malformed
-        records = records.filter(r => Array.isArray(r.vector) && r.vector.length === dim);
-        this.localVectorIndex = { vectors: records, dim };
-        console.log(`📄 Loaded ${records.length} local vectors (dim=${dim}) for semantic fallback`);
-        return this.localVectorIndex;
+        return this.embeddingProviders.get(key);
     }
 
-    async embedQuery(text) {
-        const key = text;
-        if (this.embeddingCache.has(key)) return this.embeddingCache.get(key);
+    async embedQuery(text, provider = 'bedrock', modelId = null) {
         // Allow opting out (use keyword fallback) via env var
-        if (process.env.SKIP_EMBEDDING_FALLBACK === '1') {
+        if (provider === 'bedrock' && process.env.SKIP_EMBEDDING_FALLBACK === '1') {
             return null;
         }
+        const embedder = this.embeddingProviderFor(provider, modelId);
+        // Some models (Cohere) embed queries differently from the documents the pipeline
+        // cached, so queries get their own cache keys
+        const cacheId = `${embedder.id}:query`;
+        const cached = this.embeddingCache.get(cacheId, text);
+        if (cached) return cached;
         try {
-            const body = JSON.stringify({ inputText: text });
-            const command = new InvokeModelCommand({
-                modelId: process.env.BEDROCK_EMBED_MODEL || 'amazon.titan-embed-text-v2',
-                contentType: 'application/json',
-                accept: 'application/json',
-                body
-            });
-            const response = await bedrockClient.send(command);
-            const payload = JSON.parse(new TextDecoder().decode(response.body));
-            const embedding = payload.embedding || payload.Embeddings || payload.vector;
-            if (!embedding || !Array.isArray(embedding)) throw new Error('No embedding array returned');
-            this.embeddingCache.set(key, embedding);
+            const [embedding] = await embedder.embed([text], { inputType: 'query' });
+            this.embeddingCache.set(cacheId, text, embedding);
             return embedding;
         } catch (err) {
-            console.warn('⚠️  Bedrock embedding failed, falling back to keyword similarity:', err.message);
+            console.warn(`⚠️  ${embedder.id} embedding failed, falling back to keyword similarity:`, err.message);
             return null; // Signal to use keyword scoring
         }
     }
 
-    cosineSimilarity(a, b) {
-        if (!a || !b || a.length !== b.length) return -1;
-        let dot = 0, na = 0, nb = 0;
-        for (let i = 0; i < a.length; i++) {
-            const x = a[i];
-            const y = b[i];
-            dot += x * y;
-            na += x * x;
-            nb += y * y;
-        }
-        const denom = Math.sqrt(na) * Math.sqrt(nb) + 1e-12;
-        return dot / denom;
-    }
-
     keywordScore(query, text) {
         const qTerms = [...new Set(query.split(/\W+/).filter(Boolean))];
         const lower = text.toLowerCase();
@@ -280,24 +225,36 @@ class RAGChatAgent {
         return hits / (qTerms.length || 1);
     }
 
-    async semanticLocalSearch(query, k = 3) {
-        const index = await this.ensureLocalVectorIndex();
-        const queryEmbedding = await this.embedQuery(query);
-        let scored;
-        if (queryEmbedding && queryEmbedding.length === index.dim) {
-            scored = index.vectors.map(r => ({
-                ...r,
-                similarity: this.cosineSimilarity(queryEmbedding, r.vector)
-            }));
-        } else {
-            // Fallback to keyword scoring if embedding unavailable
-            scored = index.vectors.map(r => ({
-                ...r,
-                similarity: this.keywordScore(query.toLowerCase(), (r.content || ''))
-            }));
+    // Extra filter that keeps mock vectors out of results outside test mode
+    vectorPolicyFilter() {
+        return this.testMode ? {} : { embeddingProvider: { $ne: 'mock' } };
+    }
+
+    // Vector store "where" clause (Chroma syntax) for metadata filters, or null when unfiltered
+    buildWhereFilter(filters = {}) {
+        const clauses = Object.entries(filters)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([key, value]) => ({ [key]: value }));
+        if (clauses.length === 0) return null;
+        return clauses.length === 1 ? clauses[0] : { $and: clauses };
+    }
+
+    // Nearest vectors to the query, embedded with the provider and model the pipeline
+    // used (untagged stores are assumed to be Bedrock). Falls back to keyword scoring
+    // when the query can't be embedded.
+    async semanticSearch(query, k = 3, filters = {}) {
+        const where = this.buildWhereFilter({ ...filters, ...this.vectorPolicyFilter() });
+        const { embeddingProvider = 'bedrock', embeddingModel = null } = this.vectorDbConfig || {};
+        const queryEmbedding = await this.embedQuery(query, embeddingProvider, embeddingModel);
+        if (queryEmbedding) {
+            const results = await this.vectorStore.query(queryEmbedding, { k, where });
+            return results.map(r => ({ content: r.document, metadata: r.metadata, similarity: 1 - r.distance }));
         }
-        scored.sort((a, b) => b.similarity - a.similarity);
-        return scored.slice(0, k);
+        const records = await this.vectorStore.get({ where });
+        return records
+            .map(r => ({ content: r.document, metadata: r.metadata, similarity: this.keywordScore(query.toLowerCase(), r.document || '') }))
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, k);
     }
     /* ============================================================= */
     
@@ -430,10 +387,33 @@ Would you like me to elaborate on any specific aspect?`;
         return state;
     }
     
-    async chat(query, conversationId = null) {
+    // Retrieval filters from chat() options, which may come straight from a JSON body;
+    // throws on values that could never match instead of silently finding nothing
+    static parseFilters({ language, topicId } = {}) {
+        const filters = {};
+        if (language !== undefined && language !== null && language !== '') {
+            if (typeof language !== 'string' || !/^[a-z]{2,3}$/i.test(language)) {
+                throw new Error(`language must be a language code such as "de", got ${JSON.stringify(language)}`);
+            }
+            filters.language = language.toLowerCase();
+        }
+        if (topicId !== undefined && topicId !== null && topicId !== '') {
+            const id = typeof topicId === 'string' && /^-?\d+$/.test(topicId.trim()) ? Number(topicId) : topicId;
+            if (!Number.isInteger(id)) {
+                throw new Error(`topicId must be an integer topic ID, got ${JSON.stringify(topicId)}`);
+            }
+            filters.topicId = id;
+        }
+        return filters;
+    }
+
+    // options.language restricts retrieval to chunks in that language (ISO 639-1, e.g. "de");
+    // options.topicId to one topic discovered in Exercise 1 (see analysis.topics in its output)
+    async chat(query, conversationId = null, options = {}) {
         const state = new AgentState();
         state.currentQuery = query;
         state.conversationId = conversationId || uuidv4();
+        state.filters = RAGChatAgent.parseFilters(options);
         
         console.log(`\n💬 New chat request: "${query}"`);
         
@@ -446,6 +426,8 @@ Would you like me to elaborate on any specific aspect?`;
             sources: finalState.retrievedContext.map(item => ({
                 title: item.metadata.title,
                 url: item.metadata.url,
+                language: item.metadata.language,
+                topicLabel: item.metadata.topicLabel,
                 similarity: item.similarity
             }))
         };
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RAGChatAgent } = require('./chat-agent');
+const { EmbeddingsPipeline } = require('../exercise-2-data-engineering/embeddings-pipeline');
+const { Handoff } = require('../shared/handoff');
+const { EmbeddingCache } = require('../shared/embedding-cache');
+const { ChromaVectorStore } = require('../shared/vector-store');
+const { BedrockEmbeddingProvider } = require('../shared/embedding-providers');
+
+const sentences = (topic, n) => Array.from({ length: n }, (_, i) =>
+    `Sentence ${i + 1} explains how ${topic} systems handle case number ${i + 1} in production.`).join(' ');
+
+// Runs the pipeline into a temp file store and returns the config it wrote for the agent
+async function pipelineRun(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-agent-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    const inputPath = path.join(dir, 'data-science-output.json');
+    Handoff.write(inputPath, {
+        analysis: { totalArticles: 2, avgWordCount: 480, avgQualityScore: 7.5, topTopics: [], generatedAt: new Date().toISOString() },
+        contentData: [
+            { url: 'https://example.com/vectors', title: 'Vectors', content: sentences('vector search', 20), wordCount: 240, qualityScore: 8, topKeywords: ['vector'], language: 'en' },
+            { url: 'https://example.com/pipelines', title: 'Pipelines', content: sentences('data pipeline', 20), wordCount: 240, qualityScore: 7, topKeywords: ['pipeline'], language: 'de' }
+        ],
+        exportedAt: new Date().toISOString()
+    });
+
+    const vectorDbConfigPath = path.join(dir, 'vector-db-config.json');
+    const state = await new EmbeddingsPipeline({
+        inputPath,
+        reportPath: path.join(dir, 'pipeline-report.json'),
+        agentConfigPath: vectorDbConfigPath,
+        storageDir: path.join(dir, 'store'),
+        cache: { enabled: false },
+        provider: 'deterministic-local',
+        storeBackend: 'file'
+    }).run();
+    assert.equal(state.report.pipelineRun.status, 'SUCCESS');
+    return vectorDbConfigPath;
+}
+
+async function agentFor(vectorDbConfigPath, options = {}) {
+    const agent = new RAGChatAgent({ vectorDbConfigPath, embeddingCache: new EmbeddingCache({ enabled: false }), ...options });
+    await agent.initializeAgentPromise;
+    return agent;
+}
+
+test('the agent opens the store the pipeline recorded, not whatever auto finds', async (t) => {
+    const vectorDbConfigPath = await pipelineRun(t);
+    const config = JSON.parse(fs.readFileSync(vectorDbConfigPath, 'utf8'));
+    assert.equal(config.backend, 'file');
+    assert.equal(config.dir, path.join(path.dirname(vectorDbConfigPath), 'store'));
+
+    // A reachable ChromaDB server, which 'auto' would prefer
+    t.mock.method(ChromaVectorStore.prototype, 'connect', async () => ({}));
+
+    const agent = await agentFor(vectorDbConfigPath);
+    assert.equal(agent.vectorStore.backend, 'file');
+    assert.equal(agent.vectorStore.dir, config.dir);
+
+    const result = await agent.chat('How do vector search systems handle production cases?');
+    assert.equal(result.sources[0].title, 'Vectors');
+
+    const german = await agent.chat('How do vector search systems handle production cases?', null, { language: 'DE', topicId: null });
+    assert.deepEqual(german.sources.map(source => source.title), ['Pipelines']);
+    await assert.rejects(agent.chat('vectors', null, { language: 7 }), /language must be a language code such as "de", got 7/);
+});
+
+test('chat filters reject values that could never match', () => {
+    assert.deepEqual(RAGChatAgent.parseFilters({}), {});
+    assert.deepEqual(RAGChatAgent.parseFilters({ language: 'DE', topicId: '3' }), { language: 'de', topicId: 3 });
+    assert.deepEqual(RAGChatAgent.parseFilters({ language: '', topicId: -1 }), { topicId: -1 });
+
+    assert.throws(() => RAGChatAgent.parseFilters({ language: ['en'] }), /language must be a language code such as "de", got \["en"\]/);
+    assert.throws(() => RAGChatAgent.parseFilters({ language: 'english' }), /language must be a language code/);
+    assert.throws(() => RAGChatAgent.parseFilters({ topicId: 'abc' }), /topicId must be an integer topic ID, got "abc"/);
+    assert.throws(() => RAGChatAgent.parseFilters({ topicId: 1.5 }), /topicId must be an integer topic ID, got 1.5/);
+    assert.throws(() => RAGChatAgent.parseFilters({ topicId: {} }), /topicId must be an integer topic ID/);
+});
+
+test('queries are embedded as search queries and cached apart from documents', async (t) => {
+    const requests = [];
+    const client = { send: async (command) => {
+        const { texts, input_type } = JSON.parse(command.input.body);
+        requests.push(input_type);
+        return { body: new TextEncoder().encode(JSON.stringify({ embeddings: texts.map(() => [0.6, 0.8]) })) };
+    } };
+    const provider = new BedrockEmbeddingProvider({ modelId: 'cohere.embed-english-v3', client });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-agent-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const embeddingCache = new EmbeddingCache({ dir });
+    embeddingCache.set(provider.id, 'vector search', [1, 0]); // the pipeline's document vector
+
+    const agent = { embeddingProviderFor: () => provider, embeddingCache };
+    assert.deepEqual(await RAGChatAgent.prototype.embedQuery.call(agent, 'vector search', 'bedrock', provider.modelId), [0.6, 0.8]);
+    assert.deepEqual(requests, ['search_query']);
+    const cached = await RAGChatAgent.prototype.embedQuery.call(agent, 'vector search', 'bedrock', provider.modelId);
+    assert.equal(requests.length, 1, 'the second lookup is cached');
+    assert.ok(Math.abs(cached[0] - 0.6) < 1e-6, 'as Float32');
+});
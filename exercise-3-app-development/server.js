@@ -39,6 +39,7 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         agentReady: agentReady,
+        embeddingCache: chatAgent ? chatAgent.embeddingCache.stats() : null,
         timestamp: new Date().toISOString()
     });
 });
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = process.env.EMBEDDING_CACHE_DIR || path.join(__dirname, '..', '.embedding-cache');
+
+// On-disk, content-addressed embedding cache shared by the embeddings pipeline and
+// the chat agent. One file per vector, named by sha256(model ID + normalized text)
+// and stored as raw Float32 values. A file's mtime is its last use, which makes the
+// size limit LRU without an index, so several processes can share the directory.
+class EmbeddingCache {
+    constructor(options = {}) {
+        this.dir = options.dir || DEFAULT_CACHE_DIR;
+        this.maxEntries = options.maxEntries ?? 50000;
+        this.enabled = options.enabled ?? process.env.EMBEDDING_CACHE !== 'off';
+        this.entries = null; // counted on first use
+        this.counters = { hits: 0, misses: 0, writes: 0, evictions: 0, writeErrors: 0 };
+    }
+
+    // Whitespace and Unicode form don't change what the model sees
+    static normalize(text) {
+        return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+    }
+
+    static key(modelId, text) {
+        return crypto.createHash('sha256').update(`${modelId}\n${EmbeddingCache.normalize(text)}`).digest('hex');
+    }
+
+    // <dir>/ab/abcdef....f32, so no directory grows too large
+    filePath(key) {
+        return path.join(this.dir, key.slice(0, 2), `${key}.f32`);
+    }
+
+    get(modelId, text) {
+        if (!this.enabled) return null;
+        const file = this.filePath(EmbeddingCache.key(modelId, text));
+        let buffer;
+        try {
+            buffer = fs.readFileSync(file);
+        } catch (error) {
+            this.counters.misses++;
+            return null;
+        }
+
+        this.counters.hits++;
+        const now = new Date();
+        try {
+            fs.utimesSync(file, now, now); // mark as recently used
+        } catch (error) {
+            // Evicted by another process in the meantime; the vector is still valid
+        }
+        const floats = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+        return Array.from(floats);
+    }
+
+    set(modelId, text, vector) {
+        if (!this.enabled) return;
+        const file = this.filePath(EmbeddingCache.key(modelId, text));
+        const existed = fs.existsSync(file);
+        if (this.entries === null) this.entries = this.countEntries();
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            // Write-then-rename so a reader never sees half a vector
+            const temp = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(temp, Buffer.from(Float32Array.from(vector).buffer));
+            fs.renameSync(temp, file);
+            this.counters.writes++;
+        } catch (error) {
+            // A cache that can't be written only costs a future embedding call
+            this.counters.writeErrors++;
+            if (this.counters.writeErrors === 1) console.warn(`⚠️  Embedding cache not writable (${this.dir}): ${error.message}`);
+            return;
+        }
+
+        if (!existed) {
+            this.entries++;
+            if (this.entries > this.maxEntries) this.evict();
+        }
+    }
+
+    listFiles() {
+        try {
+            return fs.readdirSync(this.dir, { withFileTypes: true })
+                .filter(entry => entry.isDirectory())
+                .flatMap(entry => fs.readdirSync(path.join(this.dir, entry.name))
+                    .filter(name => name.endsWith('.f32'))
+                    .map(name => path.join(this.dir, entry.name, name)));
+        } catch (error) {
+            // Missing or unreadable directory: nothing cached, and set() reports the write error
+            return [];
+        }
+    }
+
+    countEntries() {
+        return this.listFiles().length;
+    }
+
+    // Drop least recently used vectors down to 90% of the limit, so eviction
+    // doesn't run again on the very next write
+    evict() {
+        const files = this.listFiles()
+            .map(file => {
+                try {
+                    return { file, usedAt: fs.statSync(file).mtimeMs };
+                } catch (error) {
+                    return null; // removed by another process
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.usedAt - b.usedAt);
+
+        const target = Math.floor(this.maxEntries * 0.9);
+        const excess = Math.max(0, files.length - target);
+        files.slice(0, excess).forEach(({ file }) => {
+            fs.rmSync(file, { force: true });
+            this.counters.evictions++;
+        });
+        this.entries = files.length - excess;
+    }
+
+    // Counters are for this process; entries is the shared total on disk
+    stats() {
+        const lookups = this.counters.hits + this.counters.misses;
+        return {
+            enabled: this.enabled,
+            dir: this.dir,
+            entries: this.enabled ? (this.entries ?? (this.entries = this.countEntries())) : 0,
+            maxEntries: this.maxEntries,
+            ...this.counters,
+            hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : null
+        };
+    }
+}
+
+module.exports = { EmbeddingCache, DEFAULT_CACHE_DIR };
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EmbeddingCache } = require('./embedding-cache');
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+test('vectors round-trip as Float32 and are keyed by model and normalized text', (t) => {
+    const cache = new EmbeddingCache({ dir: tempDir(t), enabled: true });
+    cache.set('model-a', 'Vector  search\n', [0.5, -0.25, 1 / 3]);
+
+    const vector = cache.get('model-a', 'Vector search');
+    assert.deepEqual(vector.slice(0, 2), [0.5, -0.25]);
+    assert.equal(vector[2], Math.fround(1 / 3));
+    assert.equal(cache.get('model-b', 'Vector search'), null, 'another model never shares vectors');
+    assert.equal(cache.get('model-a', 'vector search'), null, 'case is significant');
+
+    const stats = cache.stats();
+    assert.equal(stats.entries, 1);
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 2);
+    assert.equal(stats.hitRate, 0.333);
+    assert.ok(fs.existsSync(cache.filePath(EmbeddingCache.key('model-a', 'Vector search'))));
+});
+
+test('another process sees what this one wrote', (t) => {
+    const dir = tempDir(t);
+    new EmbeddingCache({ dir, enabled: true }).set('m', 'shared text', [1, 2]);
+    const other = new EmbeddingCache({ dir, enabled: true });
+    assert.deepEqual(other.get('m', 'shared text'), [1, 2]);
+    assert.equal(other.stats().entries, 1);
+});
+
+test('evicts least recently used vectors down to 90% of maxEntries', (t) => {
+    const cache = new EmbeddingCache({ dir: tempDir(t), enabled: true, maxEntries: 10 });
+    const age = (text, secondsAgo) => {
+        const when = new Date(Date.now() - secondsAgo * 1000);
+        fs.utimesSync(cache.filePath(EmbeddingCache.key('m', text)), when, when);
+    };
+    for (let i = 0; i < 10; i++) {
+        cache.set('m', `text ${i}`, [i]);
+        age(`text ${i}`, 100 - i);
+    }
+    // Reading text 0 makes it the most recently used
+    assert.deepEqual(cache.get('m', 'text 0'), [0]);
+
+    cache.set('m', 'text 10', [10]);
+
+    const stats = cache.stats();
+    assert.equal(stats.entries, 9);
+    assert.equal(stats.evictions, 2);
+    assert.deepEqual(cache.get('m', 'text 0'), [0]);
+    assert.equal(cache.get('m', 'text 1'), null);
+    assert.equal(cache.get('m', 'text 2'), null);
+    assert.deepEqual(cache.get('m', 'text 3'), [3]);
+});
+
+test('a disabled or unwritable cache never fails the caller', (t) => {
+    const dir = tempDir(t);
+    const disabled = new EmbeddingCache({ dir, enabled: false });
+    disabled.set('m', 'text', [1]);
+    assert.equal(disabled.get('m', 'text'), null);
+    assert.equal(disabled.stats().entries, 0);
+    assert.deepEqual(fs.readdirSync(dir), []);
+
+    const warn = t.mock.method(console, 'warn', () => {});
+    const blocked = path.join(dir, 'not-a-dir');
+    fs.writeFileSync(blocked, '');
+    const unwritable = new EmbeddingCache({ dir: blocked, enabled: true });
+    unwritable.set('m', 'a', [1]);
+    unwritable.set('m', 'b', [1]);
+    assert.equal(unwritable.stats().writeErrors, 2);
+    assert.equal(warn.mock.callCount(), 1, 'warns once per process');
+});
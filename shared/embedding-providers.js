@@ -0,0 +1,179 @@
+const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+
+// Bedrock errors that mean "slow down and try again"
+const RETRYABLE_ERRORS = new Set(['ThrottlingException', 'TooManyRequestsException', 'ServiceUnavailableException', 'ModelNotReadyException']);
+
+// The pipeline and the chat agent must embed with the same model, so both take
+// the default from here
+const BEDROCK_MODEL_ENV = 'BEDROCK_EMBEDDINGS_MODEL_ID';
+const DEFAULT_BEDROCK_MODEL_ID = 'amazon.titan-embed-text-v1';
+
+function defaultBedrockModelId() {
+    return process.env[BEDROCK_MODEL_ENV] || DEFAULT_BEDROCK_MODEL_ID;
+}
+
+// Every provider: { name, modelId, id, real, batchLimit, embed(texts, { inputType }) -> number[][] }.
+// inputType is 'document' (the default, for stored chunks) or 'query' (for searches);
+// models that don't distinguish the two ignore it.
+// embed() throws when it can't produce a vector; nothing here substitutes fake ones.
+// `name` is written into each vector's metadata (embeddingProvider) so consumers
+// can tell real embeddings from test data.
+
+// Real semantic embeddings from Amazon Bedrock (Titan, or Cohere with batching)
+class BedrockEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'bedrock';
+        this.real = true;
+        this.modelId = options.modelId || defaultBedrockModelId();
+        // Throttles are retried by the caller (shared rate limiter + backoff), not by
+        // the SDK, so every attempt goes through the limiter
+        this.client = options.client || new BedrockRuntimeClient({
+            region: process.env.AWS_REGION || process.env.BEDROCK_AWS_REGION || "us-east-1",
+            maxAttempts: 1
+        });
+    }
+
+    get id() {
+        return `bedrock/${this.modelId}`;
+    }
+
+    // Cohere embedding models take up to 96 texts per call; Titan takes one
+    get batchLimit() {
+        return this.modelId.startsWith('cohere.embed') ? 96 : 1;
+    }
+
+    // Cohere embeds documents and search queries differently and needs to be told which
+    async embed(texts, { inputType = 'document' } = {}) {
+        if (this.batchLimit > 1) {
+            const body = await this.invoke({ texts, input_type: inputType === 'query' ? 'search_query' : 'search_document' });
+            return BedrockEmbeddingProvider.checkVectors(body.embeddings, texts.length);
+        }
+        const vectors = [];
+        for (const text of texts) {
+            const body = await this.invoke({ inputText: text });
+            vectors.push(...BedrockEmbeddingProvider.checkVectors([body.embedding], 1));
+        }
+        return vectors;
+    }
+
+    async invoke(payload) {
+        const response = await this.client.send(new InvokeModelCommand({
+            modelId: this.modelId,
+            contentType: "application/json",
+            accept: "application/json",
+            body: JSON.stringify(payload)
+        }));
+        return JSON.parse(new TextDecoder().decode(response.body));
+    }
+
+    static checkVectors(vectors, expected) {
+        if (!Array.isArray(vectors) || vectors.length !== expected) {
+            throw new Error(`Bedrock returned ${Array.isArray(vectors) ? vectors.length : 'no'} embeddings for ${expected} texts`);
+        }
+        vectors.forEach(vector => {
+            if (!Array.isArray(vector) || vector.length === 0 || !vector.every(Number.isFinite)) {
+                throw new Error('Bedrock returned a malformed embedding');
+            }
+        });
+        return vectors;
+    }
+
+    static isRetryable(error) {
+        return RETRYABLE_ERRORS.has(error.name) || error.$metadata?.httpStatusCode === 429;
+    }
+}
+
+// Offline, reproducible vectors: hashed word and word-pair counts (the "hashing
+// trick"), L2-normalized. Similar wording gives similar vectors, so retrieval
+// works lexically without AWS credentials, but there is no semantic understanding.
+class DeterministicLocalProvider {
+    constructor(options = {}) {
+        this.name = 'deterministic-local';
+        this.real = false;
+        this.dimensions = options.dimensions ?? 1536;
+        this.modelId = `feature-hashing-${this.dimensions}`;
+        this.batchLimit = 96;
+    }
+
+    get id() {
+        return `deterministic-local/${this.modelId}`;
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedOne(text));
+    }
+
+    embedOne(text) {
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        const counts = new Map();
+        const add = (feature) => counts.set(feature, (counts.get(feature) || 0) + 1);
+        words.forEach((word, i) => {
+            add(word);
+            if (i > 0) add(`${words[i - 1]} ${word}`);
+        });
+
+        const vector = new Array(this.dimensions).fill(0);
+        for (const [feature, count] of counts) {
+            const hash = DeterministicLocalProvider.fnv1a(feature);
+            // The top bit picks the sign so colliding features tend to cancel out
+            vector[hash % this.dimensions] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+        return norm > 0 ? vector.map(x => x / norm) : vector;
+    }
+
+    static fnv1a(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+// Random vectors for exercising the pipeline in tests. Retrieval over them is
+// meaningless, so they are tagged and the chat agent refuses them outside test mode.
+class MockEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.real = false;
+        this.dimensions = options.dimensions ?? 1536;
+        this.modelId = 'random';
+        this.batchLimit = 96;
+    }
+
+    get id() {
+        return 'mock/random';
+    }
+
+    async embed(texts) {
+        return texts.map(() => Array.from({ length: this.dimensions }, () => Math.random() - 0.5));
+    }
+}
+
+const EMBEDDING_PROVIDERS = {
+    bedrock: BedrockEmbeddingProvider,
+    'deterministic-local': DeterministicLocalProvider,
+    mock: MockEmbeddingProvider
+};
+
+function createEmbeddingProvider(name = 'bedrock', options = {}) {
+    const Provider = EMBEDDING_PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown embedding provider "${name}" (expected one of: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')})`);
+    }
+    return new Provider(options);
+}
+
+module.exports = {
+    BedrockEmbeddingProvider,
+    DeterministicLocalProvider,
+    MockEmbeddingProvider,
+    EMBEDDING_PROVIDERS,
+    BEDROCK_MODEL_ENV,
+    DEFAULT_BEDROCK_MODEL_ID,
+    defaultBedrockModelId,
+    createEmbeddingProvider
+};
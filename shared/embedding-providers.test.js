@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    BedrockEmbeddingProvider,
+    DeterministicLocalProvider,
+    BEDROCK_MODEL_ENV,
+    DEFAULT_BEDROCK_MODEL_ID,
+    defaultBedrockModelId,
+    createEmbeddingProvider
+} = require('./embedding-providers');
+
+// Stands in for BedrockRuntimeClient: records each InvokeModel payload and answers with `reply`
+function fakeClient(reply) {
+    const requests = [];
+    return {
+        requests,
+        send: async (command) => {
+            const payload = JSON.parse(command.input.body);
+            requests.push({ modelId: command.input.modelId, payload });
+            return { body: new TextEncoder().encode(JSON.stringify(reply(payload))) };
+        }
+    };
+}
+
+const withEnv = (t, name, value) => {
+    const previous = process.env[name];
+    t.after(() => {
+        if (previous === undefined) delete process.env[name];
+        else process.env[name] = previous;
+    });
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+};
+
+test('the Bedrock model defaults to one shared id, overridable by env', (t) => {
+    withEnv(t, BEDROCK_MODEL_ENV, undefined);
+    assert.equal(defaultBedrockModelId(), DEFAULT_BEDROCK_MODEL_ID);
+    assert.equal(new BedrockEmbeddingProvider({ client: fakeClient(() => ({})) }).modelId, DEFAULT_BEDROCK_MODEL_ID);
+
+    withEnv(t, BEDROCK_MODEL_ENV, 'cohere.embed-english-v3');
+    const provider = createEmbeddingProvider('bedrock', { client: fakeClient(() => ({})) });
+    assert.equal(provider.id, 'bedrock/cohere.embed-english-v3');
+});
+
+test('the pipeline and the chat agent pick the same default model', (t) => {
+    withEnv(t, BEDROCK_MODEL_ENV, undefined);
+    const { RAGChatAgent } = require('../exercise-3-app-development/chat-agent');
+    const agentProvider = RAGChatAgent.prototype.embeddingProviderFor.call({ embeddingProviders: new Map() }, 'bedrock');
+    assert.equal(agentProvider.modelId, createEmbeddingProvider('bedrock', { client: fakeClient(() => ({})) }).modelId);
+});
+
+test('Titan embeds one text per request, Cohere batches', async () => {
+    const titan = fakeClient(() => ({ embedding: [0.1, 0.2] }));
+    const vectors = await new BedrockEmbeddingProvider({ modelId: 'amazon.titan-embed-text-v1', client: titan }).embed(['a', 'b']);
+    assert.deepEqual(vectors, [[0.1, 0.2], [0.1, 0.2]]);
+    assert.deepEqual(titan.requests.map(r => r.payload), [{ inputText: 'a' }, { inputText: 'b' }]);
+
+    const cohere = fakeClient(({ texts }) => ({ embeddings: texts.map((_, i) => [i, 1]) }));
+    const provider = new BedrockEmbeddingProvider({ modelId: 'cohere.embed-english-v3', client: cohere });
+    assert.equal(provider.batchLimit, 96);
+    assert.deepEqual(await provider.embed(['a', 'b']), [[0, 1], [1, 1]]);
+    assert.equal(cohere.requests.length, 1);
+    assert.equal(cohere.requests[0].payload.input_type, 'search_document');
+    await provider.embed(['what is a vector?'], { inputType: 'query' });
+    assert.equal(cohere.requests[1].payload.input_type, 'search_query');
+});
+
+test('malformed Bedrock responses throw instead of producing fake vectors', async () => {
+    const wrongCount = new BedrockEmbeddingProvider({ modelId: 'cohere.embed-english-v3', client: fakeClient(() => ({ embeddings: [[1]] })) });
+    await assert.rejects(wrongCount.embed(['a', 'b']), /returned 1 embeddings for 2 texts/);
+
+    const nan = new BedrockEmbeddingProvider({ client: fakeClient(() => ({ embedding: [1, null] })) });
+    await assert.rejects(nan.embed(['a']), /malformed embedding/);
+});
+
+test('isRetryable recognises throttling by name or HTTP 429', () => {
+    assert.equal(BedrockEmbeddingProvider.isRetryable({ name: 'ThrottlingException' }), true);
+    assert.equal(BedrockEmbeddingProvider.isRetryable({ name: 'Other', $metadata: { httpStatusCode: 429 } }), true);
+    assert.equal(BedrockEmbeddingProvider.isRetryable({ name: 'AccessDeniedException' }), false);
+});
+
+test('deterministic-local vectors are reproducible, normalized and lexical', async () => {
+    const provider = new DeterministicLocalProvider({ dimensions: 256 });
+    const [a, again, similar, other] = await provider.embed([
+        'vector databases store embeddings',
+        'vector databases store embeddings',
+        'vector databases index embeddings',
+        'bake the bread at high heat'
+    ]);
+    const cosine = (x, y) => x.reduce((sum, v, i) => sum + v * y[i], 0);
+
+    assert.deepEqual(a, again);
+    assert.equal(a.length, 256);
+    assert.ok(Math.abs(cosine(a, a) - 1) < 1e-9);
+    assert.ok(cosine(a, similar) > cosine(a, other));
+    assert.equal(provider.id, 'deterministic-local/feature-hashing-256');
+    assert.throws(() => createEmbeddingProvider('openai'), /Unknown embedding provider "openai"/);
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const { SchemaValidator } = require('./schema-validator');
+
+// Current version of data-science-output.json. Bump it together with a new
+// schemas/data-science-output.vN.schema.json and a migration from N-1.
+const HANDOFF_SCHEMA_VERSION = 2;
+
+const SCHEMAS = {
+    2: require('./schemas/data-science-output.v2.schema.json')
+};
+
+class HandoffValidationError extends Error {
+    constructor(message, errors = [], source = null) {
+        const details = errors.slice(0, 20).map(e => `  - ${e.path}: ${e.message}`).join('\n');
+        const more = errors.length > 20 ? `\n  ... and ${errors.length - 20} more` : '';
+        super(errors.length > 0 ? `${message}\n${details}${more}` : message);
+        this.name = 'HandoffValidationError';
+        this.errors = errors;
+        this.source = source;
+    }
+}
+
+// Each migration upgrades a document from version N to N + 1
+const MIGRATIONS = {
+    // v1: the original starter export (no schemaVersion, analysis.averageQuality,
+    // no language). Fields new in v2 are derived from v1 data: generatedAt from
+    // exportedAt, the counts from contentData, language as 'und'. Fields v1 already
+    // had (exportedAt included) are not invented here: if they are missing, the file
+    // is broken and validation says so.
+    1: (doc) => {
+        const analysis = doc.analysis || {};
+        const contentData = doc.contentData;
+        const articles = Array.isArray(contentData) ? contentData : [];
+        const wordCounts = articles.map(a => a && a.wordCount).filter(n => typeof n === 'number');
+        const exportedAt = doc.exportedAt;
+
+        const { averageQuality, processingTime, ...rest } = analysis;
+        return {
+            ...doc,
+            schemaVersion: 2,
+            analysis: {
+                totalArticles: articles.length,
+                avgWordCount: wordCounts.length > 0 ? Math.round(wordCounts.reduce((a, b) => a + b, 0) / wordCounts.length) : 0,
+                topTopics: [],
+                generatedAt: exportedAt,
+                ...rest,
+                avgQualityScore: rest.avgQualityScore ?? averageQuality
+            },
+            contentData: Array.isArray(contentData)
+                ? contentData.map(article => (article && typeof article === 'object'
+                    ? { language: 'und', ...article }
+                    : article))
+                : contentData,
+            exportedAt
+        };
+    }
+};
+
+// Reads, migrates and validates the Exercise 1 → Exercise 2 handoff file
+class Handoff {
+    static get version() {
+        return HANDOFF_SCHEMA_VERSION;
+    }
+
+    static schema(version = HANDOFF_SCHEMA_VERSION) {
+        return SCHEMAS[version];
+    }
+
+    // Files written before versioning existed have no schemaVersion
+    static versionOf(doc) {
+        return doc && typeof doc === 'object' && doc.schemaVersion !== undefined ? doc.schemaVersion : 1;
+    }
+
+    // Returns { data, migratedFrom: [versions...] }
+    static migrate(doc, source = null) {
+        let version = Handoff.versionOf(doc);
+        if (!Number.isInteger(version) || version < 1) {
+            throw new HandoffValidationError(`Unknown schemaVersion ${JSON.stringify(version)}`, [], source);
+        }
+        if (version > HANDOFF_SCHEMA_VERSION) {
+            throw new HandoffValidationError(
+                `schemaVersion ${version} is newer than this code supports (${HANDOFF_SCHEMA_VERSION}); update the pipeline`,
+                [],
+                source
+            );
+        }
+
+        const migratedFrom = [];
+        let data = doc;
+        while (version < HANDOFF_SCHEMA_VERSION) {
+            migratedFrom.push(version);
+            data = MIGRATIONS[version](data);
+            version = Handoff.versionOf(data);
+        }
+        return { data, migratedFrom };
+    }
+
+    // Field-level errors against the current schema: [{ path, message }]
+    static validate(doc) {
+        return SchemaValidator.validate(SCHEMAS[HANDOFF_SCHEMA_VERSION], doc);
+    }
+
+    static assertValid(doc, source = null) {
+        const errors = Handoff.validate(doc);
+        if (errors.length > 0) {
+            throw new HandoffValidationError(
+                `${source || 'Handoff data'} does not match data-science-output schema v${HANDOFF_SCHEMA_VERSION}`,
+                errors,
+                source
+            );
+        }
+        return doc;
+    }
+
+    // Parse + migrate + validate. Throws HandoffValidationError with field-level details.
+    static read(filePath) {
+        const text = fs.readFileSync(filePath, 'utf8');
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (error) {
+            throw new HandoffValidationError(`${filePath} is not valid JSON: ${error.message}`, [], filePath);
+        }
+        const { data, migratedFrom } = Handoff.migrate(raw, filePath);
+        Handoff.assertValid(data, filePath);
+        return { data, migratedFrom };
+    }
+
+    // Validate before writing so a broken export never reaches Exercise 2
+    static write(filePath, doc) {
+        const data = { schemaVersion: HANDOFF_SCHEMA_VERSION, ...doc };
+        Handoff.assertValid(data, filePath);
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+        return data;
+    }
+}
+
+module.exports = { Handoff, HandoffValidationError, HANDOFF_SCHEMA_VERSION };
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Handoff, HandoffValidationError, HANDOFF_SCHEMA_VERSION } = require('./handoff');
+const { SchemaValidator } = require('./schema-validator');
+
+const article = (overrides = {}) => ({
+    url: 'https://example.com/a',
+    title: 'Vector search',
+    content: 'Vector search finds nearest neighbours.',
+    wordCount: 5,
+    qualityScore: 7.5,
+    topKeywords: ['vector', 'search'],
+    ...overrides
+});
+
+const v1 = () => ({
+    analysis: { totalArticles: 2, averageQuality: 7.5, processingTime: '2024-01-01T00:00:00.000Z' },
+    contentData: [article(), article({ url: 'https://example.com/b', wordCount: 15 })],
+    exportedAt: '2024-01-02T00:00:00.000Z'
+});
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'handoff-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+test('v1 exports migrate to a valid v2 document', () => {
+    const { data, migratedFrom } = Handoff.migrate(v1());
+
+    assert.deepEqual(migratedFrom, [1]);
+    assert.equal(data.schemaVersion, HANDOFF_SCHEMA_VERSION);
+    assert.deepEqual(data.analysis, {
+        totalArticles: 2,
+        avgWordCount: 10,
+        topTopics: [],
+        generatedAt: '2024-01-02T00:00:00.000Z',
+        avgQualityScore: 7.5
+    });
+    assert.equal(data.contentData[0].language, 'und');
+    assert.deepEqual(Handoff.validate(data), []);
+
+    const current = Handoff.migrate(data);
+    assert.deepEqual(current.migratedFrom, []);
+    assert.equal(current.data, data);
+});
+
+test('migration does not invent fields v1 already required', () => {
+    const doc = v1();
+    delete doc.contentData[1].title;
+    doc.contentData[0].wordCount = '5';
+    const errors = Handoff.validate(Handoff.migrate(doc).data);
+
+    assert.deepEqual(errors, [
+        { path: 'contentData[0].wordCount', message: 'expected integer, got "5"' },
+        { path: 'contentData[1].title', message: 'is required' }
+    ]);
+
+    const undated = v1();
+    delete undated.exportedAt;
+    const paths = Handoff.validate(Handoff.migrate(undated).data).map(error => error.path);
+    assert.ok(paths.includes('exportedAt'), 'no timestamp is made up for a v1 file without one');
+});
+
+test('unknown and future schema versions are rejected', () => {
+    assert.throws(() => Handoff.migrate({ schemaVersion: 'two' }), /Unknown schemaVersion "two"/);
+    assert.throws(() => Handoff.migrate({ schemaVersion: HANDOFF_SCHEMA_VERSION + 1 }), (error) => {
+        assert.ok(error instanceof HandoffValidationError);
+        assert.match(error.message, /newer than this code supports/);
+        return true;
+    });
+});
+
+test('read reports bad JSON and field-level errors with the file path', (t) => {
+    const dir = tempDir(t);
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, '{ "analysis": ');
+    assert.throws(() => Handoff.read(broken), new RegExp(`${broken.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')} is not valid JSON`));
+
+    const invalid = path.join(dir, 'invalid.json');
+    fs.writeFileSync(invalid, JSON.stringify({ ...v1(), contentData: [article({ language: 'English', content: '' })] }));
+    assert.throws(() => Handoff.read(invalid), (error) => {
+        assert.equal(error.source, invalid);
+        assert.deepEqual(error.errors.map(e => e.path), ['contentData[0].language', 'contentData[0].content']);
+        assert.match(error.message, /  - contentData\[0\]\.content: must not be empty/);
+        return true;
+    });
+
+    const legacy = path.join(dir, 'legacy.json');
+    fs.writeFileSync(legacy, JSON.stringify(v1()));
+    assert.deepEqual(Handoff.read(legacy).migratedFrom, [1]);
+});
+
+test('write validates before touching the file', (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'out.json');
+    const { data } = Handoff.migrate(v1());
+    const { schemaVersion, ...withoutVersion } = data;
+
+    assert.equal(Handoff.write(file, withoutVersion).schemaVersion, schemaVersion);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).contentData, data.contentData);
+
+    assert.throws(() => Handoff.write(path.join(dir, 'bad.json'), { ...data, exportedAt: 'yesterday' }), /exportedAt: must be an ISO date-time/);
+    assert.equal(fs.existsSync(path.join(dir, 'bad.json')), false);
+});
+
+test('SchemaValidator collects every error with its path', () => {
+    const schema = {
+        type: 'object',
+        required: ['id', 'tags'],
+        properties: {
+            id: { type: 'integer', minimum: 1 },
+            tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' } },
+            kind: { enum: ['a', 'b'] }
+        }
+    };
+    assert.deepEqual(SchemaValidator.validate(schema, { id: 0, tags: ['ok', 'Not OK', 3], kind: 'c' }), [
+        { path: 'id', message: 'must be >= 1, got 0' },
+        { path: 'tags[1]', message: 'must match ^[a-z]+$, got "Not OK"' },
+        { path: 'tags[2]', message: 'expected string, got 3' },
+        { path: 'kind', message: 'must be one of "a", "b", got "c"' }
+    ]);
+    assert.deepEqual(SchemaValidator.validate(schema, []), [{ path: '(root)', message: 'expected object, got array' }]);
+});
@@ -0,0 +1,83 @@
+// Minimal JSON Schema (draft-07) validator covering the keywords our schemas use:
+// type, const, enum, required, properties, items, minimum, maximum, minLength,
+// pattern and format: date-time. Returns every error, not just the first.
+class SchemaValidator {
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    static matchesType(value, type) {
+        const actual = SchemaValidator.typeOf(value);
+        if (type === 'number') return actual === 'number' || actual === 'integer';
+        return actual === type;
+    }
+
+    static describe(value) {
+        if (value === undefined) return 'undefined';
+        const type = SchemaValidator.typeOf(value);
+        if (type === 'string') return `"${value.length > 40 ? `${value.slice(0, 40)}…` : value}"`;
+        if (type === 'array' || type === 'object') return type;
+        return String(value);
+    }
+
+    // Returns [{ path: 'contentData[2].topKeywords', message }]; empty means valid
+    static validate(schema, value, path = '') {
+        const errors = [];
+        const fail = (message) => errors.push({ path: path || '(root)', message });
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => SchemaValidator.matchesType(value, type))) {
+                fail(`expected ${types.join(' or ')}, got ${SchemaValidator.describe(value)}`);
+                return errors;
+            }
+        }
+
+        if ('const' in schema && value !== schema.const) {
+            fail(`must be ${JSON.stringify(schema.const)}, got ${SchemaValidator.describe(value)}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${SchemaValidator.describe(value)}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}, got ${value}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}, got ${value}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                fail(`must match ${schema.pattern}, got ${SchemaValidator.describe(value)}`);
+            }
+            if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+                fail(`must be an ISO date-time, got ${SchemaValidator.describe(value)}`);
+            }
+        }
+
+        if (SchemaValidator.typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] === undefined) return;
+                errors.push(...SchemaValidator.validate(propertySchema, value[key], path ? `${path}.${key}` : key));
+            });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...SchemaValidator.validate(schema.items, item, `${path}[${i}]`));
+            });
+        }
+
+        return errors;
+    }
+}
+
+module.exports = { SchemaValidator };
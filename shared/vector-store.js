@@ -0,0 +1,568 @@
+const fs = require('fs');
+const path = require('path');
+const { ChromaClient } = require("chromadb");
+
+// Where the pipeline writes vectors and the chat agent reads them, whichever
+// directory either one is started from
+const DEFAULT_STORE_DIR = process.env.VECTOR_STORE_DIR || path.join(__dirname, '..', 'exercise-2-data-engineering', 'chroma_db');
+const DEFAULT_CHROMA_URL = process.env.CHROMA_URL || 'http://localhost:8000';
+
+// Every store is bound to one collection and has the same async interface:
+//   listCollections() -> [{ name, count }]
+//   count(), ids()
+//   get({ ids, where }) -> [{ id, document, metadata }]
+//   add(records), upsert(records)      records: [{ id, vector, document, metadata }]
+//   updateMetadata(records)            records: [{ id, metadata }], existing IDs only
+//   delete(ids)
+//   query(vector, { k, where }) -> [{ id, document, metadata, distance }], closest first
+// `where` uses Chroma's filter syntax ({ language: 'de' }, { topicId: { $ne: -1 } },
+// { $and: [...] }); distances are cosine distances (1 - cosine similarity).
+// `batchSize` is how many records a caller should send per write.
+
+// Chroma-style metadata filter, evaluated locally for the file and memory stores
+function matchesWhere(metadata = {}, where) {
+    if (!where) return true;
+    return Object.entries(where).every(([key, condition]) => {
+        if (key === '$and') return condition.every(clause => matchesWhere(metadata, clause));
+        if (key === '$or') return condition.some(clause => matchesWhere(metadata, clause));
+        const value = metadata[key];
+        if (condition === null || typeof condition !== 'object') return value === condition;
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$eq': return value === operand;
+                case '$ne': return value !== operand;
+                case '$in': return operand.includes(value);
+                case '$nin': return !operand.includes(value);
+                case '$gt': return value > operand;
+                case '$gte': return value >= operand;
+                case '$lt': return value < operand;
+                case '$lte': return value <= operand;
+                default: throw new Error(`Unsupported filter operator ${operator}`);
+            }
+        });
+    });
+}
+
+function cosineDistance(a, b) {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return 1 - dot / (Math.sqrt(na) * Math.sqrt(nb) + 1e-12);
+}
+
+// Process-wide collections, so a pipeline and an agent in the same process (tests)
+// share the "memory" backend without passing the store around
+const MEMORY_COLLECTIONS = new Map(); // name -> Map(id -> record)
+
+class MemoryVectorStore {
+    constructor(options = {}) {
+        this.backend = 'memory';
+        this.collection = options.collection || 'tech-content-vectors';
+        this.batchSize = Infinity;
+    }
+
+    // name -> Map(id -> record); the file store loads its map from disk instead
+    records() {
+        if (!MEMORY_COLLECTIONS.has(this.collection)) MEMORY_COLLECTIONS.set(this.collection, new Map());
+        return MEMORY_COLLECTIONS.get(this.collection);
+    }
+
+    async listCollections() {
+        return [...MEMORY_COLLECTIONS.entries()].map(([name, records]) => ({ name, count: records.size }));
+    }
+
+    async count() {
+        return this.records().size;
+    }
+
+    async ids() {
+        return [...this.records().keys()];
+    }
+
+    async get({ ids, where } = {}) {
+        const records = this.records();
+        const selected = ids ? ids.map(id => records.get(id)).filter(Boolean) : [...records.values()];
+        return selected
+            .filter(record => matchesWhere(record.metadata, where))
+            .map(({ id, document, metadata }) => ({ id, document, metadata }));
+    }
+
+    async add(records) {
+        const existing = records.filter(record => this.records().has(record.id));
+        if (existing.length > 0) throw new Error(`${existing.length} record(s) already in ${this.collection}, e.g. ${existing[0].id}`);
+        return this.upsert(records);
+    }
+
+    async upsert(records) {
+        const stored = this.records();
+        records.forEach(({ id, vector, document, metadata }) => stored.set(id, { id, vector, document, metadata }));
+        this.changed();
+    }
+
+    async updateMetadata(records) {
+        const stored = this.records();
+        records.forEach(({ id, metadata }) => {
+            if (stored.has(id)) stored.get(id).metadata = metadata;
+        });
+        this.changed();
+    }
+
+    async delete(ids) {
+        const stored = this.records();
+        ids.forEach(id => stored.delete(id));
+        this.changed();
+    }
+
+    async query(vector, { k = 3, where } = {}) {
+        return [...this.records().values()]
+            .filter(record => record.vector?.length === vector.length && matchesWhere(record.metadata, where))
+            .map(record => ({
+                id: record.id,
+                document: record.document,
+                metadata: record.metadata,
+                distance: cosineDistance(vector, record.vector)
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, k);
+    }
+
+    // Hook for stores that persist
+    changed() {}
+
+    describe() {
+        return `in-memory collection ${this.collection}`;
+    }
+}
+
+// Binary vector file (<collection>.f32): "VEC1", a uint32 header length, a JSON header
+// { version, collection, modelId, dimensions, count, createdAt, updatedAt }, zero
+// padding to a 4-byte boundary, then `count` rows of `dimensions` Float32 values in
+// native byte order (little-endian on x86 and ARM). Row i belongs to line i of the
+// <collection>.jsonl sidecar, which holds { id, document, metadata }.
+const VECTOR_FILE_MAGIC = 'VEC1';
+const VECTOR_FILE_VERSION = 1;
+const LAZY_BLOCK_ROWS = 1024; // rows read per disk read when scanning lazily
+const LEGACY_HINTS_SHOWN = new Set(); // legacy file paths, so the convert hint is shown once
+
+function readVectorHeader(fd, file) {
+    const prefix = Buffer.alloc(8);
+    fs.readSync(fd, prefix, 0, 8, 0);
+    if (prefix.toString('latin1', 0, 4) !== VECTOR_FILE_MAGIC) throw new Error(`${file} is not a vector file`);
+    const json = Buffer.alloc(prefix.readUInt32LE(4));
+    fs.readSync(fd, json, 0, json.length, 8);
+    const header = JSON.parse(json.toString('utf8'));
+    if (header.version !== VECTOR_FILE_VERSION) throw new Error(`${file} has unsupported version ${header.version}`);
+    return { ...header, dataOffset: Math.ceil((8 + json.length) / 4) * 4 };
+}
+
+// Rows start..start+count as one Float32Array
+function readVectorRows(fd, header, start, count) {
+    const rowBytes = header.dimensions * 4;
+    const buffer = Buffer.alloc(count * rowBytes); // never pooled, so 4-byte aligned
+    fs.readSync(fd, buffer, 0, buffer.length, header.dataOffset + start * rowBytes);
+    return new Float32Array(buffer.buffer, buffer.byteOffset, count * header.dimensions);
+}
+
+function writeVectorFile(file, header, vectors) {
+    const json = Buffer.from(JSON.stringify({ version: VECTOR_FILE_VERSION, ...header }), 'utf8');
+    const dataOffset = Math.ceil((8 + json.length) / 4) * 4;
+    const buffer = Buffer.alloc(dataOffset + vectors.length * header.dimensions * 4);
+    buffer.write(VECTOR_FILE_MAGIC, 0, 'latin1');
+    buffer.writeUInt32LE(json.length, 4);
+    json.copy(buffer, 8);
+    const rows = new Float32Array(buffer.buffer, buffer.byteOffset + dataOffset, vectors.length * header.dimensions);
+    vectors.forEach((vector, i) => rows.set(vector, i * header.dimensions));
+    fs.writeFileSync(file, buffer);
+}
+
+// One binary vector file plus a JSONL sidecar per collection in `dir`, rewritten
+// after each write. With `lazy` only the sidecar is loaded and query() reads the
+// vectors from disk a block at a time, which suits a long-running reader like the
+// chat agent; it also reloads when another process rewrites the files.
+// Collections that older versions saved as <collection>.json are still read, and
+// replaced by the binary files on the first write (or by `convert`).
+class FileVectorStore extends MemoryVectorStore {
+    constructor(options = {}) {
+        super(options);
+        this.backend = 'file';
+        this.dir = options.dir || DEFAULT_STORE_DIR;
+        this.lazy = options.lazy ?? false;
+        this.modelId = options.modelId || null;
+        this.vectorPath = path.join(this.dir, `${this.collection}.f32`);
+        this.sidecarPath = path.join(this.dir, `${this.collection}.jsonl`);
+        this.legacyPath = path.join(this.dir, `${this.collection}.json`);
+        this.loaded = null;
+        this.loadedMtime = null;
+        this.header = null; // of the vector file the loaded records point into
+        this.dimensions = null;
+        this.createdAt = null;
+    }
+
+    records() {
+        if (this.loaded && this.lazy && this.header && this.vectorMtime() !== this.loadedMtime) {
+            this.loaded = null; // rewritten by another process (the pipeline)
+        }
+        if (!this.loaded) {
+            if (fs.existsSync(this.vectorPath)) this.loadBinary();
+            else if (fs.existsSync(this.legacyPath)) this.loadLegacy();
+            else this.loaded = new Map();
+        }
+        return this.loaded;
+    }
+
+    vectorMtime() {
+        try {
+            return fs.statSync(this.vectorPath).mtimeMs;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    loadBinary() {
+        const fd = fs.openSync(this.vectorPath, 'r');
+        try {
+            this.loadedMtime = fs.fstatSync(fd).mtimeMs;
+            this.header = readVectorHeader(fd, this.vectorPath);
+            const lines = fs.readFileSync(this.sidecarPath, 'utf8').split('\n').filter(Boolean);
+            if (lines.length !== this.header.count) {
+                throw new Error(`${this.sidecarPath} has ${lines.length} records but ${this.vectorPath} has ${this.header.count} vectors`);
+            }
+            const rows = this.lazy ? null : readVectorRows(fd, this.header, 0, this.header.count);
+            const { dimensions } = this.header;
+            this.loaded = new Map(lines.map((line, row) => {
+                const { id, document, metadata } = JSON.parse(line);
+                const vector = rows ? rows.subarray(row * dimensions, (row + 1) * dimensions) : undefined;
+                return [id, { id, vector, document, metadata, row }];
+            }));
+        } finally {
+            fs.closeSync(fd);
+        }
+        this.dimensions = this.header.dimensions;
+        this.modelId = this.modelId || this.header.modelId;
+        this.createdAt = this.header.createdAt;
+    }
+
+    // Shapes older pipeline versions wrote: { embeddings: [...] }, { vectors: [...] } or [...]
+    loadLegacy() {
+        const raw = JSON.parse(fs.readFileSync(this.legacyPath, 'utf8'));
+        const items = Array.isArray(raw) ? raw : raw.embeddings || raw.vectors || [];
+        this.createdAt = raw.createdAt || null;
+        this.loaded = new Map(items.map(item => [item.id, {
+            id: item.id,
+            vector: item.vector || item.embedding || [],
+            document: item.document || item.content || '',
+            metadata: item.metadata || {}
+        }]));
+        const first = this.loaded.values().next().value;
+        this.dimensions = first?.vector.length || null;
+        if (!this.modelId && first?.metadata.embeddingProvider && first.metadata.embeddingModel) {
+            this.modelId = `${first.metadata.embeddingProvider}/${first.metadata.embeddingModel}`;
+        }
+        if (this.lazy && !LEGACY_HINTS_SHOWN.has(this.legacyPath)) {
+            LEGACY_HINTS_SHOWN.add(this.legacyPath);
+            console.log(`ℹ️  ${this.legacyPath} is in the old JSON format; convert it with: node shared/vector-store.js convert`);
+        }
+    }
+
+    // Collections are <name>.f32, or <name>.json from older versions; manifests and
+    // quarantine files have a second extension
+    async listCollections() {
+        if (!fs.existsSync(this.dir)) return [];
+        const names = new Set(fs.readdirSync(this.dir)
+            .filter(name => /^[^.]+\.(f32|json)$/.test(name))
+            .map(name => name.slice(0, name.lastIndexOf('.'))));
+        return Promise.all([...names].map(async name => {
+            const store = new FileVectorStore({ dir: this.dir, collection: name, lazy: true });
+            return { name, count: await store.count() };
+        }));
+    }
+
+    async upsert(records) {
+        // The file holds one dimension; the newest vectors decide which
+        if (records.length > 0) this.dimensions = records[0].vector.length;
+        return super.upsert(records);
+    }
+
+    async query(vector, { k = 3, where } = {}) {
+        const candidates = [...this.records().values()].filter(record => matchesWhere(record.metadata, where));
+        const results = [];
+        const score = (record, stored) => {
+            if (stored.length !== vector.length) return;
+            results.push({ id: record.id, document: record.document, metadata: record.metadata, distance: cosineDistance(vector, stored) });
+        };
+        candidates.filter(record => record.vector).forEach(record => score(record, record.vector));
+        this.readStoredVectors(candidates.filter(record => !record.vector), score);
+        return results.sort((a, b) => a.distance - b.distance).slice(0, k);
+    }
+
+    // Calls visit(record, vector) for records whose vector is still on disk, in row
+    // order, holding at most LAZY_BLOCK_ROWS vectors in memory
+    readStoredVectors(records, visit) {
+        if (records.length === 0) return;
+        const sorted = [...records].sort((a, b) => a.row - b.row);
+        const { dimensions, count } = this.header;
+        const fd = fs.openSync(this.vectorPath, 'r');
+        try {
+            let i = 0;
+            while (i < sorted.length) {
+                const start = sorted[i].row;
+                const rows = readVectorRows(fd, this.header, start, Math.min(LAZY_BLOCK_ROWS, count - start));
+                for (; i < sorted.length && sorted[i].row < start + LAZY_BLOCK_ROWS; i++) {
+                    const offset = (sorted[i].row - start) * dimensions;
+                    visit(sorted[i], rows.subarray(offset, offset + dimensions));
+                }
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    changed() {
+        const records = this.records();
+        const onDisk = new Map();
+        this.readStoredVectors([...records.values()].filter(record => !record.vector), (record, vector) => onDisk.set(record.id, vector));
+        const vectorOf = (record) => record.vector || onDisk.get(record.id);
+
+        const dimensions = this.dimensions || vectorOf(records.values().next().value)?.length || 0;
+        const kept = [...records.values()].filter(record => vectorOf(record)?.length === dimensions);
+        if (kept.length < records.size) {
+            console.warn(`⚠️  Dropping ${records.size - kept.length} vector(s) that are not ${dimensions}-dimensional from ${this.collection}`);
+        }
+
+        const now = new Date().toISOString();
+        this.createdAt = this.createdAt || now;
+        const header = { collection: this.collection, modelId: this.modelId, dimensions, count: kept.length, createdAt: this.createdAt, updatedAt: now };
+        fs.mkdirSync(this.dir, { recursive: true });
+        // Write both files before replacing either, so a crash leaves the old pair intact
+        writeVectorFile(`${this.vectorPath}.tmp`, header, kept.map(vectorOf));
+        fs.writeFileSync(`${this.sidecarPath}.tmp`, kept.map(({ id, document, metadata }) => JSON.stringify({ id, document, metadata }) + '\n').join(''));
+        fs.renameSync(`${this.sidecarPath}.tmp`, this.sidecarPath);
+        fs.renameSync(`${this.vectorPath}.tmp`, this.vectorPath);
+        fs.rmSync(this.legacyPath, { force: true });
+
+        this.loaded = null; // re-read, so rows point into the new file
+        this.records();
+    }
+
+    // Rewrites a collection saved as <collection>.json in the binary format, then
+    // removes the JSON file
+    static convert(options = {}) {
+        const store = new FileVectorStore(options);
+        if (fs.existsSync(store.vectorPath)) throw new Error(`${store.vectorPath} already exists`);
+        if (!fs.existsSync(store.legacyPath)) throw new Error(`No JSON collection at ${store.legacyPath}`);
+        const jsonBytes = fs.statSync(store.legacyPath).size;
+        store.records();
+        store.changed();
+        return {
+            collection: store.collection,
+            modelId: store.modelId,
+            dimensions: store.dimensions,
+            count: store.records().size,
+            jsonBytes,
+            binaryBytes: fs.statSync(store.vectorPath).size + fs.statSync(store.sidecarPath).size
+        };
+    }
+
+    describe() {
+        return `local files ${this.vectorPath} + ${path.basename(this.sidecarPath)}`;
+    }
+}
+
+class ChromaVectorStore {
+    constructor(options = {}) {
+        this.backend = 'chroma';
+        this.collection = options.collection || 'tech-content-vectors';
+        this.url = options.url || DEFAULT_CHROMA_URL;
+        this.client = options.client || new ChromaClient({ path: this.url });
+        this.batchSize = 10;
+        this.handle = null;
+    }
+
+    // Fails when no Chroma server is reachable
+    async connect() {
+        if (!this.handle) {
+            this.handle = await this.client.getOrCreateCollection({
+                name: this.collection,
+                // Only applies to new collections; older ones keep Chroma's default (L2)
+                metadata: { "description": "Tech content embeddings for semantic search", "hnsw:space": "cosine" }
+            });
+        }
+        return this.handle;
+    }
+
+    // Chroma metadata values must be scalars
+    static toChromaMetadata(metadata = {}) {
+        return Object.fromEntries(Object.entries(metadata)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : value]));
+    }
+
+    async listCollections() {
+        const names = await this.client.listCollections();
+        return Promise.all(names.map(async name => {
+            const collection = await this.client.getCollection({ name });
+            return { name, count: await collection.count() };
+        }));
+    }
+
+    async count() {
+        return (await this.connect()).count();
+    }
+
+    async ids() {
+        return (await (await this.connect()).get({ include: [] })).ids;
+    }
+
+    async get({ ids, where } = {}) {
+        const result = await (await this.connect()).get({
+            ...(ids ? { ids } : {}),
+            ...(where ? { where } : {}),
+            include: ['documents', 'metadatas']
+        });
+        return result.ids.map((id, i) => ({ id, document: result.documents[i], metadata: result.metadatas[i] }));
+    }
+
+    async add(records) {
+        await (await this.connect()).add(this.toChroma(records));
+    }
+
+    async upsert(records) {
+        await (await this.connect()).upsert(this.toChroma(records));
+    }
+
+    async updateMetadata(records) {
+        await (await this.connect()).update({
+            ids: records.map(record => record.id),
+            metadatas: records.map(record => ChromaVectorStore.toChromaMetadata(record.metadata))
+        });
+    }
+
+    async delete(ids) {
+        await (await this.connect()).delete({ ids });
+    }
+
+    async query(vector, { k = 3, where } = {}) {
+        const result = await (await this.connect()).query({
+            queryEmbeddings: [vector],
+            nResults: k,
+            ...(where ? { where } : {}),
+            include: ['documents', 'metadatas', 'distances']
+        });
+        return result.ids[0].map((id, i) => ({
+            id,
+            document: result.documents[0][i],
+            metadata: result.metadatas[0][i],
+            distance: result.distances[0][i]
+        }));
+    }
+
+    toChroma(records) {
+        return {
+            ids: records.map(record => record.id),
+            embeddings: records.map(record => record.vector),
+            documents: records.map(record => record.document),
+            metadatas: records.map(record => ChromaVectorStore.toChromaMetadata(record.metadata))
+        };
+    }
+
+    describe() {
+        return `ChromaDB ${this.url}, collection ${this.collection}`;
+    }
+}
+
+const VECTOR_STORES = {
+    chroma: ChromaVectorStore,
+    file: FileVectorStore,
+    memory: MemoryVectorStore
+};
+
+// openVectorStore({ backend: 'auto' | 'chroma' | 'file' | 'memory', collection, dir, url, modelId, lazy })
+// (modelId and lazy are for the file store)
+// 'auto' (the default, or VECTOR_STORE) uses ChromaDB when a server answers and
+// local files otherwise
+async function openVectorStore(options = {}) {
+    const backend = options.backend || process.env.VECTOR_STORE || 'auto';
+    if (backend === 'auto') {
+        const chroma = new ChromaVectorStore(options);
+        try {
+            await chroma.connect();
+            return chroma;
+        } catch (error) {
+            console.log(`⚠️  ChromaDB not available at ${chroma.url}, using local file storage`);
+            return new FileVectorStore(options);
+        }
+    }
+
+    const Store = VECTOR_STORES[backend];
+    if (!Store) {
+        throw new Error(`Unknown vector store "${backend}" (expected auto or one of: ${Object.keys(VECTOR_STORES).join(', ')})`);
+    }
+    const store = new Store(options);
+    if (store.connect) await store.connect();
+    return store;
+}
+
+module.exports = {
+    MemoryVectorStore,
+    FileVectorStore,
+    ChromaVectorStore,
+    VECTOR_STORES,
+    DEFAULT_STORE_DIR,
+    matchesWhere,
+    openVectorStore
+};
+
+const USAGE = `Usage: node shared/vector-store.js convert [options]
+
+Converts a file-store collection from the old <collection>.json format to
+<collection>.f32 (vectors) + <collection>.jsonl (ids, documents, metadata).
+
+  --dir <path>           store directory (default: ${DEFAULT_STORE_DIR})
+  --collection <name>    collection to convert (default: tech-content-vectors)
+  --model <id>           embedding model ID for the header, e.g. bedrock/amazon.titan-embed-text-v1
+                         (default: taken from the stored vectors' metadata)
+  -h, --help             show this help`;
+
+function main(argv = process.argv.slice(2)) {
+    const { parseArgs } = require('util');
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                dir: { type: 'string' },
+                collection: { type: 'string' },
+                model: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+        if (!args.values.help && args.positionals[0] !== 'convert') throw new Error('Expected the "convert" command');
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    if (args.values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        const result = FileVectorStore.convert({ dir: args.values.dir, collection: args.values.collection, modelId: args.values.model });
+        const mb = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+        console.log(`✅ Converted ${result.count} vectors (${result.dimensions} dimensions, model ${result.modelId || 'unknown'}) in ${result.collection}`);
+        console.log(`   ${mb(result.jsonBytes)} MB of JSON → ${mb(result.binaryBytes)} MB`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryVectorStore, FileVectorStore, ChromaVectorStore, matchesWhere, openVectorStore } = require('./vector-store');
+
+const records = () => [
+    { id: 'en-1', vector: [1, 0, 0], document: 'English about vectors', metadata: { language: 'en', topicId: 0, qualityScore: 8 } },
+    { id: 'en-2', vector: [0.9, 0.1, 0], document: 'English about indexes', metadata: { language: 'en', topicId: -1, qualityScore: 5 } },
+    { id: 'de-1', vector: [0.8, 0.2, 0], document: 'Deutsch über Vektoren', metadata: { language: 'de', topicId: 0, qualityScore: 9 } },
+    { id: 'other', vector: [0, 0, 1], document: 'Unrelated', metadata: { language: 'en', topicId: 1, qualityScore: 7 } }
+];
+
+let collections = 0;
+const memoryStore = () => new MemoryVectorStore({ collection: `vector-store-test-${++collections}` });
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('matchesWhere follows Chroma filter syntax', () => {
+    const metadata = { language: 'de', topicId: 2, qualityScore: 7 };
+    assert.equal(matchesWhere(metadata, undefined), true);
+    assert.equal(matchesWhere(metadata, { language: 'de' }), true);
+    assert.equal(matchesWhere(metadata, { topicId: { $ne: -1 } }), true);
+    assert.equal(matchesWhere(metadata, { language: { $in: ['en', 'fr'] } }), false);
+    assert.equal(matchesWhere(metadata, { $and: [{ qualityScore: { $gte: 7 } }, { qualityScore: { $lt: 8 } }] }), true);
+    assert.equal(matchesWhere(metadata, { $or: [{ language: 'en' }, { topicId: { $gt: 5 } }] }), false);
+    assert.throws(() => matchesWhere(metadata, { language: { $regex: 'd' } }), /Unsupported filter operator \$regex/);
+});
+
+test('memory store queries by cosine distance with metadata filters', async () => {
+    const store = memoryStore();
+    await store.add(records());
+
+    const nearest = await store.query([1, 0, 0], { k: 2 });
+    assert.deepEqual(nearest.map(r => r.id), ['en-1', 'en-2']);
+    assert.ok(Math.abs(nearest[0].distance) < 1e-9);
+
+    const german = await store.query([1, 0, 0], { where: { language: 'de' } });
+    assert.deepEqual(german.map(r => r.id), ['de-1']);
+    assert.deepEqual((await store.query([1, 0, 0], { k: 10, where: { topicId: { $ne: -1 } } })).map(r => r.id), ['en-1', 'de-1', 'other']);
+    assert.deepEqual(await store.query([1, 0]), [], 'vectors of another dimension never match');
+});
+
+test('memory store writes: add, upsert, updateMetadata and delete', async () => {
+    const store = memoryStore();
+    await store.add(records());
+    await assert.rejects(store.add([records()[0]]), /1 record\(s\) already in vector-store-test-\d+, e\.g\. en-1/);
+
+    await store.upsert([{ ...records()[0], document: 'Rewritten' }]);
+    await store.updateMetadata([{ id: 'en-2', metadata: { language: 'fr' } }, { id: 'missing', metadata: {} }]);
+    await store.delete(['other']);
+
+    assert.equal(await store.count(), 3);
+    assert.deepEqual((await store.ids()).sort(), ['de-1', 'en-1', 'en-2']);
+    assert.deepEqual(await store.get({ ids: ['en-1', 'missing'] }), [{ id: 'en-1', document: 'Rewritten', metadata: records()[0].metadata }]);
+    assert.deepEqual((await store.get({ where: { language: 'fr' } })).map(r => r.id), ['en-2']);
+    assert.ok((await store.listCollections()).some(c => c.name === store.collection && c.count === 3));
+});
+
+test('memory collections are shared within the process', async () => {
+    const first = memoryStore();
+    await first.upsert(records());
+    const second = await openVectorStore({ backend: 'memory', collection: first.collection });
+    assert.equal(await second.count(), 4);
+    await assert.rejects(openVectorStore({ backend: 'redis' }), /Unknown vector store "redis" \(expected auto or one of: chroma, file, memory\)/);
+});
+
+test('Chroma store flattens metadata and maps query results', async () => {
+    const calls = [];
+    const collection = {
+        upsert: async (payload) => calls.push(['upsert', payload]),
+        query: async (payload) => {
+            calls.push(['query', payload]);
+            return { ids: [['a']], documents: [['doc']], metadatas: [[{ language: 'en' }]], distances: [[0.25]] };
+        }
+    };
+    const client = { getOrCreateCollection: async ({ name, metadata }) => { calls.push(['open', name, metadata]); return collection; } };
+    const store = await openVectorStore({ backend: 'chroma', collection: 'c', client });
+
+    await store.upsert([{ id: 'a', vector: [1, 2], document: 'doc', metadata: { keywords: ['x', 'y'], author: null, topicId: 0 } }]);
+    const results = await store.query([1, 2], { k: 1, where: { language: 'en' } });
+
+    assert.equal(calls[0][2]['hnsw:space'], 'cosine');
+    assert.deepEqual(calls[1][1], { ids: ['a'], embeddings: [[1, 2]], documents: ['doc'], metadatas: [{ keywords: '["x","y"]', topicId: 0 }] });
+    assert.deepEqual(calls[2][1], { queryEmbeddings: [[1, 2]], nResults: 1, where: { language: 'en' }, include: ['documents', 'metadatas', 'distances'] });
+    assert.deepEqual(results, [{ id: 'a', document: 'doc', metadata: { language: 'en' }, distance: 0.25 }]);
+    assert.deepEqual(ChromaVectorStore.toChromaMetadata(undefined), {});
+});
+
+test('auto falls back to local files when ChromaDB is unreachable', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const client = { getOrCreateCollection: async () => { throw new Error('ECONNREFUSED'); } };
+    const store = await openVectorStore({ backend: 'auto', client, dir: '/nonexistent-store-dir' });
+    assert.equal(store.backend, 'file');
+});
+
+test('file store writes a binary vector file with a JSONL sidecar', async (t) => {
+    const dir = tempDir(t);
+    const store = new FileVectorStore({ dir, collection: 'docs', modelId: 'local/test' });
+    await store.upsert(records());
+
+    const bytes = fs.readFileSync(path.join(dir, 'docs.f32'));
+    assert.equal(bytes.toString('latin1', 0, 4), 'VEC1');
+    const header = JSON.parse(bytes.toString('utf8', 8, 8 + bytes.readUInt32LE(4)));
+    assert.deepEqual({ ...header, createdAt: undefined, updatedAt: undefined },
+        { version: 1, collection: 'docs', modelId: 'local/test', dimensions: 3, count: 4, createdAt: undefined, updatedAt: undefined });
+    const dataOffset = Math.ceil((8 + bytes.readUInt32LE(4)) / 4) * 4;
+    assert.equal(bytes.length, dataOffset + 4 * 3 * 4);
+
+    const sidecar = fs.readFileSync(path.join(dir, 'docs.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(sidecar.map(r => r.id), ['en-1', 'en-2', 'de-1', 'other']);
+    assert.equal(sidecar[0].vector, undefined);
+
+    const eager = new FileVectorStore({ dir, collection: 'docs' });
+    const lazy = new FileVectorStore({ dir, collection: 'docs', lazy: true });
+    const eagerResults = await eager.query([1, 0.1, 0], { k: 4 });
+    assert.deepEqual(await lazy.query([1, 0.1, 0], { k: 4 }), eagerResults);
+    assert.deepEqual(eagerResults.map(r => r.id), ['en-2', 'en-1', 'de-1', 'other']);
+    assert.equal(eager.modelId, 'local/test');
+    assert.deepEqual(await lazy.query([1, 0.1, 0], { where: { language: 'de' } }), eagerResults.filter(r => r.id === 'de-1'));
+});
+
+test('lazy file store reloads after another process rewrites the collection', async (t) => {
+    const dir = tempDir(t);
+    const writer = new FileVectorStore({ dir, collection: 'docs' });
+    await writer.upsert(records().slice(0, 2));
+
+    const reader = new FileVectorStore({ dir, collection: 'docs', lazy: true });
+    assert.equal(await reader.count(), 2);
+
+    await writer.upsert(records().slice(2));
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(path.join(dir, 'docs.f32'), later, later); // don't depend on timestamp granularity
+    assert.equal(await reader.count(), 4);
+    assert.deepEqual((await reader.query([0, 0, 1], { k: 1 })).map(r => r.id), ['other']);
+});
+
+test('file store reads legacy JSON collections and replaces them on the first write', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const dir = tempDir(t);
+    const legacy = records().map(({ id, vector, document, metadata }) => ({ id, embedding: vector, content: document, metadata }));
+    fs.writeFileSync(path.join(dir, 'old.json'), JSON.stringify({ embeddings: legacy }));
+    fs.writeFileSync(path.join(dir, 'bare.json'), JSON.stringify(records()));
+
+    const store = new FileVectorStore({ dir, collection: 'old', lazy: true });
+    assert.deepEqual((await store.query([1, 0, 0], { k: 1 })).map(r => r.id), ['en-1']);
+    assert.equal((await store.get({ ids: ['de-1'] }))[0].document, 'Deutsch über Vektoren');
+    assert.match(console.log.mock.calls[0].arguments[0], /old\.json is in the old JSON format; convert it with/);
+    assert.deepEqual((await store.listCollections()).sort((a, b) => a.name.localeCompare(b.name)),
+        [{ name: 'bare', count: 4 }, { name: 'old', count: 4 }]);
+
+    await store.delete(['other']);
+    assert.equal(fs.existsSync(path.join(dir, 'old.json')), false);
+    assert.equal(fs.existsSync(path.join(dir, 'old.f32')), true);
+    assert.equal(await new FileVectorStore({ dir, collection: 'old' }).count(), 3);
+});
+
+test('convert rewrites a legacy collection in the binary format', async (t) => {
+    const dir = tempDir(t);
+    const legacy = records().map(r => ({ ...r, metadata: { ...r.metadata, embeddingProvider: 'local', embeddingModel: 'hash-3' } }));
+    fs.writeFileSync(path.join(dir, 'docs.json'), JSON.stringify({ vectors: legacy }));
+
+    const result = FileVectorStore.convert({ dir, collection: 'docs' });
+    assert.equal(result.collection, 'docs');
+    assert.equal(result.modelId, 'local/hash-3');
+    assert.equal(result.dimensions, 3);
+    assert.equal(result.count, 4);
+    assert.ok(result.jsonBytes > 0 && result.binaryBytes > 0);
+    assert.equal(fs.existsSync(path.join(dir, 'docs.json')), false);
+    assert.deepEqual((await new FileVectorStore({ dir, collection: 'docs', lazy: true }).query([0, 0, 1], { k: 1 })).map(r => r.id), ['other']);
+
+    assert.throws(() => FileVectorStore.convert({ dir, collection: 'docs' }), /docs\.f32 already exists/);
+    assert.throws(() => FileVectorStore.convert({ dir, collection: 'missing' }), /No JSON collection at .*missing\.json/);
+});
+
+test('file store drops vectors whose dimension differs from the newest write', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const dir = tempDir(t);
+    const store = new FileVectorStore({ dir, collection: 'docs' });
+    await store.upsert(records());
+    await store.upsert([{ id: 'new', vector: [1, 0], document: 'Re-embedded', metadata: {} }]);
+
+    assert.match(console.warn.mock.calls[0].arguments[0], /Dropping 4 vector\(s\) that are not 2-dimensional from docs/);
+    const reopened = new FileVectorStore({ dir, collection: 'docs' });
+    assert.deepEqual(await reopened.ids(), ['new']);
+    assert.equal(reopened.dimensions, 2);
+});